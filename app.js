@@ -3,9 +3,28 @@ class NeuroSputnikApp {
     constructor() {
         this.ollamaEngine = null;
         this.datasetBuilder = null;
+        this.conversationStore = null;
+        this.contextBuilder = null;
+        this.promptTemplates = null;
+        this.modelManager = null;
+        this.trainingJobs = null;
+        this.evaluator = null;
+        this.snapshotStore = null;
+        this.syncOutbox = null;
+        this.syncTimer = null;
+        this.knowledgeBase = null;
+        this.documentExtractor = null;
+        this.evaluationController = null;
+        this.modelVersions = {}; // модель → id задания обучения, после которого веса изменились
+        this.modelDownloads = new Map(); // id модели → { downloaded, total, percent }
+        this.threadListView = null;
+        this.curationView = null;
+        this.currentThreadId = null;
         this.currentTab = 'chat';
         this.isInitialized = false;
         this.conversationHistory = [];
+        this.generationController = null;
+        this.settings = this.loadSettings();
         
         this.init();
     }
@@ -18,13 +37,11 @@ class NeuroSputnikApp {
             await this.initializeComponents();
             this.setupEventListeners();
             this.setupUI();
-            this.loadUserData();
+            await this.loadUserData();
             
             this.isInitialized = true;
             console.log('✅ NeuroSputnik Android готов к работе!');
             
-            this.showWelcomeMessage();
-            
         } catch (error) {
             console.error('❌ Ошибка инициализации:', error);
             this.showError('Не удалось запустить приложение. Проверьте поддержку WebAssembly.');
@@ -32,33 +49,165 @@ class NeuroSputnikApp {
     }
     
     async initializeComponents() {
-        // Инициализируем движок Ollama
-        this.ollamaEngine = new OllamaWebEngine();
-        const engineReady = await this.ollamaEngine.initialize();
+        // Инициализируем AI движок из настроек, при неудаче пробуем другой
+        this.ollamaEngine = await this.createEngine();
         
-        if (!engineReady) {
+        if (!this.ollamaEngine) {
             throw new Error('Не удалось инициализировать AI движок');
         }
         
-        // Инициализируем сборщик данных
-        this.datasetBuilder = new DatasetBuilder();
+        // Бюджет памяти для моделей на устройстве; сервер Ollama управляет памятью сам
+        if (this.activeBackend === 'wasm') {
+            await this.ollamaEngine.setMemoryLimit(this.settings.memoryBudget * 1024 * 1024);
+        }
+        
+        // Контекст диалога собирается под бюджет токенов модели
+        this.contextBuilder = new ContextBuilder(this.ollamaEngine, { budget: this.settings.contextBudget });
+        
+        // Шаблон промпта и системный промпт — общие для чата и экспорта датасета
+        this.promptTemplates = new PromptTemplates(this.settings);
+        
+        // Очередь отправки новых примеров на свой сервер (только после согласия пользователя)
+        this.syncOutbox = new SyncOutbox({ onEnqueue: () => this.scheduleDatasetSync() });
+        
+        // Инициализируем сборщик данных и загружаем сохранённый датасет
+        this.datasetBuilder = new DatasetBuilder({ outbox: this.syncOutbox });
+        await this.datasetBuilder.load();
+        this.scheduleDatasetSync();
+        this.datasetExporter = new DatasetExporter(this.datasetBuilder, this.promptTemplates);
+        this.datasetImporter = new DatasetImporter(this.datasetBuilder);
+        
+        // Задания обучения: прогресс по батчам, история метрик, контрольные точки
+        this.trainingJobs = new TrainingJobManager(this.ollamaEngine);
+        try {
+            await this.trainingJobs.load();
+        } catch (error) {
+            console.warn('⚠️ История обучения не загружена:', error);
+        }
+        
+        // Оценка качества на отложенной выборке — до и после обучения
+        this.evaluator = new Evaluator(this.datasetBuilder, {
+            generate: (example, { signal }) => this.generateEvaluationAnswer(example, signal)
+        });
+        
+        // Хранилище диалогов
+        this.conversationStore = new ConversationStore();
+        
+        // База знаний из документов пользователя: фрагменты попадают в промпт с источниками
+        this.documentExtractor = new DocumentExtractor();
+        this.knowledgeBase = new KnowledgeBase();
+        try {
+            await this.knowledgeBase.load();
+        } catch (error) {
+            console.warn('⚠️ База знаний не загружена:', error);
+        }
+        
+        // Каталог моделей для скачивания на устройство
+        this.modelManager = new ModelManager();
+        try {
+            await this.modelManager.loadCatalog();
+        } catch (error) {
+            console.warn('⚠️ Каталог моделей не загружен:', error.message);
+        }
+        
+        // Снимки весов: версии до и после обучения, откат и перенос на другое устройство
+        this.snapshotStore = new SnapshotStore();
         
-        // Загружаем базовую модель
+        // Загружаем базовую модель (или выбранный для неё снимок)
         await this.loadBaseModel();
     }
     
+    async createEngine() {
+        const backends = this.settings.engineBackend === 'http'
+            ? ['http', 'wasm']
+            : ['wasm', 'http'];
+        
+        for (const backend of backends) {
+            const engine = backend === 'http'
+                ? new OllamaHttpEngine(this.settings.ollamaUrl)
+                : this.createWasmEngine();
+            
+            if (await engine.initialize()) {
+                this.activeBackend = backend;
+                if (backend !== this.settings.engineBackend) {
+                    console.warn(`⚠️ Движок "${this.settings.engineBackend}" недоступен, используем "${backend}"`);
+                }
+                return engine;
+            }
+        }
+        
+        return null;
+    }
+    
+    createWasmEngine() {
+        // WASM вызовы выносим в воркер, чтобы генерация и обучение не замораживали интерфейс
+        return 'Worker' in window ? new OllamaWorkerProxy() : new OllamaWebEngine();
+    }
+    
     async loadBaseModel() {
+        if (this.activeBackend === 'http') {
+            await this.loadServerModel();
+            return;
+        }
+        
+        // Берём выбранную ранее модель или первую скачанную и проверенную
+        const candidates = [this.settings.wasmModel, ...this.modelManager.catalog.map(entry => entry.id)]
+            .filter(Boolean);
+        
+        for (const modelId of candidates) {
+            if (await this.modelManager.isVerified(modelId)) {
+                if (await this.loadLocalModel(modelId)) return;
+            }
+        }
+        
+        console.warn('⚠️ Скачанных моделей нет, работаем в базовом режиме');
+    }
+    
+    // Загружает скачанную модель в WASM движок после проверки контрольной суммы.
+    // Если для модели выбран снимок (дообученная версия), загружаются его веса
+    async loadLocalModel(modelId) {
         try {
-            // Пробуем загрузить tiny-llama модель
-            const modelResponse = await fetch('resources/models/tiny-llama.json');
-            const modelData = await modelResponse.json();
+            // Метаданные GGUF задают окно контекста и шаблон промпта
+            const modelInfo = await this.modelManager.getModelInfo(modelId);
+            const snapshot = await this.getSelectedSnapshot(modelId);
+            
+            let modelData = null;
+            if (snapshot) {
+                try {
+                    modelData = await this.snapshotStore.getData(snapshot.id);
+                } catch (error) {
+                    console.warn(`⚠️ Снимок ${snapshot.id} не загружен, используем скачанную модель:`, error.message);
+                }
+            }
+            
+            if (!(await this.ollamaEngine.loadModel(modelId, modelData || await this.modelManager.getModelData(modelId), modelInfo))) {
+                return false;
+            }
             
-            await this.ollamaEngine.loadModel('tiny-llama', modelData);
-            console.log('✅ Базовая модель загружена');
+            this.modelVersions[modelId] = modelData ? snapshot.version : 'base';
+            console.log(`✅ Модель ${modelId} загружена${modelData ? ` (снимок ${snapshot.id})` : ''}`);
+            return true;
             
         } catch (error) {
-            console.warn('⚠️ Не удалось загрузить модель, работаем в базовом режиме');
-            // Продолжаем работу с базовыми ответами
+            console.error(`❌ Не удалось загрузить модель ${modelId}:`, error);
+            return false;
+        }
+    }
+    
+    async loadServerModel() {
+        // Берём модель из настроек или первую доступную на сервере
+        const available = Object.keys(this.ollamaEngine.models);
+        const modelName = available.includes(this.settings.httpModel)
+            ? this.settings.httpModel
+            : available[0];
+        
+        if (!modelName) {
+            console.warn('⚠️ На сервере Ollama нет моделей, работаем в базовом режиме');
+            return;
+        }
+        
+        if (await this.ollamaEngine.loadModel(modelName)) {
+            console.log(`✅ Модель сервера ${modelName} загружена`);
         }
     }
     
@@ -81,6 +230,108 @@ class NeuroSputnikApp {
             }
         });
         
+        document.getElementById('stopBtn').addEventListener('click', () => {
+            this.stopGeneration();
+        });
+        
+        // Диалоги
+        document.getElementById('threadToggleBtn').addEventListener('click', () => {
+            this.threadListView.toggle();
+        });
+        
+        document.getElementById('newThreadBtn').addEventListener('click', () => {
+            this.createThread();
+        });
+        
+        // Действия с моделями Ollama: имя модели берётся из data-model, а не из разметки обработчика
+        document.getElementById('modelsList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-model-action]');
+            if (!button) return;
+            
+            const model = button.closest('[data-model]').dataset.model;
+            const actions = {
+                use: () => this.useModel(model),
+                unload: () => this.unloadModel(model),
+                thread: () => this.setThreadModel(model)
+            };
+            actions[button.dataset.modelAction]();
+        });
+        
+        // Настройки движка
+        document.getElementById('saveEngineSettingsBtn').addEventListener('click', () => {
+            this.saveEngineSettings();
+        });
+        
+        // Проверка GGUF файла
+        document.getElementById('ggufFile').addEventListener('change', (e) => {
+            if (e.target.files[0]) this.inspectModelFile(e.target.files[0]);
+        });
+        
+        // Шаблон промпта и персона
+        document.getElementById('savePromptSettingsBtn').addEventListener('click', () => {
+            this.savePromptSettings();
+        });
+        
+        ['promptTemplate', 'promptPersona', 'promptUserName', 'systemPrompt'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updatePromptPreview());
+        });
+        
+        // Экспорт датасета
+        document.getElementById('exportDatasetBtn').addEventListener('click', () => {
+            this.exportDataset();
+        });
+        
+        ['exportFormat', 'exportTopic', 'exportSentiment', 'exportMinWeight', 'exportDateFrom', 'exportDateTo']
+            .forEach(id => {
+                document.getElementById(id).addEventListener('change', () => this.updateExportPreview());
+            });
+        
+        // База знаний
+        document.getElementById('knowledgeFiles').addEventListener('change', (e) => this.importKnowledgeFiles(e.target));
+        document.getElementById('saveKnowledgeBtn').addEventListener('click', () => this.saveKnowledgeSettings());
+        document.getElementById('rebuildKnowledgeBtn').addEventListener('click', () => this.rebuildKnowledgeIndex());
+        document.getElementById('knowledgeQuery').addEventListener('change', () => this.renderKnowledgeResults());
+        
+        // Отправка датасета на свой сервер
+        document.getElementById('saveSyncBtn').addEventListener('click', () => this.saveSyncSettings());
+        document.getElementById('syncNowBtn').addEventListener('click', () => this.syncDatasetNow());
+        
+        // Удаление личных данных
+        document.getElementById('saveRedactionBtn').addEventListener('click', () => {
+            this.saveRedactionSettings();
+        });
+        
+        document.getElementById('redactionSample').addEventListener('input', () => {
+            this.updateRedactionPreview();
+        });
+        
+        // Импорт датасета: сначала предпросмотр, потом подтверждение
+        document.getElementById('importFile').addEventListener('change', (e) => {
+            if (e.target.files[0]) this.previewImport(e.target.files[0]);
+        });
+        
+        document.getElementById('commitImportBtn').addEventListener('click', () => {
+            this.commitImport();
+        });
+        
+        document.getElementById('cancelImportBtn').addEventListener('click', () => {
+            this.resetImport();
+        });
+        
+        // Обработчики заданий обучения
+        document.getElementById('startTrainingBtn').addEventListener('click', () => this.startTraining());
+        document.getElementById('pauseTrainingBtn').addEventListener('click', () => this.trainingJobs.pause());
+        document.getElementById('continueTrainingBtn').addEventListener('click', () => this.trainingJobs.resumePaused());
+        document.getElementById('cancelTrainingBtn').addEventListener('click', () => this.trainingJobs.cancel());
+        document.getElementById('resumeTrainingJobBtn').addEventListener('click', () => this.resumeTrainingJob());
+        document.getElementById('runEvaluationBtn').addEventListener('click', () => this.toggleEvaluation());
+        document.getElementById('exportModelBtn').addEventListener('click', () => this.exportCurrentModel());
+        document.getElementById('snapshotFile').addEventListener('change', (e) => this.importSnapshot(e.target.files[0]));
+        
+        this.trainingJobs.addEventListener('progress', (e) => this.handleTrainingProgress(e.detail));
+        this.trainingJobs.addEventListener('epoch', () => this.updateLearningStatus());
+        this.trainingJobs.addEventListener('state', () => this.renderTrainingControls());
+        
         // Обработчики игр
         this.setupGamesNavigation();
         
@@ -112,8 +363,18 @@ class NeuroSputnikApp {
     
     setupUI() {
         // Инициализируем UI компоненты
+        this.threadListView = new ThreadListView(document.getElementById('threadList'), {
+            onSelect: (threadId) => this.switchThread(threadId),
+            onRename: (threadId) => this.renameThread(threadId),
+            onDelete: (threadId) => this.deleteThread(threadId),
+            onTogglePin: (threadId) => this.toggleThreadPin(threadId)
+        });
+        this.curationView = new CurationView(document.getElementById('curationView'), this.datasetBuilder, {
+            onChange: () => this.updateLearningStatus()
+        });
         this.updateBatteryStatus();
         this.setupSwipeNavigation();
+        this.renderSyncSettings().catch(error => console.warn('⚠️ Настройки отправки не загружены:', error));
     }
     
     setupSwipeNavigation() {
@@ -136,7 +397,7 @@ class NeuroSputnikApp {
         const diff = startX - endX;
         
         if (Math.abs(diff) > swipeThreshold) {
-            const tabs = ['chat', 'games', 'learn', 'models'];
+            const tabs = ['chat', 'games', 'learn', 'knowledge', 'models'];
             const currentIndex = tabs.indexOf(this.currentTab);
             
             if (diff > 0 && currentIndex < tabs.length - 1) {
@@ -167,6 +428,8 @@ class NeuroSputnikApp {
             this.loadModelsList();
         } else if (tabName === 'learn') {
             this.updateLearningStatus();
+        } else if (tabName === 'knowledge') {
+            this.renderKnowledge();
         }
     }
     
@@ -174,7 +437,7 @@ class NeuroSputnikApp {
         const input = document.getElementById('messageInput');
         const message = input.value.trim();
         
-        if (!message) return;
+        if (!message || this.generationController) return;
         
         // Показываем сообщение пользователя
         this.addMessage(message, 'user');
@@ -183,58 +446,144 @@ class NeuroSputnikApp {
         // Показываем индикатор "печатает"
         const thinkingId = this.showThinkingIndicator();
         
+        this.generationController = new AbortController();
+        this.toggleStopButton(true);
+        
+        let streamDiv = null;
+        let partialResponse = '';
+        
         try {
-            // Генерируем ответ через Ollama
-            const context = this.getConversationContext();
-            const response = await this.generateAIResponse(message, context);
+            // Генерируем ответ через Ollama, выводя токены по мере поступления
+            const context = await this.getConversationContext(message);
+            const response = await this.generateAIResponse(message, context, {
+                signal: this.generationController.signal,
+                onToken: (token, text) => {
+                    partialResponse = text;
+                    if (!streamDiv) {
+                        this.removeThinkingIndicator(thinkingId);
+                        streamDiv = this.addMessage('', 'neuro');
+                    }
+                    this.updateMessage(streamDiv, text);
+                }
+            });
             
             // Убираем индикатор и показываем ответ
             this.removeThinkingIndicator(thinkingId);
-            this.addMessage(response, 'neuro');
+            if (streamDiv) {
+                this.updateMessage(streamDiv, response.text);
+            } else {
+                streamDiv = this.addMessage(response.text, 'neuro');
+            }
+            
+            // Источники из базы знаний — под ответом
+            const sources = this.getKnowledgeSources(context.passages);
+            if (sources.length > 0) this.addKnowledgeSources(streamDiv, sources);
             
             // Сохраняем в историю и датасет
-            this.saveToHistory(message, response);
-            this.datasetBuilder.recordConversation(message, response, context);
+            this.saveToHistory(message, response.text, sources);
+            // Фрагменты из базы знаний входят в контекст примера, иначе ссылки [1] в ответе
+            // научат модель выдумывать источники
+            const recordedContext = context.passages && context.passages.length > 0
+                ? `Источники:\n${this.formatKnowledge(context.passages)}\n\n${context.text}`.trim()
+                : context.text;
+            const recordId = await this.datasetBuilder.recordConversation(message, response.text, recordedContext, {
+                source: response.source
+            });
+            if (recordId) this.addFeedbackButtons(streamDiv, recordId);
             
         } catch (error) {
             this.removeThinkingIndicator(thinkingId);
-            this.addMessage(this.getFallbackResponse(message), 'neuro');
+            
+            if (error.name === 'AbortError') {
+                // Оставляем то, что успело сгенерироваться, но не учим на обрезанном ответе
+                const stoppedText = partialResponse ? `${partialResponse} ⏹` : '⏹ Генерация остановлена';
+                if (streamDiv) {
+                    this.updateMessage(streamDiv, stoppedText);
+                } else {
+                    this.addMessage(stoppedText, 'neuro');
+                }
+                if (partialResponse) this.saveToHistory(message, partialResponse);
+            } else {
+                this.addMessage(this.getSmartResponse(message), 'neuro');
+            }
+        } finally {
+            this.generationController = null;
+            this.toggleStopButton(false);
+        }
+    }
+    
+    stopGeneration() {
+        if (this.generationController) {
+            this.generationController.abort();
         }
     }
     
-    async generateAIResponse(message, context) {
+    toggleStopButton(isGenerating) {
+        document.getElementById('sendBtn').style.display = isGenerating ? 'none' : '';
+        document.getElementById('stopBtn').style.display = isGenerating ? '' : 'none';
+    }
+    
+    // Возвращает { text, source }: source 'fallback' помечает шаблонные ответы в датасете
+    async generateAIResponse(message, context, streamOptions = {}) {
         // Пробуем использовать Ollama если доступен
         if (this.ollamaEngine && this.ollamaEngine.currentModel) {
             try {
-                const prompt = this.buildPrompt(message, context);
-                return await this.ollamaEngine.generateResponse(prompt, {
+                const templateId = this.getActiveTemplateId();
+                const prompt = this.buildPrompt(message, context, templateId);
+                const text = await this.ollamaEngine.generateResponse(prompt, {
                     maxTokens: 500,
-                    temperature: 0.7
+                    temperature: 0.7,
+                    raw: true,
+                    stop: PROMPT_TEMPLATES[templateId].stop,
+                    signal: streamOptions.signal,
+                    onToken: streamOptions.onToken
                 });
+                return { text, source: 'model' };
             } catch (error) {
+                if (error.name === 'AbortError') throw error;
                 console.warn('Ollama не ответил, используем fallback');
             }
         }
         
+        // Без модели хотя бы цитируем найденное в документах
+        if (context.passages && context.passages.length > 0) {
+            const [passage] = context.passages;
+            return { text: `📖 В документе «${passage.title}» [1] сказано:\n\n${passage.text}`, source: 'fallback' };
+        }
+        
         // Fallback ответы
-        return this.getSmartResponse(message);
+        return { text: this.getSmartResponse(message), source: 'fallback' };
     }
     
-    buildPrompt(message, context) {
-        return `Ты - NeuroSputnik, умный AI помощник работающий полностью оффлайн на Android устройстве.
-
-Контекст предыдущего общения:
-${context}
-
-Текущий вопрос пользователя: ${message}
-
-Твои возможности:
-- Работа без интернета
-- Самообучение через взаимодействие
-- Игры для тренировки памяти
-- Локальная обработка данных
-
-Ответь полезно и точно:`;
+    // Промпт в формате загруженной модели: системный промпт, краткое содержание и последние реплики
+    buildPrompt(message, context, templateId = this.getActiveTemplateId()) {
+        let system = this.promptTemplates.renderSystemPrompt();
+        if (context.summary) {
+            system += `\n\nКраткое содержание беседы: ${context.summary}`;
+        }
+        if (context.passages && context.passages.length > 0) {
+            system += '\n\nФрагменты документов пользователя. Если они относятся к вопросу, отвечай по ним ' +
+                `и указывай номер источника в квадратных скобках, например [1]. Иначе не используй их.\n\n${this.formatKnowledge(context.passages)}`;
+        }
+        
+        return this.promptTemplates.buildPrompt(templateId, {
+            system,
+            history: context.messages,
+            message
+        });
+    }
+    
+    // Шаблон из настроек или определённый по метаданным текущей модели
+    getActiveTemplateId() {
+        const modelName = this.ollamaEngine ? this.ollamaEngine.currentModel || '' : '';
+        return this.promptTemplates.resolveTemplateId(modelName, this.getCurrentModelInfo());
+    }
+    
+    // Метаданные текущей модели: заголовок GGUF у WASM движка, details у Ollama сервера
+    getCurrentModelInfo() {
+        const model = this.ollamaEngine && this.ollamaEngine.models[this.ollamaEngine.currentModel];
+        if (!model) return {};
+        return { ...(model.info || {}), details: model.details };
     }
     
     getSmartResponse(message) {
@@ -258,7 +607,7 @@ ${context}
         return `🤔 "${message}" - интересный вопрос!
 
 Я работаю в оффлайн режиме, но могу:
-• Ответить на основе своих знаний
+• Найти ответ в твоих документах (вкладка "📖 Знания")
 • Помочь с программированием
 • Объяснить сложные темы
 • Сыграть с тобой в обучающие игры
@@ -266,6 +615,177 @@ ${context}
 Попробуй задать вопрос по-другому или зайди в игры для моего обучения! 🚀`;
     }
     
+    // База знаний: фрагменты документов для промпта, не больше трети бюджета контекста
+    async retrieveKnowledge(message) {
+        if (!this.settings.knowledgeEnabled || !this.knowledgeBase || this.knowledgeBase.isEmpty()) return [];
+        
+        let passages;
+        try {
+            passages = await this.knowledgeBase.search(message, { limit: this.settings.knowledgePassages });
+        } catch (error) {
+            console.warn('⚠️ Поиск по базе знаний не удался:', error);
+            return [];
+        }
+        
+        const limit = Math.floor(this.contextBuilder.getBudget() / 3);
+        const selected = [];
+        let used = 0;
+        for (const passage of passages) {
+            const tokens = await this.contextBuilder.countTokens(passage.text);
+            if (used + tokens > limit) break;
+            used += tokens;
+            selected.push(passage);
+        }
+        
+        return selected;
+    }
+    
+    formatKnowledge(passages) {
+        return passages.map((passage, index) => `[${index + 1}] ${passage.title}: ${passage.text}`).join('\n\n');
+    }
+    
+    // Источники для истории диалога: название документа и начало фрагмента
+    getKnowledgeSources(passages = []) {
+        return passages.map(passage => ({
+            documentId: passage.documentId,
+            title: passage.title,
+            excerpt: passage.text.length > 300 ? `${passage.text.slice(0, 300)}…` : passage.text
+        }));
+    }
+    
+    addKnowledgeSources(messageDiv, sources) {
+        const details = document.createElement('details');
+        details.className = 'message-sources';
+        details.innerHTML = `
+            <summary>📎 Источники: ${sources.map((source, index) => `[${index + 1}] ${this.escapeHtml(source.title)}`).join(', ')}</summary>
+            <ol>
+                ${sources.map(source => `<li>${this.escapeHtml(source.excerpt)}</li>`).join('')}
+            </ol>
+        `;
+        messageDiv.appendChild(details);
+    }
+    
+    async importKnowledgeFiles(input) {
+        const files = Array.from(input.files);
+        if (files.length === 0) return;
+        
+        const status = document.getElementById('knowledgeStatus');
+        const errors = [];
+        let added = 0;
+        
+        for (const [index, file] of files.entries()) {
+            status.textContent = `⏳ Обрабатываем ${file.name} (${index + 1}/${files.length})...`;
+            
+            const duplicate = this.knowledgeBase.getDocuments()
+                .find(doc => doc.fileName === file.name && doc.size === file.size);
+            if (duplicate) {
+                errors.push(`${file.name}: уже добавлен`);
+                continue;
+            }
+            
+            try {
+                const extracted = await this.documentExtractor.extract(file);
+                await this.knowledgeBase.addDocument(extracted, { fileName: file.name, size: file.size });
+                added++;
+            } catch (error) {
+                console.error(`❌ Документ ${file.name} не добавлен:`, error);
+                errors.push(error.message);
+            }
+        }
+        
+        input.value = '';
+        status.textContent = `✅ Добавлено документов: ${added} из ${files.length}`;
+        if (errors.length > 0) {
+            alert(`⚠️ Не все документы добавлены:\n${errors.join('\n')}`);
+        }
+        
+        this.renderKnowledge();
+    }
+    
+    async deleteKnowledgeDocument(id) {
+        const doc = this.knowledgeBase.getDocuments().find(candidate => candidate.id === id);
+        if (!doc || !confirm(`Удалить документ «${doc.title}» из базы знаний?`)) return;
+        
+        try {
+            await this.knowledgeBase.deleteDocument(id);
+        } catch (error) {
+            alert(`❌ Не удалось удалить документ: ${error.message}`);
+        }
+        this.renderKnowledge();
+    }
+    
+    async rebuildKnowledgeIndex() {
+        const button = document.getElementById('rebuildKnowledgeBtn');
+        const status = document.getElementById('knowledgeStatus');
+        button.disabled = true;
+        status.textContent = '⏳ Пересобираем индекс...';
+        
+        try {
+            const count = await this.knowledgeBase.rebuildIndex();
+            status.textContent = `✅ Индекс пересобран: ${count} фрагментов`;
+        } catch (error) {
+            console.error('❌ Ошибка пересборки индекса:', error);
+            status.textContent = `❌ Не удалось пересобрать индекс: ${error.message}`;
+        } finally {
+            button.disabled = false;
+        }
+    }
+    
+    saveKnowledgeSettings() {
+        this.settings.knowledgeEnabled = document.getElementById('knowledgeEnabled').checked;
+        this.settings.knowledgePassages = Math.min(Math.max(parseInt(document.getElementById('knowledgePassages').value) || 3, 1), 8);
+        this.saveToStorage('settings', this.settings);
+        this.renderKnowledge();
+    }
+    
+    renderKnowledge() {
+        document.getElementById('knowledgeEnabled').checked = this.settings.knowledgeEnabled;
+        document.getElementById('knowledgePassages').value = this.settings.knowledgePassages;
+        
+        const documents = this.knowledgeBase.getDocuments();
+        const list = document.getElementById('knowledgeList');
+        
+        if (documents.length === 0) {
+            list.innerHTML = '<p style="margin: 10px 0; font-size: 0.9em;">Документов пока нет</p>';
+            return;
+        }
+        
+        list.innerHTML = documents.map(doc => `
+            <div style="background: rgba(255,255,255,0.1); padding: 15px; border-radius: 10px; margin: 10px 0;">
+                <h4>${this.escapeHtml(doc.title)}</h4>
+                <p style="font-size: 0.85em; opacity: 0.8;">
+                    ${DOCUMENT_TYPES[doc.type]} · ${this.escapeHtml(doc.fileName)} · ${doc.chunkCount} фрагментов ·
+                    ${new Date(doc.createdAt).toLocaleString()}
+                </p>
+                <button class="send-btn" style="margin-top: 10px; background: rgba(255,255,255,0.2);" onclick="app.deleteKnowledgeDocument('${doc.id}')">
+                    🗑️ Удалить
+                </button>
+            </div>
+        `).join('');
+    }
+    
+    // Что найдёт поиск по вопросу — помогает понять, почему модель ответила так
+    async renderKnowledgeResults() {
+        const query = document.getElementById('knowledgeQuery').value.trim();
+        const results = document.getElementById('knowledgeResults');
+        
+        if (!query) {
+            results.innerHTML = '';
+            return;
+        }
+        
+        const passages = await this.knowledgeBase.search(query, { limit: this.settings.knowledgePassages });
+        results.innerHTML = passages.length === 0
+            ? '<p style="margin: 10px 0;">Ничего не найдено</p>'
+            : passages.map((passage, index) => `
+                <div style="background: rgba(255,255,255,0.1); padding: 15px; border-radius: 10px; margin: 10px 0;">
+                    <strong>[${index + 1}] ${this.escapeHtml(passage.title)}</strong>
+                    <span style="opacity: 0.7;">· BM25 ${passage.score.toFixed(2)}</span>
+                    <p style="margin-top: 5px;">${this.escapeHtml(passage.text)}</p>
+                </div>
+            `).join('');
+    }
+    
     // Методы для работы с играми
     openGame(gameName) {
         const gameUrls = {
@@ -287,6 +807,11 @@ ${context}
     
     // Методы для обучения AI
     async startTraining() {
+        if (this.trainingJobs.isRunning()) {
+            alert('⏳ Обучение уже идёт');
+            return;
+        }
+        
         const trainingData = this.datasetBuilder.prepareTrainingData();
         
         if (trainingData.length === 0) {
@@ -294,98 +819,824 @@ ${context}
             return;
         }
         
+        const epochs = Math.min(Math.max(parseInt(document.getElementById('trainingEpochs').value) || 3, 1), 50);
         this.updateTrainingProgress(0, 'Подготовка данных...');
         
         try {
             // Конвертируем данные в формат для Ollama
             const formattedData = this.formatTrainingData(trainingData);
             
-            // Запускаем обучение
-            const success = await this.ollamaEngine.trainOnData(formattedData, 3);
+            // Без оценки текущей версии сравнивать результат обучения будет не с чем
+            await this.ensureBaselineEvaluation();
             
-            if (success) {
-                this.updateTrainingProgress(100, 'Обучение завершено!');
-                alert('✅ AI успешно дообучен на новых данных!');
-            } else {
-                throw new Error('Ошибка обучения');
-            }
+            // Снимок до обучения — к нему можно откатиться, если модель станет хуже
+            const datasetHash = await SnapshotStore.hashDataset(formattedData);
+            const before = await this.ensureSnapshot('before-training', { datasetHash });
+            
+            const job = await this.trainingJobs.start(formattedData, {
+                epochs,
+                metadata: { snapshotId: before ? before.id : null, datasetHash }
+            });
+            await this.finishTraining(job);
             
         } catch (error) {
             console.error('Ошибка обучения:', error);
-            alert('❌ Ошибка при обучении AI');
+            this.updateTrainingProgress(0, `Ошибка: ${error.message}`);
+            alert(`❌ Ошибка при обучении AI: ${error.message}`);
         }
     }
     
-    formatTrainingData(trainingData) {
-        return trainingData.map(example => ({
-            input: example.input,
-            output: example.output,
-            weight: example.weight
-        }));
+    // Продолжает задание, прерванное закрытием приложения
+    async resumeTrainingJob() {
+        const job = this.trainingJobs.getResumableJob();
+        if (!job) return;
+        
+        try {
+            await this.finishTraining(await this.trainingJobs.resume(job.id));
+        } catch (error) {
+            console.error('Ошибка продолжения обучения:', error);
+            alert(`❌ Не удалось продолжить обучение: ${error.message}`);
+            this.renderTrainingControls();
+        }
     }
     
-    updateTrainingProgress(percent, message) {
-        const progressBar = document.getElementById('progressBar');
-        const progressText = document.getElementById('trainingProgress');
+    async finishTraining(job) {
+        // Веса меняются уже после первого батча, даже если задание отменили
+        if (job.step > 0) {
+            this.modelVersions[job.model] = job.id;
+        }
         
-        if (progressBar) progressBar.style.width = percent + '%';
-        if (progressText) progressText.textContent = message;
+        const review = job.status === TRAINING_STATUSES.COMPLETED
+            ? await this.reviewTrainedModel(job)
+            : null;
+        
+        // Оставленную версию сохраняем снимком и загружаем её при следующем запуске
+        if (job.step > 0 && (!review || review.kept)) {
+            await this.saveTrainedSnapshot(job, review);
+        }
+        
+        this.datasetBuilder.recordLearningSession({
+            jobId: job.id,
+            examples: job.exampleCount,
+            epochs: job.completedEpochs,
+            model: job.model,
+            metrics: job.history[job.history.length - 1] || null,
+            evaluation: review ? review.result.metrics : null,
+            kept: review ? review.kept : true,
+            success: job.status === TRAINING_STATUSES.COMPLETED
+        });
+        
+        this.updateLearningStatus();
+        
+        if (job.status === TRAINING_STATUSES.COMPLETED) {
+            this.updateTrainingProgress(100, 'Обучение завершено!');
+            if (!review || review.kept) alert('✅ AI успешно дообучен на новых данных!');
+        } else if (job.status === TRAINING_STATUSES.CANCELLED) {
+            this.updateTrainingProgress(0, `Обучение отменено после ${job.completedEpochs} из ${job.epochs} эпох`);
+        } else {
+            throw new Error(job.error || 'Ошибка обучения');
+        }
     }
     
-    // Вспомогательные методы UI
-    addMessage(text, type) {
-        const messagesDiv = document.getElementById('messages');
-        const messageDiv = document.createElement('div');
-        messageDiv.className = `message ${type}-message`;
-        messageDiv.innerHTML = `<strong>${type === 'user' ? 'Вы' : 'NeuroSputnik'}:</strong> ${this.formatMessage(text)}`;
-        messagesDiv.appendChild(messageDiv);
-        messagesDiv.scrollTop = messagesDiv.scrollHeight;
+    handleTrainingProgress({ job, percent }) {
+        const loss = job.lossHistory[job.lossHistory.length - 1];
+        const parts = [
+            `Эпоха ${job.currentEpoch}/${job.epochs}`,
+            `батч ${job.currentBatch}/${job.totalBatches}`
+        ];
+        if (loss && loss.step === job.step) parts.push(`loss ${loss.loss.toFixed(3)}`);
+        
+        this.updateTrainingProgress(percent, parts.join(' · '));
+        this.drawLossChart(job);
     }
     
-    formatMessage(text) {
-        // Форматируем сообщения для лучшего отображения
-        return text.replace(/\n/g, '<br>')
-                  .replace(/\*(.*?)\*/g, '<strong>$1</strong>')
-                  .replace(/_(.*?)_/g, '<em>$1</em>');
+    renderTrainingControls() {
+        const job = this.trainingJobs.activeJob;
+        const resumable = this.trainingJobs.getResumableJob();
+        const show = (id, visible) => { document.getElementById(id).style.display = visible ? '' : 'none'; };
+        
+        show('startTrainingBtn', !job);
+        show('pauseTrainingBtn', job && job.status === TRAINING_STATUSES.RUNNING);
+        show('continueTrainingBtn', job && job.status === TRAINING_STATUSES.PAUSED);
+        show('cancelTrainingBtn', Boolean(job));
+        show('resumeTrainingJobBtn', !job && resumable);
+        
+        if (job && job.status === TRAINING_STATUSES.PAUSED) {
+            document.getElementById('trainingProgress').textContent =
+                `⏸️ Пауза: эпоха ${job.currentEpoch}/${job.epochs}, батч ${job.currentBatch}/${job.totalBatches}`;
+        } else if (!job && resumable) {
+            document.getElementById('trainingProgress').textContent =
+                `Обучение прервано после ${resumable.completedEpochs} из ${resumable.epochs} эпох`;
+        }
     }
     
-    showThinkingIndicator() {
-        const messagesDiv = document.getElementById('messages');
-        const thinkingDiv = document.createElement('div');
-        thinkingDiv.className = 'message neuro-message';
-        thinkingDiv.id = 'thinkingMsg';
-        thinkingDiv.innerHTML = '<strong>NeuroSputnik:</strong> <em>печатает...</em>';
-        messagesDiv.appendChild(thinkingDiv);
-        messagesDiv.scrollTop = messagesDiv.scrollHeight;
-        return 'thinkingMsg';
+    // График loss по шагам последнего задания
+    drawLossChart(job = this.trainingJobs.getLatestJob()) {
+        const canvas = document.getElementById('lossChart');
+        const points = job ? job.lossHistory : [];
+        canvas.style.display = points.length > 1 ? 'block' : 'none';
+        if (points.length < 2) return;
+        
+        const width = canvas.width = canvas.clientWidth * (window.devicePixelRatio || 1);
+        const height = canvas.height = canvas.clientHeight * (window.devicePixelRatio || 1);
+        const ctx = canvas.getContext('2d');
+        const padding = 6 * (window.devicePixelRatio || 1);
+        
+        const losses = points.map(point => point.loss);
+        const min = Math.min(...losses);
+        const range = (Math.max(...losses) - min) || 1;
+        const firstStep = points[0].step;
+        const stepRange = (points[points.length - 1].step - firstStep) || 1;
+        
+        ctx.clearRect(0, 0, width, height);
+        ctx.strokeStyle = '#4ECDC4';
+        ctx.lineWidth = 2 * (window.devicePixelRatio || 1);
+        ctx.beginPath();
+        points.forEach((point, index) => {
+            const x = padding + (point.step - firstStep) / stepRange * (width - padding * 2);
+            const y = padding + (1 - (point.loss - min) / range) * (height - padding * 2);
+            if (index === 0) ctx.moveTo(x, y); else ctx.lineTo(x, y);
+        });
+        ctx.stroke();
+        
+        ctx.fillStyle = 'rgba(255,255,255,0.7)';
+        ctx.font = `${11 * (window.devicePixelRatio || 1)}px sans-serif`;
+        ctx.fillText(`loss ${losses[losses.length - 1].toFixed(3)}`, padding, height - padding);
     }
     
-    removeThinkingIndicator(id) {
-        const element = document.getElementById(id);
-        if (element) element.remove();
+    // Версия модели: исходные веса или id задания обучения, изменившего их
+    getModelVersion(model = this.ollamaEngine.currentModel) {
+        return this.modelVersions[model] || 'base';
     }
     
-    getConversationContext() {
-        return this.conversationHistory.slice(-3).map(msg => 
-            `${msg.role}: ${msg.content}`
-        ).join('\n');
+    // Ответ модели на проверочный вопрос: без истории, с минимальной случайностью
+    async generateEvaluationAnswer(example, signal) {
+        const templateId = this.getActiveTemplateId();
+        const prompt = this.buildPrompt(example.input, { summary: '', messages: [] }, templateId);
+        
+        return this.ollamaEngine.generateResponse(prompt, {
+            maxTokens: 200,
+            temperature: 0,
+            raw: true,
+            stop: PROMPT_TEMPLATES[templateId].stop,
+            signal
+        });
     }
     
-    saveToHistory(userMessage, aiResponse) {
-        this.conversationHistory.push(
-            { role: 'user', content: userMessage },
-            { role: 'assistant', content: aiResponse }
-        );
+    // Оценивает текущую модель; null — если оценка не удалась или её остановили
+    async evaluateModel() {
+        const model = this.ollamaEngine.currentModel;
+        const status = document.getElementById('evaluationStatus');
+        this.evaluationController = new AbortController();
+        this.renderEvaluationControls();
         
-        // Ограничиваем историю 20 сообщениями
-        if (this.conversationHistory.length > 20) {
-            this.conversationHistory = this.conversationHistory.slice(-20);
+        try {
+            return await this.evaluator.run({
+                model,
+                version: this.getModelVersion(model),
+                signal: this.evaluationController.signal,
+                onProgress: ({ done, total }) => {
+                    status.textContent = `Проверка: ${done}/${total}`;
+                }
+            });
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('❌ Ошибка оценки модели:', error);
+            }
+            status.textContent = error.name === 'AbortError' ? 'Проверка остановлена' : `Ошибка: ${error.message}`;
+            return null;
+        } finally {
+            this.evaluationController = null;
+            this.renderEvaluationControls();
         }
-        
-        this.saveToStorage('conversation_history', this.conversationHistory);
     }
     
-    // Работа с хранилищем
+    async toggleEvaluation() {
+        if (this.evaluationController) {
+            this.evaluationController.abort();
+            return;
+        }
+        if (!this.ollamaEngine.currentModel) {
+            alert('❌ Модель не загружена');
+            return;
+        }
+        if (this.evaluator.getSamples().length === 0) {
+            alert('❌ Нет отложенных примеров для проверки. Пообщайся ещё немного!');
+            return;
+        }
+        
+        if (await this.evaluateModel()) {
+            await this.renderEvaluation();
+        }
+    }
+    
+    async ensureBaselineEvaluation() {
+        const model = this.ollamaEngine.currentModel;
+        if (!model || this.evaluator.getSamples().length === 0) return;
+        if (await this.evaluator.getLatest(model, this.getModelVersion(model))) return;
+        
+        this.updateTrainingProgress(0, 'Проверка модели до обучения...');
+        await this.evaluateModel();
+    }
+    
+    // Сравнивает обученную модель с предыдущей версией и спрашивает, оставлять ли её при ухудшении
+    async reviewTrainedModel(job) {
+        if (this.evaluator.getSamples().length === 0) return null;
+        
+        this.updateTrainingProgress(100, 'Проверка модели после обучения...');
+        const previous = await this.evaluator.getPrevious(job.model, job.id);
+        const result = await this.evaluateModel();
+        if (!result) return null;
+        
+        await this.renderEvaluation();
+        if (!previous) return { result, kept: true };
+        
+        const comparison = this.evaluator.compare(previous, result);
+        if (!comparison.regressed) return { result, kept: true };
+        
+        const details = comparison.regressions
+            .map(key => `${EVALUATION_METRICS[key]}: ${this.formatScore(previous.metrics[key])} → ${this.formatScore(result.metrics[key])}`)
+            .join('\n');
+        if (confirm(`⚠️ После обучения модель стала хуже:\n${details}\n\nОставить новую версию?`)) {
+            return { result, kept: true };
+        }
+        
+        await this.revertTrainedModel(job);
+        return { result, kept: false };
+    }
+    
+    // Возвращает веса из снимка до обучения, а без него — скачанную модель
+    async revertTrainedModel(job) {
+        const snapshotId = (job.metadata || {}).snapshotId;
+        const reverted = snapshotId
+            ? await this.restoreSnapshot(snapshotId, { silent: true })
+            : await this.loadLocalModel(job.model);
+        
+        if (reverted) {
+            this.updateTrainingProgress(0, 'Модель возвращена к версии до обучения');
+        } else {
+            alert('❌ Не удалось вернуть модель к версии до обучения');
+        }
+    }
+    
+    // Снимки весов
+    // Выбранный для модели снимок: его веса загружаются вместо скачанных
+    async getSelectedSnapshot(modelId) {
+        const snapshotId = this.settings.modelSnapshots[modelId];
+        return snapshotId ? this.snapshotStore.get(snapshotId) : null;
+    }
+    
+    selectSnapshot(snapshot) {
+        if (snapshot.hasData) {
+            this.settings.modelSnapshots[snapshot.model] = snapshot.id;
+        } else {
+            delete this.settings.modelSnapshots[snapshot.model];
+        }
+        this.saveToStorage('settings', this.settings);
+    }
+    
+    // Снимок текущей версии модели; существующий снимок той же версии переиспользуется.
+    // Исходная версия сохраняется без весов — они уже лежат в скачанной модели
+    async ensureSnapshot(kind, details = {}) {
+        const model = this.ollamaEngine.currentModel;
+        const version = this.getModelVersion(model);
+        
+        try {
+            const existing = await this.snapshotStore.findByVersion(model, version);
+            if (existing) return existing;
+            
+            const evaluation = await this.evaluator.getLatest(model, version);
+            const isBase = version === 'base' && await this.modelManager.isVerified(model);
+            
+            return await this.snapshotStore.create({
+                model,
+                version,
+                kind: isBase ? 'base' : kind,
+                data: isBase ? null : await this.ollamaEngine.exportCheckpoint(),
+                info: this.ollamaEngine.models[model].info || null,
+                evaluation: evaluation ? evaluation.metrics : null,
+                ...details
+            });
+        } catch (error) {
+            console.warn('⚠️ Снимок модели не сохранён:', error.message);
+            return null;
+        }
+    }
+    
+    async saveTrainedSnapshot(job, review) {
+        const metadata = job.metadata || {};
+        
+        try {
+            const snapshot = await this.snapshotStore.create({
+                model: job.model,
+                version: job.id,
+                kind: 'after-training',
+                data: await this.ollamaEngine.exportCheckpoint(),
+                info: this.ollamaEngine.models[job.model].info || null,
+                datasetHash: metadata.datasetHash || null,
+                epochs: job.completedEpochs,
+                evaluation: review ? review.result.metrics : null,
+                parentId: metadata.snapshotId || null
+            });
+            this.selectSnapshot(snapshot);
+        } catch (error) {
+            console.warn('⚠️ Снимок после обучения не сохранён:', error);
+            alert(`⚠️ Обученная версия не сохранена и пропадёт после перезапуска: ${error.message}`);
+        }
+    }
+    
+    // Загружает веса снимка в движок и делает их версией по умолчанию для модели
+    async restoreSnapshot(snapshotId, { silent = false } = {}) {
+        if (this.trainingJobs.isRunning()) {
+            alert('⏳ Дождитесь окончания обучения');
+            return false;
+        }
+        
+        try {
+            const snapshot = await this.snapshotStore.get(snapshotId);
+            if (!snapshot) {
+                throw new Error('Снимок не найден');
+            }
+            if (this.activeBackend === 'http') {
+                throw new Error('снимки загружаются только в модели на устройстве');
+            }
+            
+            const data = snapshot.hasData
+                ? await this.snapshotStore.getData(snapshot.id)
+                : await this.modelManager.getModelData(snapshot.model);
+            const info = (await this.modelManager.getModelInfo(snapshot.model)) || snapshot.info;
+            
+            if (!(await this.ollamaEngine.loadModel(snapshot.model, data, info))) {
+                throw new Error('Движок не смог загрузить веса');
+            }
+            
+            this.modelVersions[snapshot.model] = snapshot.version;
+            this.selectSnapshot(snapshot);
+            this.contextBuilder.setEngine(this.ollamaEngine);
+            this.updateContextStatus(null);
+            this.updateLearningStatus();
+            
+            console.log(`↩️ Модель ${snapshot.model} откачена к снимку ${snapshot.id}`);
+            if (!silent) alert(`✅ Загружена версия «${SNAPSHOT_KINDS[snapshot.kind]}» от ${new Date(snapshot.createdAt).toLocaleString()}`);
+            return true;
+            
+        } catch (error) {
+            console.error('❌ Не удалось загрузить снимок:', error);
+            if (!silent) alert(`❌ Не удалось загрузить снимок: ${error.message}`);
+            return false;
+        }
+    }
+    
+    async exportSnapshot(snapshotId) {
+        try {
+            const snapshot = await this.snapshotStore.get(snapshotId);
+            // У исходной версии своих весов нет — берём скачанную модель
+            const data = snapshot.hasData ? null : await this.modelManager.getModelData(snapshot.model);
+            const blob = await this.snapshotStore.exportFile(snapshotId, data);
+            
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `${snapshot.model}-${new Date(snapshot.createdAt).toISOString().slice(0, 10)}-${snapshot.id.slice(-6)}.nssnap`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
+            
+        } catch (error) {
+            console.error('❌ Ошибка экспорта снимка:', error);
+            alert(`❌ Не удалось экспортировать снимок: ${error.message}`);
+        }
+    }
+    
+    // Экспорт текущих весов: сохраняем снимок текущей версии и скачиваем его файлом
+    async exportCurrentModel() {
+        if (!this.ollamaEngine.currentModel) {
+            alert('❌ Модель не загружена');
+            return;
+        }
+        
+        const snapshot = await this.ensureSnapshot('manual');
+        if (!snapshot) {
+            alert('❌ Движок не умеет экспортировать веса модели');
+            return;
+        }
+        
+        await this.exportSnapshot(snapshot.id);
+        this.renderSnapshots();
+    }
+    
+    async importSnapshot(file) {
+        if (!file) return;
+        
+        try {
+            const snapshot = await this.snapshotStore.importFile(file);
+            alert(`📥 Снимок модели ${snapshot.model} импортирован. Нажмите «Откатить», чтобы загрузить его.`);
+        } catch (error) {
+            console.error('❌ Ошибка импорта снимка:', error);
+            alert(`❌ Не удалось импортировать снимок: ${error.message}`);
+        }
+        
+        document.getElementById('snapshotFile').value = '';
+        this.renderSnapshots();
+    }
+    
+    async deleteSnapshot(snapshotId) {
+        const snapshot = await this.snapshotStore.get(snapshotId);
+        if (!snapshot || !confirm('🗑️ Удалить эту версию модели?')) return;
+        
+        await this.snapshotStore.delete(snapshotId);
+        if (this.settings.modelSnapshots[snapshot.model] === snapshotId) {
+            delete this.settings.modelSnapshots[snapshot.model];
+            this.saveToStorage('settings', this.settings);
+        }
+        this.renderSnapshots();
+    }
+    
+    async renderSnapshots() {
+        const container = document.getElementById('snapshotList');
+        const snapshots = await this.snapshotStore.list();
+        
+        if (snapshots.length === 0) {
+            container.innerHTML = '<p style="font-size: 0.9em;">Снимков пока нет: они появятся при обучении или экспорте модели.</p>';
+            return;
+        }
+        
+        container.innerHTML = snapshots.map(snapshot => {
+            const isActive = snapshot.model === this.ollamaEngine.currentModel &&
+                snapshot.version === this.getModelVersion(snapshot.model);
+            const evaluation = snapshot.evaluation;
+            const rows = [
+                ['Создан', new Date(snapshot.createdAt).toLocaleString()],
+                ['Эпох', snapshot.epochs || null],
+                ['Размер', snapshot.hasData ? `${Math.round(snapshot.size / 1024 / 1024)}MB` : 'веса скачанной модели'],
+                ['Датасет', snapshot.datasetHash ? snapshot.datasetHash.slice(0, 12) : null],
+                ['Оценка', evaluation ? `F1 ${this.formatScore(evaluation.tokenF1)}, ROUGE-L ${this.formatScore(evaluation.rougeL)}` : null]
+            ].filter(([, value]) => value);
+            
+            return `
+                <div style="background: rgba(255,255,255,0.1); padding: 15px; border-radius: 10px; margin: 10px 0;">
+                    <h4>${SNAPSHOT_KINDS[snapshot.kind]} · ${this.escapeHtml(snapshot.model)}${isActive ? ' ✅' : ''}</h4>
+                    <ul style="margin: 5px 0 5px 20px; font-size: 0.85em;">
+                        ${rows.map(([title, value]) => `<li>${title}: ${this.escapeHtml(String(value))}</li>`).join('')}
+                    </ul>
+                    <div style="display: flex; flex-wrap: wrap; gap: 10px; margin-top: 10px;">
+                        ${!isActive ? `<button class="send-btn" onclick="app.restoreSnapshot('${snapshot.id}')">↩️ Откатить</button>` : ''}
+                        <button class="send-btn" onclick="app.exportSnapshot('${snapshot.id}')">💾 Экспорт</button>
+                        <button class="send-btn" style="background: rgba(255,255,255,0.2);" onclick="app.deleteSnapshot('${snapshot.id}')">🗑️ Удалить</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    renderEvaluationControls() {
+        const button = document.getElementById('runEvaluationBtn');
+        button.textContent = this.evaluationController ? '⏹️ Остановить проверку' : '🧪 Проверить модель';
+    }
+    
+    // Последняя оценка текущей версии модели рядом с предыдущей версией
+    async renderEvaluation() {
+        const container = document.getElementById('evaluationResults');
+        const model = this.ollamaEngine.currentModel;
+        document.getElementById('evalCount').textContent = this.datasetBuilder.prepareEvaluationData().length;
+        
+        if (!model) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        const version = this.getModelVersion(model);
+        const [current, previous] = await Promise.all([
+            this.evaluator.getLatest(model, version),
+            this.evaluator.getPrevious(model, version)
+        ]);
+        
+        if (!current) {
+            container.innerHTML = '<p style="font-size: 0.9em;">Текущая версия модели ещё не проверялась.</p>';
+            return;
+        }
+        
+        const comparison = previous ? this.evaluator.compare(previous, current) : null;
+        const rows = Object.entries(EVALUATION_METRICS).map(([key, title]) => {
+            let value = this.formatScore(current.metrics[key]);
+            if (comparison && comparison.deltas[key] !== undefined) {
+                const delta = Math.round(comparison.deltas[key] * 100);
+                const mark = comparison.regressions.includes(key) ? ' ⚠️' : '';
+                value += ` (${delta >= 0 ? '+' : ''}${delta}${mark})`;
+            }
+            return `<li>${title}: ${value}</li>`;
+        });
+        
+        container.innerHTML = `
+            <p style="font-size: 0.9em;">
+                ${version === 'base' ? 'Исходная версия' : 'После обучения'},
+                ${current.sampleCount} примеров, ${new Date(current.createdAt).toLocaleString()}
+                ${previous ? '<br>В скобках — изменение относительно предыдущей версии' : ''}
+            </p>
+            <ul style="margin: 5px 0 5px 20px; font-size: 0.85em;">${rows.join('')}</ul>
+            ${comparison && comparison.regressed ? '<p style="font-size: 0.9em;">⚠️ Модель стала хуже предыдущей версии</p>' : ''}
+        `;
+    }
+    
+    formatScore(value) {
+        return value === null || value === undefined ? '—' : `${Math.round(value * 100)}%`;
+    }
+    
+    formatTrainingData(trainingData) {
+        return trainingData.map(example => ({
+            input: example.input,
+            output: example.output,
+            weight: example.weight
+        }));
+    }
+    
+    updateTrainingProgress(percent, message) {
+        const progressBar = document.getElementById('progressBar');
+        const progressText = document.getElementById('trainingProgress');
+        
+        if (progressBar) progressBar.style.width = percent + '%';
+        if (progressText) progressText.textContent = message;
+    }
+    
+    // Вспомогательные методы UI
+    addMessage(text, type) {
+        const messagesDiv = document.getElementById('messages');
+        const messageDiv = document.createElement('div');
+        messageDiv.className = `message ${type}-message`;
+        messageDiv.innerHTML = `<strong>${type === 'user' ? 'Вы' : 'NeuroSputnik'}:</strong> ${this.formatMessage(text)}`;
+        messagesDiv.appendChild(messageDiv);
+        messagesDiv.scrollTop = messagesDiv.scrollHeight;
+        return messageDiv;
+    }
+    
+    // 👍/👎 под ответом: оценка попадает в вес примера в датасете
+    addFeedbackButtons(messageDiv, recordId) {
+        const feedback = document.createElement('div');
+        feedback.className = 'message-feedback';
+        feedback.innerHTML = `
+            <button class="thread-action" data-rating="1" title="Хороший ответ">👍</button>
+            <button class="thread-action" data-rating="-1" title="Плохой ответ">👎</button>
+        `;
+        
+        feedback.addEventListener('click', async (e) => {
+            const button = e.target.closest('[data-rating]');
+            if (!button) return;
+            
+            const conversation = this.datasetBuilder.getConversation(recordId);
+            const rating = parseInt(button.dataset.rating);
+            const newRating = conversation && conversation.rating === rating ? 0 : rating;
+            
+            await this.datasetBuilder.rateConversation(recordId, newRating);
+            feedback.querySelectorAll('[data-rating]').forEach(btn => {
+                btn.classList.toggle('active', parseInt(btn.dataset.rating) === newRating);
+            });
+        });
+        
+        messageDiv.appendChild(feedback);
+    }
+    
+    updateMessage(messageDiv, text) {
+        const messagesDiv = document.getElementById('messages');
+        messageDiv.innerHTML = `<strong>NeuroSputnik:</strong> ${this.formatMessage(text)}`;
+        messagesDiv.scrollTop = messagesDiv.scrollHeight;
+    }
+    
+    formatMessage(text) {
+        // Форматируем сообщения для лучшего отображения. Текст сначала экранируем:
+        // в нём бывает вывод модели и фрагменты документов из базы знаний
+        return this.escapeHtml(text)
+                  .replace(/\n/g, '<br>')
+                  .replace(/\*(.*?)\*/g, '<strong>$1</strong>')
+                  .replace(/_(.*?)_/g, '<em>$1</em>');
+    }
+    
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        // Кавычки тоже: результат подставляется и в значения атрибутов
+        return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+    }
+    
+    showThinkingIndicator() {
+        const messagesDiv = document.getElementById('messages');
+        const thinkingDiv = document.createElement('div');
+        thinkingDiv.className = 'message neuro-message';
+        thinkingDiv.id = 'thinkingMsg';
+        thinkingDiv.innerHTML = '<strong>NeuroSputnik:</strong> <em>печатает...</em>';
+        messagesDiv.appendChild(thinkingDiv);
+        messagesDiv.scrollTop = messagesDiv.scrollHeight;
+        return 'thinkingMsg';
+    }
+    
+    removeThinkingIndicator(id) {
+        const element = document.getElementById(id);
+        if (element) element.remove();
+    }
+    
+    // Последние реплики под бюджет токенов, более ранние — кратким содержанием.
+    // Возвращает { summary, messages, text }: text — плоская запись для датасета
+    async getConversationContext(message) {
+        const thread = (await this.conversationStore.getThread(this.currentThreadId)) || {};
+        
+        // Системный промпт, разметка шаблона и фрагменты документов занимают часть бюджета,
+        // остальное — история диалога. Считаем их по тому же промпту, что уйдёт в модель, без реплик
+        const passages = await this.retrieveKnowledge(message);
+        const promptTokens = await this.contextBuilder.countTokens(
+            this.buildPrompt('', { summary: '', messages: [], passages })
+        );
+        const context = await this.contextBuilder.build(this.conversationHistory, thread, message, promptTokens);
+        
+        if (context.summaryChanged && thread.id) {
+            await this.conversationStore.updateSummary(thread.id, thread.summary, thread.summarizedCount);
+        }
+        
+        this.updateContextStatus(context);
+        
+        const lines = context.messages.map(msg => `${msg.role}: ${msg.content}`);
+        if (context.summary) {
+            lines.unshift(`Краткое содержание беседы: ${context.summary}`);
+        }
+        
+        return {
+            summary: context.summary,
+            messages: context.messages,
+            passages,
+            text: lines.join('\n')
+        };
+    }
+    
+    updateContextStatus(context) {
+        const status = document.getElementById('contextStatus');
+        
+        if (!context) {
+            status.textContent = `🧠 —/${this.contextBuilder.getBudget()}`;
+            return;
+        }
+        
+        const percent = context.budget ? Math.round(context.usedTokens / context.budget * 100) : 0;
+        status.textContent = `🧠 ${context.usedTokens}/${context.budget}`;
+        status.title = `Контекст заполнен на ${percent}%${context.summary ? ', ранние реплики свернуты' : ''}`;
+    }
+    
+    async saveToHistory(userMessage, aiResponse, sources = []) {
+        const threadId = this.currentThreadId;
+        
+        this.conversationHistory.push(
+            { role: 'user', content: userMessage },
+            { role: 'assistant', content: aiResponse, sources }
+        );
+        
+        try {
+            await this.conversationStore.addMessage(threadId, 'user', userMessage);
+            await this.conversationStore.addMessage(threadId, 'assistant', aiResponse, sources.length > 0 ? { sources } : {});
+            await this.refreshThreadList();
+        } catch (error) {
+            console.warn('Не удалось сохранить сообщение в диалог:', error);
+        }
+    }
+    
+    // Работа с диалогами
+    async createThread() {
+        if (this.generationController) return;
+        
+        const thread = await this.conversationStore.createThread();
+        await this.openThread(thread.id);
+        this.threadListView.toggle(false);
+    }
+    
+    async switchThread(threadId) {
+        if (this.generationController || threadId === this.currentThreadId) return;
+        
+        await this.openThread(threadId);
+        this.threadListView.toggle(false);
+    }
+    
+    async openThread(threadId) {
+        const messages = await this.conversationStore.getMessages(threadId);
+        
+        this.currentThreadId = threadId;
+        this.conversationHistory = messages.map(({ role, content, sources = [] }) => ({ role, content, sources }));
+        this.saveToStorage('current_thread', threadId);
+        
+        this.loadConversationHistory();
+        await this.applyThreadModel(threadId);
+        this.updateContextStatus(null);
+        await this.refreshThreadList();
+    }
+    
+    // У треда может быть своя модель, иначе используется модель по умолчанию
+    async applyThreadModel(threadId) {
+        const thread = await this.conversationStore.getThread(threadId);
+        const modelId = (thread && thread.modelId) || this.getDefaultModelId();
+        
+        if (modelId && modelId !== this.ollamaEngine.currentModel) {
+            if (!(await this.activateModel(modelId))) {
+                console.warn(`⚠️ Модель диалога ${modelId} недоступна, остаётся ${this.ollamaEngine.currentModel}`);
+            }
+        }
+    }
+    
+    async renameThread(threadId) {
+        const thread = await this.conversationStore.getThread(threadId);
+        const title = prompt('✏️ Новое название диалога:', thread ? thread.title : '');
+        
+        if (title && title.trim()) {
+            await this.conversationStore.renameThread(threadId, title.trim());
+            await this.refreshThreadList();
+        }
+    }
+    
+    async deleteThread(threadId) {
+        if (this.generationController) return;
+        if (!confirm('🗑️ Удалить диалог со всеми сообщениями?')) return;
+        
+        await this.conversationStore.deleteThread(threadId);
+        
+        if (threadId === this.currentThreadId) {
+            const [nextThread] = await this.conversationStore.listThreads();
+            if (nextThread) {
+                await this.openThread(nextThread.id);
+            } else {
+                await this.createThread();
+            }
+        } else {
+            await this.refreshThreadList();
+        }
+    }
+    
+    async toggleThreadPin(threadId) {
+        const thread = await this.conversationStore.getThread(threadId);
+        if (!thread) return;
+        
+        await this.conversationStore.setPinned(threadId, !thread.pinned);
+        await this.refreshThreadList();
+    }
+    
+    async refreshThreadList() {
+        const threads = await this.conversationStore.listThreads();
+        const current = threads.find(thread => thread.id === this.currentThreadId);
+        
+        this.threadListView.render(threads, this.currentThreadId);
+        document.getElementById('currentThreadTitle').textContent = current ? current.title : 'Новый диалог';
+    }
+    
+    // Настройки приложения
+    loadSettings() {
+        const defaults = {
+            engineBackend: 'wasm',
+            ollamaUrl: 'http://localhost:11434',
+            httpModel: '',
+            wasmModel: '',
+            modelSnapshots: {}, // модель → id снимка, загружаемого вместо скачанных весов
+            contextBudget: 2048,
+            memoryBudget: 512,
+            promptTemplate: 'auto',
+            persona: 'assistant',
+            systemPrompt: '',
+            userName: '',
+            knowledgeEnabled: true,
+            knowledgePassages: 3 // Сколько фрагментов документов подставлять в промпт
+        };
+        
+        return { ...defaults, ...(this.loadFromStorage('settings') || {}) };
+    }
+    
+    renderEngineSettings() {
+        document.getElementById('engineBackend').value = this.settings.engineBackend;
+        document.getElementById('ollamaUrl').value = this.settings.ollamaUrl;
+        document.getElementById('contextBudget').value = this.settings.contextBudget;
+        document.getElementById('memoryBudget').value = this.settings.memoryBudget;
+        document.getElementById('activeBackend').textContent =
+            this.activeBackend === 'http' ? `Ollama сервер (${this.settings.ollamaUrl})` : 'WebAssembly';
+    }
+    
+    async saveEngineSettings() {
+        const previous = { ...this.settings };
+        
+        this.settings.engineBackend = document.getElementById('engineBackend').value;
+        this.settings.ollamaUrl = document.getElementById('ollamaUrl').value.trim() || 'http://localhost:11434';
+        this.settings.contextBudget = parseInt(document.getElementById('contextBudget').value) || 2048;
+        this.settings.memoryBudget = parseInt(document.getElementById('memoryBudget').value) || 512;
+        this.saveToStorage('settings', this.settings);
+        
+        // Бюджеты контекста и памяти применяются сразу, смена движка — после перезапуска
+        this.contextBuilder.budget = this.settings.contextBudget;
+        this.updateContextStatus(null);
+        if (this.activeBackend === 'wasm') {
+            await this.ollamaEngine.setMemoryLimit(this.settings.memoryBudget * 1024 * 1024);
+            this.loadModelsList();
+        }
+        
+        const engineChanged = previous.engineBackend !== this.settings.engineBackend ||
+            previous.ollamaUrl !== this.settings.ollamaUrl;
+        
+        if (engineChanged && confirm('⚙️ Настройки сохранены. Перезапустить приложение, чтобы применить их?')) {
+            window.location.reload();
+        }
+    }
+    
+    // Работа с хранилищем
     saveToStorage(key, data) {
         try {
             localStorage.setItem(key, JSON.stringify(data));
@@ -404,17 +1655,41 @@ ${context}
         }
     }
     
-    loadUserData() {
-        this.conversationHistory = this.loadFromStorage('conversation_history') || [];
-        this.loadConversationHistory();
+    async loadUserData() {
+        try {
+            // Старая история из localStorage становится первым диалогом
+            await this.conversationStore.migrateFromLocalStorage('conversation_history');
+            
+            const threads = await this.conversationStore.listThreads();
+            const savedThreadId = this.loadFromStorage('current_thread');
+            const thread = threads.find(t => t.id === savedThreadId)
+                || threads.slice().sort((a, b) => b.updatedAt - a.updatedAt)[0];
+            
+            if (thread) {
+                await this.openThread(thread.id);
+            } else {
+                await this.createThread();
+            }
+        } catch (error) {
+            console.warn('Не удалось загрузить диалоги из IndexedDB:', error);
+            this.showWelcomeMessage();
+        }
     }
     
     loadConversationHistory() {
+        document.getElementById('messages').innerHTML = '';
+        
+        if (this.conversationHistory.length === 0) {
+            this.showWelcomeMessage();
+            return;
+        }
+        
         this.conversationHistory.forEach(msg => {
             if (msg.role === 'user') {
                 this.addMessage(msg.content, 'user');
             } else if (msg.role === 'assistant') {
-                this.addMessage(msg.content, 'neuro');
+                const messageDiv = this.addMessage(msg.content, 'neuro');
+                if (msg.sources && msg.sources.length > 0) this.addKnowledgeSources(messageDiv, msg.sources);
             }
         });
     }
@@ -455,6 +1730,8 @@ ${context}
     
     handleOnlineStatus() {
         document.getElementById('aiStatus').textContent = '🟢 AI активен (онлайн)';
+        // Сеть вернулась — пауза после ошибки «сервер недоступен» больше не нужна
+        this.scheduleDatasetSync(0, { ignoreBackoff: true });
     }
     
     handleOfflineStatus() {
@@ -481,6 +1758,10 @@ ${context}
         
         if (!this.ollamaEngine) return;
         
+        this.renderEngineSettings();
+        this.renderPromptSettings();
+        this.renderModelCatalog();
+        
         try {
             // Показываем список доступных моделей
             const models = this.ollamaEngine.models;
@@ -489,20 +1770,49 @@ ${context}
                 modelsList.innerHTML = `
                     <div style="text-align: center; padding: 20px;">
                         <h3>🤖 Модели AI</h3>
-                        <p>Базовая модель загружена и готова к работе!</p>
+                        <p>Модель ещё не загружена — скачайте её из каталога.</p>
                         <button class="send-btn" onclick="app.downloadAdditionalModel()" style="margin: 10px 0;">
                             📥 Скачать дополнительную модель
                         </button>
                     </div>
                 `;
             } else {
-                modelsList.innerHTML = Object.keys(models).map(model => `
-                    <div style="background: rgba(255,255,255,0.1); padding: 15px; border-radius: 10px; margin: 10px 0;">
-                        <h4>${model}</h4>
-                        <p>Размер: ${Math.round(models[model].size / 1024 / 1024)}MB</p>
-                        <p>Статус: ${models[model].loaded ? '✅ Загружена' : '❌ Не загружена'}</p>
-                    </div>
-                `).join('');
+                const thread = await this.conversationStore.getThread(this.currentThreadId);
+                const threadModel = thread ? thread.modelId : null;
+                const memory = this.ollamaEngine.getMemoryUsage() || {};
+                
+                modelsList.innerHTML = `
+                    ${memory.modelsUsed !== undefined ? `
+                        <p style="margin: 10px 0;">
+                            Память моделей: ${memory.modelsUsed}MB${memory.budget ? ` из ${memory.budget}MB` : ''}
+                        </p>
+                    ` : ''}
+                ` + Object.keys(models).map(model => {
+                    const entry = models[model];
+                    const isCurrent = model === this.ollamaEngine.currentModel;
+                    
+                    let status = entry.loaded ? '💤 Загружена' : '❌ Не загружена';
+                    if (isCurrent) status = '✅ Активна';
+                    
+                    // Имена приходят с сервера Ollama в локальной сети — только экранированными
+                    const name = this.escapeHtml(model);
+                    return `
+                        <div data-model="${name}" style="background: rgba(255,255,255,0.1); padding: 15px; border-radius: 10px; margin: 10px 0;">
+                            <h4>${name}</h4>
+                            <p>Размер: ${Math.round(entry.size / 1024 / 1024)}MB</p>
+                            <p>Статус: ${status}</p>
+                            ${entry.lastUsed ? `<p style="font-size: 0.85em;">Использовалась: ${new Date(entry.lastUsed).toLocaleTimeString()}</p>` : ''}
+                            ${entry.info ? this.formatModelInfo(entry.info) : ''}
+                            <div style="display: flex; flex-wrap: wrap; gap: 10px; margin-top: 10px;">
+                                ${!isCurrent ? `<button class="send-btn" data-model-action="use">▶️ Активировать</button>` : ''}
+                                ${entry.loaded ? `<button class="send-btn" data-model-action="unload" style="background: rgba(255,255,255,0.2);">⏏️ Выгрузить</button>` : ''}
+                                <button class="send-btn" data-model-action="thread" style="background: rgba(255,255,255,0.2);">
+                                    ${threadModel === model ? '📌 Модель этого диалога' : '📍 Для этого диалога'}
+                                </button>
+                            </div>
+                        </div>
+                    `;
+                }).join('');
             }
             
             loader.style.display = 'none';
@@ -513,24 +1823,586 @@ ${context}
         }
     }
     
+    // Каталог моделей для скачивания на устройство
+    async renderModelCatalog() {
+        const container = document.getElementById('modelCatalog');
+        const catalog = this.modelManager.catalog;
+        
+        if (catalog.length === 0) {
+            container.innerHTML = '<p>Каталог моделей недоступен</p>';
+            return;
+        }
+        
+        const states = await this.modelManager.getStates();
+        const currentModel = this.ollamaEngine.currentModel;
+        
+        container.innerHTML = catalog.map(entry => {
+            const state = states[entry.id];
+            const progress = this.modelDownloads.get(entry.id);
+            const downloading = this.modelManager.isDownloading(entry.id);
+            const verified = state && state.status === 'verified';
+            const total = (state && state.totalBytes) || entry.size;
+            const downloaded = progress ? progress.downloaded : (state ? state.downloadedBytes : 0);
+            const percent = total ? Math.round(downloaded / total * 100) : 0;
+            
+            let status = '❌ Не скачана';
+            if (currentModel === entry.id) status = '✅ Используется';
+            else if (verified) status = '💾 Скачана и проверена';
+            else if (downloading) status = `⏳ Скачивается: ${percent}%`;
+            else if (state && state.status === 'corrupt') status = '⚠️ Файл повреждён';
+            else if (downloaded > 0) status = `⏸️ Скачано ${percent}%`;
+            
+            let actions = '';
+            if (!this.modelManager.hasChecksum(entry.id)) {
+                actions = '<p>⚠️ В каталоге нет контрольной суммы — скачивание недоступно</p>';
+            } else if (downloading) {
+                actions = `<button class="send-btn" onclick="app.cancelModelDownload('${entry.id}')">⏸️ Остановить</button>`;
+            } else if (verified) {
+                actions = `
+                    ${this.activeBackend === 'wasm' && currentModel !== entry.id
+                        ? `<button class="send-btn" onclick="app.useModel('${entry.id}')">▶️ Использовать</button>`
+                        : ''}
+                    <button class="send-btn" onclick="app.deleteLocalModel('${entry.id}')" style="background: rgba(255,255,255,0.2);">🗑️ Удалить</button>
+                `;
+            } else {
+                actions = `
+                    <button class="send-btn" onclick="app.downloadAdditionalModel('${entry.id}')">
+                        📥 ${downloaded > 0 ? 'Продолжить' : 'Скачать'}
+                    </button>
+                    ${state ? `<button class="send-btn" onclick="app.deleteLocalModel('${entry.id}')" style="background: rgba(255,255,255,0.2);">🗑️ Удалить</button>` : ''}
+                `;
+            }
+            
+            return `
+                <div style="background: rgba(255,255,255,0.1); padding: 15px; border-radius: 10px; margin: 10px 0;">
+                    <h4>${entry.name}</h4>
+                    ${entry.description ? `<p style="font-size: 0.9em;">${entry.description}</p>` : ''}
+                    <p style="font-size: 0.85em;">
+                        ${Math.round(entry.size / 1024 / 1024)}MB · ${entry.quantization || '—'} · Лицензия: ${entry.license || '—'}
+                    </p>
+                    <p>Статус: ${status}</p>
+                    ${state && state.metadata ? this.formatModelInfo(state.metadata) : ''}
+                    ${downloaded > 0 && !verified ? `
+                        <div style="background: rgba(0,0,0,0.3); padding: 5px; border-radius: 10px; margin: 5px 0;">
+                            <div style="height: 10px; background: linear-gradient(90deg, #4ECDC4, #FF6B6B); border-radius: 5px; width: ${percent}%;"></div>
+                        </div>
+                    ` : ''}
+                    <div style="display: flex; gap: 10px; margin-top: 10px;">${actions}</div>
+                </div>
+            `;
+        }).join('');
+    }
+    
+    // Без modelId — показывает каталог, с modelId — скачивает или докачивает модель
+    async downloadAdditionalModel(modelId = null) {
+        if (!modelId) {
+            document.getElementById('modelCatalog').scrollIntoView({ behavior: 'smooth' });
+            return;
+        }
+        
+        const entry = this.modelManager.getEntry(modelId);
+        let lastRender = 0;
+        
+        const download = this.modelManager.download(modelId, {
+            onProgress: (progress) => {
+                this.modelDownloads.set(modelId, progress);
+                // Не перерисовываем каталог чаще раза в секунду
+                if (Date.now() - lastRender > 1000) {
+                    lastRender = Date.now();
+                    this.renderModelCatalog();
+                }
+            }
+        });
+        this.renderModelCatalog();
+        
+        try {
+            await download;
+            if (this.activeBackend === 'wasm' && confirm(`✅ Модель ${entry.name} скачана. Использовать её сейчас?`)) {
+                await this.useModel(modelId);
+            }
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('❌ Ошибка загрузки модели:', error);
+                alert(`❌ ${error.message}`);
+            }
+        } finally {
+            this.modelDownloads.delete(modelId);
+            this.renderModelCatalog();
+        }
+    }
+    
+    // Сводка заголовка GGUF для карточки модели
+    formatModelInfo(info) {
+        const templateId = new PromptTemplates().detectFromChatTemplate(info.chatTemplate);
+        const rows = [
+            ['Архитектура', info.architecture],
+            ['Параметры', GGUFParser.formatParameterCount(info.parameterCount)],
+            ['Квантование', info.quantization],
+            ['Контекст', info.contextLength ? `${info.contextLength} токенов` : null],
+            ['Токенизатор', info.tokenizer ? `${info.tokenizer}${info.vocabSize ? ` (${info.vocabSize} токенов)` : ''}` : null],
+            ['Шаблон чата', info.chatTemplate ? (templateId ? PROMPT_TEMPLATES[templateId].title : 'свой') : 'нет']
+        ];
+        
+        return `
+            <ul style="margin: 5px 0 5px 20px; font-size: 0.85em;">
+                ${rows.map(([title, value]) => `<li>${title}: ${this.escapeHtml(String(value || '—'))}</li>`).join('')}
+            </ul>
+        `;
+    }
+    
+    // Проверка GGUF файла с устройства: читается только заголовок
+    async inspectModelFile(file) {
+        const output = document.getElementById('ggufInfo');
+        
+        try {
+            const header = await GGUFParser.parseBlob(file);
+            const info = GGUFParser.summarize(header);
+            output.innerHTML = `
+                <p><strong>${this.escapeHtml(info.name || file.name)}</strong> · GGUF v${info.version} · ${Math.round(file.size / 1024 / 1024)}MB</p>
+                ${this.formatModelInfo(info)}
+            `;
+        } catch (error) {
+            console.error('❌ Ошибка разбора GGUF:', error);
+            output.innerHTML = `<p>❌ ${this.escapeHtml(error.message)}</p>`;
+        }
+    }
+    
+    cancelModelDownload(modelId) {
+        this.modelManager.cancel(modelId);
+    }
+    
+    async deleteLocalModel(modelId) {
+        const entry = this.modelManager.getEntry(modelId);
+        if (!confirm(`🗑️ Удалить модель ${entry ? entry.name : modelId} с устройства?`)) return;
+        
+        await this.modelManager.delete(modelId);
+        this.renderModelCatalog();
+    }
+    
+    getDefaultModelId() {
+        return this.activeBackend === 'http' ? this.settings.httpModel : this.settings.wasmModel;
+    }
+    
+    // Делает модель активной: загруженную — переключением, остальные — загрузкой
+    // (движок сам выгрузит давно не использованные, если не хватает памяти)
+    async activateModel(modelId) {
+        const model = this.ollamaEngine.models[modelId];
+        let activated = false;
+        
+        try {
+            if (model && model.loaded) {
+                activated = await this.ollamaEngine.switchModel(modelId);
+            } else if (this.activeBackend === 'http') {
+                activated = await this.ollamaEngine.loadModel(modelId);
+            } else {
+                activated = await this.loadLocalModel(modelId);
+            }
+        } catch (error) {
+            console.error(`❌ Не удалось активировать модель ${modelId}:`, error);
+        }
+        
+        // Другая модель — другой токенизатор и размер окна
+        if (activated) this.contextBuilder.setEngine(this.ollamaEngine);
+        return activated;
+    }
+    
+    // Активирует модель и запоминает её как модель по умолчанию
+    async useModel(modelId) {
+        if (await this.activateModel(modelId)) {
+            this.settings[this.activeBackend === 'http' ? 'httpModel' : 'wasmModel'] = modelId;
+            this.saveToStorage('settings', this.settings);
+            this.updateContextStatus(null);
+        } else {
+            alert(`❌ Не удалось загрузить модель ${modelId}`);
+        }
+        
+        this.loadModelsList();
+    }
+    
+    async unloadModel(modelId) {
+        try {
+            await this.ollamaEngine.unloadModel(modelId);
+            this.contextBuilder.setEngine(this.ollamaEngine);
+            this.updateContextStatus(null);
+        } catch (error) {
+            console.error(`❌ Не удалось выгрузить модель ${modelId}:`, error);
+            alert(`❌ ${error.message}`);
+        }
+        
+        this.loadModelsList();
+    }
+    
+    // Закрепляет модель за текущим диалогом; повторное нажатие снимает закрепление
+    async setThreadModel(modelId) {
+        const thread = await this.conversationStore.getThread(this.currentThreadId);
+        if (!thread) return;
+        
+        const nextModel = thread.modelId === modelId ? null : modelId;
+        await this.conversationStore.setThreadModel(thread.id, nextModel);
+        await this.applyThreadModel(thread.id);
+        this.updateContextStatus(null);
+        
+        this.loadModelsList();
+    }
+    
+    renderPromptSettings() {
+        const templateSelect = document.getElementById('promptTemplate');
+        const personaSelect = document.getElementById('promptPersona');
+        
+        const autoTitle = PROMPT_TEMPLATES[this.getAutoTemplateId()].title;
+        templateSelect.innerHTML = `<option value="auto">Авто (${autoTitle})</option>` +
+            this.promptTemplates.getTemplates()
+                .map(template => `<option value="${template.id}">${template.title}</option>`)
+                .join('');
+        personaSelect.innerHTML = this.promptTemplates.getPersonas()
+            .map(persona => `<option value="${persona.id}">${persona.title}</option>`)
+            .join('');
+        
+        templateSelect.value = this.settings.promptTemplate;
+        personaSelect.value = this.settings.persona;
+        document.getElementById('promptUserName').value = this.settings.userName;
+        document.getElementById('systemPrompt').value = this.settings.systemPrompt;
+        
+        this.updatePromptPreview();
+    }
+    
+    // Шаблон, который выбрался бы автоматически для текущей модели
+    getAutoTemplateId() {
+        const modelName = this.ollamaEngine.currentModel || '';
+        return new PromptTemplates().resolveTemplateId(modelName, this.getCurrentModelInfo());
+    }
+    
+    readPromptSettings() {
+        return {
+            promptTemplate: document.getElementById('promptTemplate').value,
+            persona: document.getElementById('promptPersona').value,
+            userName: document.getElementById('promptUserName').value.trim(),
+            systemPrompt: document.getElementById('systemPrompt').value
+        };
+    }
+    
+    // Предпросмотр без сохранения: рендерим пример диалога с введёнными значениями
+    updatePromptPreview() {
+        const draft = new PromptTemplates({ ...this.settings, ...this.readPromptSettings() });
+        const modelName = this.ollamaEngine.currentModel || '';
+        const templateId = draft.resolveTemplateId(modelName, this.getCurrentModelInfo());
+        
+        document.getElementById('systemPrompt').placeholder =
+            (PERSONA_PRESETS[draft.settings.persona] || PERSONA_PRESETS.assistant).prompt;
+        document.getElementById('promptPreview').textContent = draft.buildPrompt(templateId, {
+            system: draft.renderSystemPrompt(),
+            history: [
+                { role: 'user', content: 'Привет!' },
+                { role: 'assistant', content: 'Привет! Чем помочь?' }
+            ],
+            message: 'Расскажи о себе'
+        });
+    }
+    
+    savePromptSettings() {
+        // Объект настроек общий с PromptTemplates, поэтому изменения применяются сразу
+        Object.assign(this.settings, this.readPromptSettings());
+        this.saveToStorage('settings', this.settings);
+        
+        this.renderPromptSettings();
+        console.log(`💬 Шаблон промпта: ${this.getActiveTemplateId()}`);
+    }
+    
     updateLearningStatus() {
         const trainingData = this.datasetBuilder.prepareTrainingData();
         
         document.getElementById('dataCount').textContent = trainingData.length;
-        document.getElementById('epochCount').textContent = '0'; // Можно добавить счётчик эпох
-        document.getElementById('accuracy').textContent = '0%'; // Можно добавить метрики точности
+        
+        // Реальные эпохи и метрики из истории заданий; движок может не сообщать точность
+        const metrics = this.trainingJobs.getLatestMetrics();
+        document.getElementById('epochCount').textContent = this.trainingJobs.getTotalEpochs();
+        document.getElementById('accuracy').textContent = metrics && metrics.accuracy !== null
+            ? `${Math.round(metrics.accuracy * 100)}%`
+            : '—';
+        
+        this.renderTrainingControls();
+        this.drawLossChart();
+        this.renderEvaluation().catch(error => console.warn('⚠️ Не удалось показать оценку модели:', error));
+        this.renderSnapshots().catch(error => console.warn('⚠️ Не удалось показать снимки модели:', error));
+        this.renderSyncStatus().catch(error => console.warn('⚠️ Не удалось показать состояние отправки:', error));
+        
+        this.renderExportOptions();
+        this.renderRedactionSettings();
+        this.curationView.render();
     }
-}
-
-// Глобальные функции для кнопок
-async function startTraining() {
-    if (window.app) {
-        await window.app.startTraining();
+    
+    renderRedactionSettings() {
+        const redactor = this.datasetBuilder.redactor;
+        
+        document.getElementById('redactionCategories').innerHTML = Object.entries(PII_CATEGORIES)
+            .map(([category, rule]) => `
+                <label class="curation-option">
+                    <input type="checkbox" data-category="${category}" ${redactor.categories[category] ? 'checked' : ''}>
+                    ${rule.title} → ${rule.placeholder}
+                </label>
+            `).join('');
+        
+        document.getElementById('redactionCustom').value = redactor.customPatterns
+            .map(rule => `${rule.name}: ${rule.pattern.source}`)
+            .join('\n');
+        
+        // Сколько замен уже сделано в сохранённых диалогах
+        const total = this.datasetBuilder.conversations.reduce((sum, conv) => {
+            const counts = conv.metadata.redactions || {};
+            return sum + Object.values(counts).reduce((a, b) => a + b, 0);
+        }, 0);
+        document.getElementById('redactionStats').textContent = total > 0 ? `Скрыто в датасете: ${total}.` : '';
+        
+        this.updateRedactionPreview();
+    }
+    
+    // Отправка датасета на сервер: через Background Sync Service Worker,
+    // а если его нет — со страницы, с паузой после ошибок
+    scheduleDatasetSync(delay = 5000, options = {}) {
+        clearTimeout(this.syncTimer);
+        this.syncTimer = setTimeout(() => {
+            this.requestDatasetSync(options)
+                .catch(error => console.warn('⚠️ Отправка датасета не запланирована:', error));
+        }, delay);
+    }
+    
+    async requestDatasetSync({ ignoreBackoff = false } = {}) {
+        const config = await this.syncOutbox.getConfig();
+        if (!config.enabled || (await this.syncOutbox.getPendingCount()) === 0) return;
+        
+        try {
+            if (await this.syncOutbox.requestSync()) return;
+        } catch (error) {
+            console.warn('⚠️ Background Sync недоступен, отправляем со страницы:', error);
+        }
+        
+        const result = await this.syncOutbox.drain({ ignoreBackoff });
+        await this.renderSyncStatus();
+        
+        // Следующая попытка — когда закончится пауза после ошибки
+        const status = await this.syncOutbox.getStatus();
+        if (result.pending > 0 && status.nextAttemptAt) {
+            this.scheduleDatasetSync(Math.max(status.nextAttemptAt - Date.now(), 1000));
+        }
+    }
+    
+    async syncDatasetNow() {
+        const button = document.getElementById('syncNowBtn');
+        button.disabled = true;
+        try {
+            const result = await this.syncOutbox.drain({ ignoreBackoff: true });
+            if (result.skipped === 'disabled') {
+                alert('⚠️ Сначала включите отправку и укажите адрес сервера');
+            } else if (result.error) {
+                // Повтор возьмёт на себя Background Sync или таймер после паузы
+                this.scheduleDatasetSync();
+            }
+        } finally {
+            button.disabled = false;
+            await this.renderSyncStatus();
+        }
+    }
+    
+    async saveSyncSettings() {
+        try {
+            const config = await this.syncOutbox.saveConfig({
+                enabled: document.getElementById('syncEnabled').checked,
+                endpoint: document.getElementById('syncEndpoint').value.trim(),
+                authToken: document.getElementById('syncToken').value.trim()
+            });
+            if (config.enabled) this.scheduleDatasetSync(0, { ignoreBackoff: true });
+        } catch (error) {
+            alert(`❌ ${error.message}`);
+        }
+        
+        await this.renderSyncSettings();
+    }
+    
+    async renderSyncSettings() {
+        const config = await this.syncOutbox.getConfig();
+        document.getElementById('syncEnabled').checked = config.enabled;
+        document.getElementById('syncEndpoint').value = config.endpoint;
+        document.getElementById('syncToken').value = config.authToken;
+        await this.renderSyncStatus();
+    }
+    
+    async renderSyncStatus() {
+        const [config, status, pending, rejected] = await Promise.all([
+            this.syncOutbox.getConfig(),
+            this.syncOutbox.getStatus(),
+            this.syncOutbox.getPendingCount(),
+            this.syncOutbox.getRejectedCount()
+        ]);
+        
+        const rows = [
+            ['Состояние', config.enabled ? '🟢 включена' : '⚪ выключена'],
+            ['Ожидают отправки', pending],
+            ['Отправлено всего', status.uploaded],
+            ['Последняя успешная отправка', status.lastSuccessAt ? new Date(status.lastSuccessAt).toLocaleString() : 'ещё не было']
+        ];
+        if (rejected > 0 && status.lastRejection) {
+            rows.push(['Отклонено сервером', `${rejected} (последний раз: ${status.lastRejection.error}, ` +
+                `${new Date(status.lastRejection.at).toLocaleString()})`]);
+        }
+        if (status.lastError) {
+            rows.push(['Ошибка', `${status.lastError} (попыток подряд: ${status.failures})`]);
+            if (status.nextAttemptAt) {
+                rows.push(['Следующая попытка', new Date(status.nextAttemptAt).toLocaleString()]);
+            }
+        }
+        
+        document.getElementById('syncStatus').innerHTML = `
+            <ul style="margin: 0; padding-left: 20px;">
+                ${rows.map(([title, value]) => `<li>${title}: ${this.escapeHtml(String(value))}</li>`).join('')}
+            </ul>
+        `;
+    }
+    
+    async saveRedactionSettings() {
+        const categories = {};
+        document.querySelectorAll('#redactionCategories [data-category]').forEach(checkbox => {
+            categories[checkbox.dataset.category] = checkbox.checked;
+        });
+        
+        const customPatterns = PiiRedactor.parseCustomPatterns(document.getElementById('redactionCustom').value);
+        await this.datasetBuilder.setRedactionConfig({ categories, customPatterns });
+        
+        const invalid = this.datasetBuilder.redactor.invalidPatterns;
+        if (invalid.length > 0) {
+            alert(`⚠️ Шаблоны с ошибкой не сохранены: ${invalid.join(', ')}`);
+        }
+        
+        this.renderRedactionSettings();
+    }
+    
+    updateRedactionPreview() {
+        const sample = document.getElementById('redactionSample').value;
+        const preview = document.getElementById('redactionPreview');
+        
+        if (!sample.trim()) {
+            preview.innerHTML = '';
+            return;
+        }
+        
+        const result = this.datasetBuilder.redactor.redact(sample);
+        const found = result.matches.map(match =>
+            `<li>${this.escapeHtml(match.value)} → ${match.placeholder}</li>`
+        ).join('');
+        
+        preview.innerHTML = `
+            <p><strong>Результат:</strong> ${this.escapeHtml(result.text)}</p>
+            ${found ? `<ul style="margin: 5px 0 0 20px;">${found}</ul>` : '<p>Личные данные не найдены</p>'}
+        `;
+    }
+    
+    renderExportOptions() {
+        const formatSelect = document.getElementById('exportFormat');
+        if (!formatSelect.options.length) {
+            formatSelect.innerHTML = this.datasetExporter.getFormats()
+                .map(format => `<option value="${format.id}">${format.title}</option>`)
+                .join('');
+        }
+        
+        // Темы берём из датасета, сохраняя выбранную
+        const topicSelect = document.getElementById('exportTopic');
+        const selectedTopic = topicSelect.value;
+        // Темы приходят из импортированных файлов, поэтому опции создаём через DOM, а не разметкой
+        topicSelect.innerHTML = '<option value="">Все темы</option>';
+        this.datasetExporter.getTopics().forEach(topic => topicSelect.add(new Option(topic, topic)));
+        topicSelect.value = selectedTopic;
+        
+        this.updateExportPreview();
+    }
+    
+    getExportFilters() {
+        const value = (id) => document.getElementById(id).value;
+        const filters = {};
+        
+        if (value('exportTopic')) filters.topic = value('exportTopic');
+        if (value('exportSentiment')) filters.sentiment = value('exportSentiment');
+        if (value('exportMinWeight')) filters.minWeight = parseFloat(value('exportMinWeight'));
+        if (value('exportDateFrom')) filters.dateFrom = new Date(`${value('exportDateFrom')}T00:00`).getTime();
+        // Конечная дата включается целиком
+        if (value('exportDateTo')) filters.dateTo = new Date(`${value('exportDateTo')}T23:59:59.999`).getTime();
+        
+        return filters;
+    }
+    
+    updateExportPreview() {
+        const count = this.datasetExporter.getExamples(this.getExportFilters()).length;
+        document.getElementById('exportPreview').textContent = `Примеров для экспорта: ${count}`;
+    }
+    
+    exportDataset() {
+        const format = document.getElementById('exportFormat').value;
+        const filters = this.getExportFilters();
+        
+        if (this.datasetExporter.getExamples(filters).length === 0) {
+            alert('📭 Под выбранные фильтры не попал ни один пример');
+            return;
+        }
+        
+        try {
+            this.datasetExporter.download(format, filters);
+        } catch (error) {
+            console.error('❌ Ошибка экспорта датасета:', error);
+            alert('❌ Не удалось экспортировать датасет');
+        }
+    }
+    
+    async previewImport(file) {
+        try {
+            this.importPreview = await this.datasetImporter.preview(file);
+        } catch (error) {
+            console.error('❌ Ошибка чтения датасета:', error);
+            alert(`❌ ${error.message}`);
+            this.resetImport();
+            return;
+        }
+        
+        const preview = this.importPreview;
+        const conflicts = preview.conflicts.conversations.length + preview.conflicts.gameData.length;
+        const rejectedList = preview.rejected.slice(0, 5).map(item => {
+            const place = item.line ? `строка ${item.line}` : `${item.store} #${item.index + 1}`;
+            return `<li>${place}: ${item.reason}</li>`;
+        }).join('');
+        
+        document.getElementById('importSummary').innerHTML = `
+            <p>Формат: ${preview.format}${preview.version ? ` (версия ${preview.version})` : ''}</p>
+            <p>Новых диалогов: ${preview.records.conversations.length}, игр: ${preview.records.gameData.length}</p>
+            <p>Дубликатов пропущено: ${preview.duplicates}</p>
+            <p>Конфликтов: ${conflicts}</p>
+            <p>Отклонено записей: ${preview.rejected.length}</p>
+            ${rejectedList ? `<ul style="margin: 5px 0 0 20px;">${rejectedList}</ul>` : ''}
+            ${preview.rejected.length > 5 ? `<p>…и ещё ${preview.rejected.length - 5}</p>` : ''}
+        `;
+        document.getElementById('importConflictsLabel').style.display = conflicts > 0 ? 'block' : 'none';
+        document.getElementById('importConflicts').checked = false;
+        document.getElementById('importPreview').style.display = 'block';
+    }
+    
+    async commitImport() {
+        if (!this.importPreview) return;
+        
+        try {
+            const result = await this.datasetImporter.commit(this.importPreview, {
+                includeConflicts: document.getElementById('importConflicts').checked
+            });
+            alert(`📥 Импортировано: ${result.conversations} диалогов и ${result.gameData} игр`);
+        } catch (error) {
+            console.error('❌ Ошибка импорта датасета:', error);
+            alert('❌ Не удалось сохранить импортированные данные');
+        }
+        
+        this.resetImport();
+        this.updateLearningStatus();
+    }
+    
+    resetImport() {
+        this.importPreview = null;
+        document.getElementById('importFile').value = '';
+        document.getElementById('importPreview').style.display = 'none';
     }
-}
-
-function exportModel() {
-    alert('💾 Функция экспорта модели будет доступна в следующем обновлении!');
 }
 
 // Инициализация приложения
@@ -544,9 +2416,52 @@ if ('serviceWorker' in navigator) {
         navigator.serviceWorker.register('/sw.js')
             .then(registration => {
                 console.log('✅ Service Worker зарегистрирован:', registration);
+                watchServiceWorkerUpdates(registration);
             })
             .catch(error => {
                 console.log('❌ Ошибка регистрации Service Worker:', error);
             });
     });
 }
+
+// Новая версия ждёт, пока пользователь не согласится обновиться: тогда она получает
+// SKIP_WAITING, становится активной, и страница перезагружается на новый код
+function watchServiceWorkerUpdates(registration) {
+    let reloadRequested = false;
+    
+    const showUpdatePrompt = (worker) => {
+        const banner = document.getElementById('updateBanner');
+        banner.style.display = 'flex';
+        
+        document.getElementById('updateReloadBtn').onclick = () => {
+            reloadRequested = true;
+            document.getElementById('updateReloadBtn').disabled = true;
+            worker.postMessage({ type: 'SKIP_WAITING' });
+        };
+        document.getElementById('updateLaterBtn').onclick = () => {
+            banner.style.display = 'none';
+        };
+    };
+    
+    // Первая установка (controller ещё нет) — не обновление
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdatePrompt(registration.waiting);
+    }
+    
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                console.log('🆕 Доступна новая версия приложения');
+                showUpdatePrompt(worker);
+            }
+        });
+    });
+    
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloadRequested) window.location.reload();
+    });
+    
+    // Приложение открыто подолгу — проверяем обновления раз в час
+    setInterval(() => registration.update(), 60 * 60 * 1000);
+}
@@ -0,0 +1,168 @@
+// Сборка контекста диалога под бюджет токенов.
+// Последние реплики входят целиком, а более старые сворачиваются в краткое содержание,
+// которое пишет сам движок и которое хранится в треде (thread.summary).
+class ContextBuilder {
+    constructor(engine, options = {}) {
+        this.engine = engine;
+        this.budget = options.budget || 2048;          // Сколько токенов отдаём под контекст
+        this.reserveTokens = options.reserveTokens || 500; // Место под ответ модели
+        this.minBudget = options.minBudget || 128;         // Меньше — не поместится даже вопрос
+        this.summaryTokens = options.summaryTokens || 200; // Предел для краткого содержания
+        this.tokenCache = new Map();
+        this.maxCacheSize = 500;
+    }
+
+    setEngine(engine) {
+        this.engine = engine;
+        this.tokenCache.clear();
+    }
+
+    // Бюджет — весь промпт (системный промпт, разметка шаблона, история, фрагменты документов);
+    // не больше окна контекста модели за вычетом места под ответ. На маленьких окнах место
+    // под ответ урезается до половины окна, иначе для контекста остались бы единицы токенов
+    getBudget() {
+        const contextLength = this.engine && this.engine.contextLength;
+        if (!contextLength) return this.budget;
+
+        const reserve = Math.min(this.reserveTokens, Math.floor(contextLength / 2));
+        return Math.max(this.minBudget, Math.min(this.budget, contextLength - reserve));
+    }
+
+    async countTokens(text) {
+        if (!text) return 0;
+        if (this.tokenCache.has(text)) return this.tokenCache.get(text);
+
+        let count = null;
+        if (this.engine && this.engine.currentModel && this.engine.countTokens) {
+            try {
+                count = await this.engine.countTokens(text);
+            } catch (error) {
+                console.warn('⚠️ Токенизатор модели недоступен, считаем приблизительно:', error.message);
+            }
+        }
+
+        if (!Number.isFinite(count)) count = this.estimateTokens(text);
+
+        if (this.tokenCache.size >= this.maxCacheSize) {
+            this.tokenCache.delete(this.tokenCache.keys().next().value);
+        }
+        this.tokenCache.set(text, count);
+        return count;
+    }
+
+    // Приблизительная оценка: кириллица дробится на токены мельче латиницы
+    estimateTokens(text) {
+        const cyrillic = (text.match(/[А-Яа-яЁё]/g) || []).length;
+        const latin = (text.match(/[A-Za-z]/g) || []).length;
+        const other = text.length - cyrillic - latin;
+        return Math.ceil(cyrillic / 2.5 + latin / 4 + other / 2);
+    }
+
+    // history — все сообщения треда [{ role, content }],
+    // thread — { summary, summarizedCount }, message — новый вопрос пользователя,
+    // reservedTokens — место, уже занятое в промпте: системный промпт с персоной, разметка шаблона
+    // и фрагменты из базы знаний.
+    // Возвращает { summary, messages, usedTokens, budget, summaryChanged }
+    async build(history, thread, message, reservedTokens = 0) {
+        const budget = this.getBudget();
+        const summarizedCount = Math.min(thread.summarizedCount || 0, history.length);
+        let summary = thread.summary || '';
+
+        // Краткое содержание занимает не больше четверти бюджета
+        const summaryLimit = Math.min(this.summaryTokens, Math.floor(budget / 4));
+
+        let used = await this.countTokens(message) + reservedTokens;
+        // Если вся история не поместится, место под краткое содержание резервируем заранее
+        const historyTokens = await this._sumTokens(history.slice(summarizedCount));
+        const reserve = summary || used + historyTokens > budget ? summaryLimit : 0;
+
+        // Берём реплики с конца, пока хватает бюджета
+        let firstIncluded = history.length;
+        let turnsTokens = 0;
+        for (let i = history.length - 1; i >= summarizedCount; i--) {
+            const tokens = await this.countTokens(this.formatTurn(history[i]));
+            if (used + reserve + turnsTokens + tokens > budget) break;
+            turnsTokens += tokens;
+            firstIncluded = i;
+        }
+
+        // Выпавшие из окна реплики дописываем в краткое содержание
+        let summaryChanged = false;
+        if (firstIncluded > summarizedCount) {
+            summary = await this.summarize(summary, history.slice(summarizedCount, firstIncluded), summaryLimit);
+            thread.summary = summary;
+            thread.summarizedCount = firstIncluded;
+            summaryChanged = true;
+        }
+
+        used += turnsTokens + await this.countTokens(summary);
+
+        return {
+            summary,
+            messages: history.slice(firstIncluded),
+            usedTokens: used,
+            budget,
+            summaryChanged
+        };
+    }
+
+    // Сворачивает реплики в краткое содержание силами движка, без модели — выжимкой вопросов
+    async summarize(previousSummary, turns, maxTokens = this.summaryTokens) {
+        const dialogue = turns.map(turn => this.formatTurn(turn)).join('\n');
+        let summary = null;
+
+        if (this.engine && this.engine.currentModel) {
+            const prompt = `Кратко перескажи беседу, сохранив факты, имена, решения и открытые вопросы. Не более 5 предложений.
+
+${previousSummary ? `Краткое содержание ранее:\n${previousSummary}\n\n` : ''}Новые реплики:
+${dialogue}
+
+Краткое содержание:`;
+
+            try {
+                summary = (await this.engine.generateResponse(prompt, {
+                    maxTokens,
+                    temperature: 0.3
+                })).trim();
+            } catch (error) {
+                console.warn('⚠️ Не удалось сжать историю моделью:', error.message);
+            }
+        }
+
+        if (!summary) {
+            const questions = turns
+                .filter(turn => turn.role === 'user')
+                .map(turn => turn.content.replace(/\s+/g, ' ').slice(0, 80));
+            summary = [previousSummary, questions.length ? `Пользователь спрашивал: ${questions.join('; ')}` : '']
+                .filter(Boolean)
+                .join(' ');
+        }
+
+        console.log(`📝 История свернута: ${turns.length} реплик`);
+        return this._truncateToTokens(summary, maxTokens);
+    }
+
+    formatTurn(turn) {
+        return `${turn.role}: ${turn.content}`;
+    }
+
+    async _sumTokens(turns) {
+        let total = 0;
+        for (const turn of turns) {
+            total += await this.countTokens(this.formatTurn(turn));
+        }
+        return total;
+    }
+
+    // Обрезает с начала: свежие факты в конце важнее
+    async _truncateToTokens(text, maxTokens) {
+        let result = text;
+        while (result && await this.countTokens(result) > maxTokens) {
+            result = result.slice(Math.ceil(result.length * 0.1));
+        }
+        return result;
+    }
+}
+
+// Экспортируем глобально для использования
+window.ContextBuilder = ContextBuilder;
@@ -0,0 +1,167 @@
+// Хранилище диалогов (тредов) чата в IndexedDB
+class ConversationStore {
+    constructor() {
+        this.db = new IndexedDBStore('NeuroSputnikChats', 1, (db) => {
+            const threads = db.createObjectStore('threads', { keyPath: 'id' });
+            threads.createIndex('updatedAt', 'updatedAt');
+
+            const messages = db.createObjectStore('messages', { keyPath: 'id', autoIncrement: true });
+            messages.createIndex('threadId', 'threadId');
+        });
+        this.titleLength = 40;
+    }
+
+    async createThread(title = 'Новый диалог') {
+        const thread = this._newThread(title);
+        await this.db.put('threads', thread);
+        return thread;
+    }
+
+    async getThread(threadId) {
+        return this.db.get('threads', threadId);
+    }
+
+    // Закреплённые сверху, затем по времени последнего сообщения
+    async listThreads() {
+        const threads = await this.db.getAll('threads');
+        return threads.sort((a, b) =>
+            (b.pinned - a.pinned) || (b.updatedAt - a.updatedAt)
+        );
+    }
+
+    async renameThread(threadId, title) {
+        return this._updateThread(threadId, { title, autoTitle: false });
+    }
+
+    async setPinned(threadId, pinned) {
+        return this._updateThread(threadId, { pinned });
+    }
+
+    // Модель по умолчанию для треда; null — общая модель из настроек
+    async setThreadModel(threadId, modelId) {
+        return this._updateThread(threadId, { modelId });
+    }
+
+    // Краткое содержание первых summarizedCount сообщений (см. ContextBuilder)
+    async updateSummary(threadId, summary, summarizedCount) {
+        return this._updateThread(threadId, { summary, summarizedCount });
+    }
+
+    async deleteThread(threadId) {
+        const messageIds = await this._getMessageKeys(threadId);
+
+        await this.db.transaction(['threads', 'messages'], 'readwrite', stores => {
+            stores.threads.delete(threadId);
+            messageIds.forEach(id => stores.messages.delete(id));
+        });
+    }
+
+    // extra — дополнительные поля сообщения (например, sources — источники из базы знаний)
+    async addMessage(threadId, role, content, extra = {}) {
+        const thread = await this.getThread(threadId);
+        if (!thread) {
+            throw new Error(`Диалог ${threadId} не найден`);
+        }
+
+        const message = { ...extra, threadId, role, content, timestamp: Date.now() };
+
+        thread.updatedAt = message.timestamp;
+        thread.messageCount = (thread.messageCount || 0) + 1;
+        if (thread.autoTitle && role === 'user') {
+            thread.title = this.generateTitle(content);
+            thread.autoTitle = false;
+        }
+
+        await this.db.transaction(['threads', 'messages'], 'readwrite', stores => {
+            stores.messages.add(message);
+            stores.threads.put(thread);
+        });
+
+        return thread;
+    }
+
+    // Сообщения треда в хронологическом порядке
+    async getMessages(threadId) {
+        const messages = await this.db.getAll('messages', 'threadId', threadId);
+        return messages.sort((a, b) => a.timestamp - b.timestamp || a.id - b.id);
+    }
+
+    generateTitle(firstMessage) {
+        const text = firstMessage.replace(/\s+/g, ' ').trim();
+        return text.length > this.titleLength
+            ? text.slice(0, this.titleLength).trim() + '…'
+            : text || 'Новый диалог';
+    }
+
+    // Переносит старую историю из localStorage в первый тред
+    async migrateFromLocalStorage(key = 'conversation_history') {
+        let history;
+        try {
+            history = JSON.parse(localStorage.getItem(key) || 'null');
+        } catch (error) {
+            history = null;
+        }
+
+        if (!Array.isArray(history) || history.length === 0) {
+            localStorage.removeItem(key);
+            return null;
+        }
+
+        // Тред и все сообщения пишутся одной транзакцией: если она не прошла, в базе не остаётся
+        // половины истории, ключ в localStorage сохраняется и перенос повторится с нуля
+        const thread = this._newThread();
+        const messages = history
+            .filter(msg => msg && msg.content)
+            .map(msg => ({ threadId: thread.id, role: msg.role, content: msg.content, timestamp: thread.createdAt }));
+
+        thread.messageCount = messages.length;
+        const firstQuestion = messages.find(msg => msg.role === 'user');
+        if (firstQuestion) {
+            thread.title = this.generateTitle(firstQuestion.content);
+            thread.autoTitle = false;
+        }
+
+        await this.db.transaction(['threads', 'messages'], 'readwrite', stores => {
+            stores.threads.put(thread);
+            messages.forEach(message => stores.messages.add(message));
+        });
+
+        localStorage.removeItem(key);
+        console.log(`📦 История чата перенесена в IndexedDB: ${messages.length} сообщений`);
+        return thread;
+    }
+
+    // Вспомогательные методы
+    _newThread(title = 'Новый диалог') {
+        const now = Date.now();
+        return {
+            id: `thread_${now}_${Math.random().toString(36).slice(2, 8)}`,
+            title,
+            autoTitle: true, // Заголовок ещё не задан пользователем или первым сообщением
+            pinned: false,
+            createdAt: now,
+            updatedAt: now,
+            messageCount: 0
+        };
+    }
+
+    async _updateThread(threadId, changes) {
+        const thread = await this.getThread(threadId);
+        if (!thread) return null;
+
+        Object.assign(thread, changes);
+        await this.db.put('threads', thread);
+        return thread;
+    }
+
+    async _getMessageKeys(threadId) {
+        const keys = [];
+        await this.db.iterate('messages', 'threadId', threadId, 'next', (value) => {
+            keys.push(value.id);
+        });
+        return keys;
+    }
+}
+
+// Экспортируем глобально для использования
+window.ConversationStore = ConversationStore;
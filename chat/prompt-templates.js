@@ -0,0 +1,208 @@
+// Шаблоны промптов для разных семейств моделей и персоны с системным промптом.
+// Одни и те же шаблоны используются в чате и при экспорте датасета,
+// чтобы формат при обучении совпадал с форматом при генерации.
+// messages: [{ role: 'system' | 'user' | 'assistant', content }]
+const PROMPT_TEMPLATES = {
+    chatml: {
+        title: 'ChatML',
+        stop: ['<|im_end|>'],
+        render: (messages, addGenerationPrompt) =>
+            messages.map(m => `<|im_start|>${m.role}\n${m.content}<|im_end|>\n`).join('') +
+            (addGenerationPrompt ? '<|im_start|>assistant\n' : '')
+    },
+    llama2: {
+        title: 'Llama 2',
+        stop: ['</s>', '[INST]'],
+        render: (messages, addGenerationPrompt) => {
+            const { system, turns } = splitSystem(messages);
+            let prompt = '';
+            let firstUser = true;
+
+            turns.forEach(m => {
+                if (m.role === 'user') {
+                    // Системный промпт вшивается в первый вопрос
+                    const content = firstUser && system ? `<<SYS>>\n${system}\n<</SYS>>\n\n${m.content}` : m.content;
+                    prompt += `<s>[INST] ${content} [/INST]`;
+                    firstUser = false;
+                } else {
+                    prompt += ` ${m.content} </s>`;
+                }
+            });
+
+            return addGenerationPrompt ? prompt : prompt.trimEnd();
+        }
+    },
+    llama3: {
+        title: 'Llama 3',
+        stop: ['<|eot_id|>'],
+        render: (messages, addGenerationPrompt) =>
+            '<|begin_of_text|>' +
+            messages.map(m => `<|start_header_id|>${m.role}<|end_header_id|>\n\n${m.content}<|eot_id|>`).join('') +
+            (addGenerationPrompt ? '<|start_header_id|>assistant<|end_header_id|>\n\n' : '')
+    },
+    alpaca: {
+        title: 'Alpaca',
+        stop: ['### Instruction:'],
+        render: (messages, addGenerationPrompt) => {
+            const { system, turns } = splitSystem(messages);
+            let prompt = system ? `${system}\n\n` : '';
+
+            turns.forEach(m => {
+                prompt += m.role === 'user'
+                    ? `### Instruction:\n${m.content}\n\n`
+                    : `### Response:\n${m.content}\n\n`;
+            });
+
+            return addGenerationPrompt ? `${prompt}### Response:\n` : prompt.trimEnd();
+        }
+    },
+    gemma: {
+        title: 'Gemma',
+        stop: ['<end_of_turn>'],
+        render: (messages, addGenerationPrompt) => {
+            // У Gemma нет роли system — добавляем её к первому вопросу
+            const { system, turns } = splitSystem(messages);
+            let firstUser = true;
+
+            return turns.map(m => {
+                const role = m.role === 'assistant' ? 'model' : 'user';
+                const content = m.role === 'user' && firstUser && system ? `${system}\n\n${m.content}` : m.content;
+                if (m.role === 'user') firstUser = false;
+                return `<start_of_turn>${role}\n${content}<end_of_turn>\n`;
+            }).join('') + (addGenerationPrompt ? '<start_of_turn>model\n' : '');
+        }
+    }
+};
+
+function splitSystem(messages) {
+    const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n\n');
+    return { system, turns: messages.filter(m => m.role !== 'system') };
+}
+
+// Персоны: системный промпт с переменными {{name}}
+const PERSONA_PRESETS = {
+    assistant: {
+        title: 'Помощник',
+        prompt: 'Ты — {{assistantName}}, дружелюбный AI-помощник, работающий полностью оффлайн на устройстве пользователя. ' +
+            'Сегодня {{date}}. Пользователя зовут {{userName}}. Твои возможности: {{capabilities}}. ' +
+            'Отвечай по-русски, полезно и точно.'
+    },
+    teacher: {
+        title: 'Учитель',
+        prompt: 'Ты — {{assistantName}}, терпеливый учитель. Сегодня {{date}}. Твоего ученика зовут {{userName}}. ' +
+            'Объясняй шаг за шагом, приводи примеры и задавай проверочные вопросы. Твои возможности: {{capabilities}}.'
+    },
+    programmer: {
+        title: 'Программист',
+        prompt: 'Ты — {{assistantName}}, опытный программист. Сегодня {{date}}. Собеседника зовут {{userName}}. ' +
+            'Отвечай кратко, с примерами кода и пояснением ошибок. Твои возможности: {{capabilities}}.'
+    },
+    friend: {
+        title: 'Собеседник',
+        prompt: 'Ты — {{assistantName}}, тёплый и весёлый собеседник. Сегодня {{date}}. Друга зовут {{userName}}. ' +
+            'Поддерживай разговор, шути к месту и отвечай по-русски.'
+    }
+};
+
+class PromptTemplates {
+    // settings: { promptTemplate: 'auto' | id, persona, systemPrompt, userName }
+    constructor(settings = {}) {
+        this.settings = settings;
+        this.assistantName = 'NeuroSputnik';
+    }
+
+    getTemplates() {
+        return Object.entries(PROMPT_TEMPLATES).map(([id, template]) => ({ id, title: template.title }));
+    }
+
+    getPersonas() {
+        return Object.entries(PERSONA_PRESETS).map(([id, persona]) => ({ id, title: persona.title }));
+    }
+
+    // Выбор шаблона: настройка пользователя, затем шаблон из метаданных модели, затем имя модели
+    resolveTemplateId(modelName = '', modelInfo = {}) {
+        if (this.settings.promptTemplate && PROMPT_TEMPLATES[this.settings.promptTemplate]) {
+            return this.settings.promptTemplate;
+        }
+
+        const fromChatTemplate = this.detectFromChatTemplate(modelInfo.chatTemplate);
+        if (fromChatTemplate) return fromChatTemplate;
+
+        const details = modelInfo.details || {};
+        const name = `${modelName} ${details.family || ''} ${modelInfo.architecture || ''}`.toLowerCase();
+
+        if (/llama-?3/.test(name)) return 'llama3';
+        if (/llama-?2|mistral|mixtral/.test(name)) return 'llama2';
+        if (/gemma/.test(name)) return 'gemma';
+        if (/alpaca|vicuna/.test(name)) return 'alpaca';
+        return 'chatml';
+    }
+
+    // Jinja-шаблон из метаданных модели (tokenizer.chat_template) узнаём по служебным токенам
+    detectFromChatTemplate(chatTemplate) {
+        if (!chatTemplate) return null;
+        if (chatTemplate.includes('<|im_start|>')) return 'chatml';
+        if (chatTemplate.includes('<|start_header_id|>')) return 'llama3';
+        if (chatTemplate.includes('<start_of_turn>')) return 'gemma';
+        if (chatTemplate.includes('[INST]')) return 'llama2';
+        if (chatTemplate.includes('### Instruction')) return 'alpaca';
+        return null;
+    }
+
+    getTemplate(templateId) {
+        return PROMPT_TEMPLATES[templateId] || PROMPT_TEMPLATES.chatml;
+    }
+
+    // Свой системный промпт пользователя или промпт выбранной персоны
+    getSystemPromptSource() {
+        if (this.settings.systemPrompt && this.settings.systemPrompt.trim()) {
+            return this.settings.systemPrompt;
+        }
+        const persona = PERSONA_PRESETS[this.settings.persona] || PERSONA_PRESETS.assistant;
+        return persona.prompt;
+    }
+
+    getVariables(extra = {}) {
+        return {
+            assistantName: this.assistantName,
+            userName: this.settings.userName || 'пользователь',
+            date: new Date().toLocaleDateString('ru-RU'),
+            time: new Date().toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit' }),
+            capabilities: 'работа без интернета, самообучение через диалоги и обучающие игры',
+            ...extra
+        };
+    }
+
+    // Подставляет {{переменные}}; неизвестные оставляет как есть
+    renderSystemPrompt(extraVariables = {}) {
+        const variables = this.getVariables(extraVariables);
+        return this.getSystemPromptSource().replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) =>
+            variables[name] !== undefined ? variables[name] : match
+        );
+    }
+
+    // Полный промпт для генерации: system + история + новый вопрос
+    buildPrompt(templateId, { system, history = [], message }) {
+        const messages = [
+            ...(system ? [{ role: 'system', content: system }] : []),
+            ...history,
+            { role: 'user', content: message }
+        ];
+        return this.getTemplate(templateId).render(messages, true);
+    }
+
+    // Готовый пример для обучения — тот же шаблон, но с ответом и без приглашения к генерации
+    renderExample(templateId, { system, input, output }) {
+        const messages = [
+            ...(system ? [{ role: 'system', content: system }] : []),
+            { role: 'user', content: input },
+            { role: 'assistant', content: output }
+        ];
+        return this.getTemplate(templateId).render(messages, false);
+    }
+}
+
+// Экспортируем глобально для использования
+window.PROMPT_TEMPLATES = PROMPT_TEMPLATES;
+window.PERSONA_PRESETS = PERSONA_PRESETS;
+window.PromptTemplates = PromptTemplates;
@@ -0,0 +1,71 @@
+// Список диалогов во вкладке чата
+class ThreadListView {
+    constructor(container, handlers) {
+        this.container = container;
+        this.handlers = handlers; // { onSelect, onRename, onDelete, onTogglePin }
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            const item = e.target.closest('[data-thread-id]');
+            if (!item) return;
+
+            const threadId = item.dataset.threadId;
+            const action = button ? button.dataset.action : 'select';
+
+            switch (action) {
+                case 'pin':
+                    this.handlers.onTogglePin(threadId);
+                    break;
+                case 'rename':
+                    this.handlers.onRename(threadId);
+                    break;
+                case 'delete':
+                    this.handlers.onDelete(threadId);
+                    break;
+                default:
+                    this.handlers.onSelect(threadId);
+            }
+        });
+    }
+
+    render(threads, currentThreadId) {
+        if (threads.length === 0) {
+            this.container.innerHTML = '<p class="thread-empty">Диалогов пока нет</p>';
+            return;
+        }
+
+        this.container.innerHTML = threads.map(thread => `
+            <div class="thread-item ${thread.id === currentThreadId ? 'active' : ''}" data-thread-id="${thread.id}">
+                <div class="thread-info">
+                    <div class="thread-title">${thread.pinned ? '📌 ' : ''}${this.escapeHtml(thread.title)}</div>
+                    <div class="thread-meta">${this.formatDate(thread.updatedAt)} · ${thread.messageCount || 0} сообщ.</div>
+                </div>
+                <button class="thread-action" data-action="pin" title="${thread.pinned ? 'Открепить' : 'Закрепить'}">📌</button>
+                <button class="thread-action" data-action="rename" title="Переименовать">✏️</button>
+                <button class="thread-action" data-action="delete" title="Удалить">🗑️</button>
+            </div>
+        `).join('');
+    }
+
+    toggle(visible = this.container.style.display === 'none') {
+        this.container.style.display = visible ? 'block' : 'none';
+    }
+
+    formatDate(timestamp) {
+        const date = new Date(timestamp);
+        const isToday = date.toDateString() === new Date().toDateString();
+
+        return isToday
+            ? date.toLocaleTimeString('ru-RU', { hour: '2-digit', minute: '2-digit' })
+            : date.toLocaleDateString('ru-RU', { day: 'numeric', month: 'short' });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Экспортируем глобально для использования
+window.ThreadListView = ThreadListView;
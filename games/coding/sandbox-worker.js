@@ -0,0 +1,93 @@
+// Песочница для кода игрока. Воркер создаётся из blob: внутри <iframe sandbox> с непрозрачным
+// origin (coding/sandbox-frame.html): сеть закрывает CSP рамки, хранилища недоступны из-за origin.
+// Время выполнения ограничивает страница — по истечении лимита она удаляет рамку вместе с воркером.
+// Результаты с ожидаемыми сравнивает страница: воркер только возвращает значения функции
+// и подписывает сообщения одноразовым ключом, которого код игрока не видит.
+(() => {
+    // Отправка привязана к исходному postMessage до запуска кода игрока
+    const send = self.postMessage.bind(self);
+
+    // Встроенные функции сохраняем заранее: код игрока может их переопределить
+    const stringify = JSON.stringify;
+    const clone = structuredClone;
+    const getPrototypeOf = Object.getPrototypeOf;
+    const defineProperty = Object.defineProperty;
+    const hasOwn = Function.prototype.call.bind(Object.prototype.hasOwnProperty);
+
+    // Дополнительно отключаем API сети и обмена сообщениями, чтобы код не мог отправить свой ответ.
+    // Свойства живут и на прототипах (WorkerGlobalScope.prototype.fetch и т.п.),
+    // поэтому затираем их по всей цепочке, иначе их можно вызвать через .call(self)
+    const blocked = [
+        'fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts', 'postMessage',
+        'WebTransport', 'indexedDB', 'caches', 'BroadcastChannel', 'Worker', 'SharedWorker', 'navigator'
+    ];
+    for (let target = self; target; target = getPrototypeOf(target)) {
+        blocked.forEach(name => {
+            if (!hasOwn(target, name)) return;
+            try {
+                defineProperty(target, name, { value: undefined, configurable: false, writable: false });
+            } catch (error) {
+                // Некоторые свойства в отдельных браузерах не переопределяются — это не критично
+            }
+        });
+    }
+
+    self.onmessage = (event) => {
+        self.onmessage = null; // Одна проверка на один воркер
+        const { code, functionName, tests, nonce } = event.data;
+        const logs = [];
+
+        // console.log игрока собираем и показываем под результатами
+        const sandboxConsole = {
+            log: (...args) => {
+                if (logs.length < 50) logs.push(args.map(formatValue).join(' '));
+            }
+        };
+        sandboxConsole.info = sandboxConsole.warn = sandboxConsole.error = sandboxConsole.log;
+
+        let solution;
+        try {
+            solution = new Function('console', `"use strict";
+${code}
+return typeof ${functionName} === 'function' ? ${functionName} : undefined;`)(sandboxConsole);
+        } catch (error) {
+            send({ type: 'compile_error', nonce, error: `${error.name}: ${error.message}` });
+            return;
+        }
+
+        if (!solution) {
+            send({ type: 'compile_error', nonce, error: `Функция ${functionName} не найдена` });
+            return;
+        }
+
+        // Ожидаемые ответы сюда не передаются: сравнение делает страница
+        // Обычный цикл, а не forEach: Array.prototype код игрока мог подменить
+        for (let index = 0; index < tests.length; index++) {
+            let actual;
+            try {
+                actual = solution(...clone(tests[index]));
+            } catch (error) {
+                send({ type: 'test_result', nonce, index, error: `${error.name}: ${error.message}` });
+                continue;
+            }
+
+            try {
+                send({ type: 'test_result', nonce, index, value: actual, actual: formatValue(actual) });
+            } catch (error) {
+                // Функции, символы и т.п. нельзя передать странице
+                send({ type: 'test_result', nonce, index, error: `Результат нельзя передать: ${formatValue(actual)}` });
+            }
+        }
+
+        send({ type: 'done', nonce, logs });
+    };
+
+    function formatValue(value) {
+        if (value === undefined) return 'undefined';
+        try {
+            return stringify(value);
+        } catch (error) {
+            return String(value);
+        }
+    }
+})();
@@ -0,0 +1,230 @@
+// Общий SDK для игр: сессии, журнал событий, метрики и передача данных в DatasetBuilder.
+// Подключается после storage/indexed-db.js, learning/dataset-storage.js и learning/dataset-builder.js.
+class GameSession {
+    constructor(sdk, gameType, options = {}) {
+        this.sdk = sdk;
+        this.gameType = gameType;
+        this.metadata = options.metadata || {};
+        this.targetResponseTime = options.targetResponseTime || 3000; // мс на «быстрый» ответ
+
+        this.startedAt = Date.now();
+        this.lastAttemptAt = this.startedAt;
+        this.events = [];
+        this.examples = []; // Примеры для обучения — вне журнала, чтобы ограничение его длины их не удаляло
+        this.attempts = 0;
+        this.correctAttempts = 0;
+        this.responseTimes = [];
+        this.isActive = true;
+
+        // Время фокуса: не считаем периоды, когда вкладка скрыта
+        this.focusTime = 0;
+        this.focusStartedAt = document.hidden ? null : this.startedAt;
+        this.onVisibilityChange = () => this._trackVisibility();
+        document.addEventListener('visibilitychange', this.onVisibilityChange);
+
+        this.logEvent('session_start', this.metadata);
+    }
+
+    logEvent(event, data = {}) {
+        if (!this.isActive) return;
+
+        this.events.push({ event, data, timestamp: Date.now() });
+
+        // Не даём журналу разрастись в длинных сессиях
+        if (this.events.length > this.sdk.maxEvents) {
+            this.events.splice(1, this.events.length - this.sdk.maxEvents);
+        }
+    }
+
+    // Попытка игрока: верный/неверный ход или ответ
+    recordAttempt(correct, details = {}) {
+        if (!this.isActive) return;
+
+        const now = Date.now();
+        const responseTime = details.responseTime || (now - this.lastAttemptAt);
+        this.lastAttemptAt = now;
+
+        this.attempts++;
+        if (correct) this.correctAttempts++;
+        this.responseTimes.push(responseTime);
+
+        this.logEvent(correct ? 'attempt_correct' : 'attempt_wrong', { ...details, responseTime });
+    }
+
+    // Пример для обучения в формате инструкция/ответ (попадёт в prepareTrainingData)
+    recordExample(instruction, response, meta = {}) {
+        if (!this.isActive) return;
+
+        this.examples.push({ event: 'training_example', data: { instruction, response, ...meta }, timestamp: Date.now() });
+    }
+
+    getPerformance() {
+        const focusTime = this._currentFocusTime() / 1000;
+        const avgResponse = this._average(this.responseTimes);
+
+        return {
+            accuracy: this.attempts > 0 ? Math.round(this.correctAttempts / this.attempts * 100) : 0,
+            speed: avgResponse > 0 ? Math.round(Math.min(100, this.targetResponseTime / avgResponse * 100)) : 0,
+            consistency: this._consistency(),
+            focusTime: Math.round(focusTime),
+            attempts: this.attempts,
+            correct: this.correctAttempts,
+            duration: Math.round((Date.now() - this.startedAt) / 1000)
+        };
+    }
+
+    // Завершает сессию и передаёт её в датасет.
+    // solved — головоломка решена, даже если ходов-попыток не было (например, только подсказками)
+    async end(outcome, { solved = false } = {}) {
+        if (!this.isActive) return null;
+
+        this.logEvent('session_end', { outcome });
+        const performance = this.getPerformance();
+
+        this.isActive = false;
+        document.removeEventListener('visibilitychange', this.onVisibilityChange);
+
+        // Сессии без единого хода ничему не научат, если только игра не дошла до решения
+        if (this.attempts === 0 && !solved) return null;
+
+        const decisions = [...this.events, ...this.examples].sort((a, b) => a.timestamp - b.timestamp);
+        return this.sdk.submitSession(this.gameType, performance, decisions, outcome);
+    }
+
+    // Вспомогательные методы
+    _trackVisibility() {
+        if (document.hidden) {
+            this.focusTime = this._currentFocusTime();
+            this.focusStartedAt = null;
+        } else {
+            this.focusStartedAt = Date.now();
+        }
+    }
+
+    _currentFocusTime() {
+        return this.focusTime + (this.focusStartedAt ? Date.now() - this.focusStartedAt : 0);
+    }
+
+    // 100 — одинаковое время ответа, 0 — разброс больше среднего
+    _consistency() {
+        if (this.responseTimes.length < 2) return 0;
+
+        const mean = this._average(this.responseTimes);
+        const variance = this._average(this.responseTimes.map(time => (time - mean) ** 2));
+        const variation = Math.sqrt(variance) / mean;
+
+        return Math.round(Math.max(0, 1 - variation) * 100);
+    }
+
+    _average(values) {
+        return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+    }
+}
+
+class NeuroGameSDK {
+    constructor() {
+        this.datasetBuilder = new DatasetBuilder();
+        this.maxEvents = 500;
+        this.legacyKeys = { memory: 'ai_memory_training' };
+        this.ready = this.migrateLegacyData();
+    }
+
+    startSession(gameType, options = {}) {
+        return new GameSession(this, gameType, options);
+    }
+
+    async submitSession(gameType, performance, decisions, outcome) {
+        await this.ready;
+        return this._recordSession(gameType, performance, decisions, outcome);
+    }
+
+    async _recordSession(gameType, performance, decisions, outcome, options = {}) {
+        try {
+            const id = await this.datasetBuilder.recordGameData(gameType, performance, decisions, outcome, options);
+            console.log(`💾 Сессия игры ${gameType} передана в датасет`);
+            return id;
+        } catch (error) {
+            console.error('❌ Не удалось сохранить сессию игры:', error);
+            return null;
+        }
+    }
+
+    // Переносит старые данные игр из localStorage в датасет (один раз)
+    async migrateLegacyData() {
+        for (const [gameType, key] of Object.entries(this.legacyKeys)) {
+            let events;
+            try {
+                events = JSON.parse(localStorage.getItem(key) || '[]');
+            } catch (error) {
+                events = [];
+            }
+
+            if (!Array.isArray(events) || events.length === 0) {
+                localStorage.removeItem(key);
+                continue;
+            }
+
+            const sessions = this._splitLegacySessions(events);
+            for (const sessionEvents of sessions) {
+                await this._submitLegacySession(gameType, sessionEvents);
+            }
+
+            localStorage.removeItem(key);
+            console.log(`📦 Перенесены старые данные игры ${gameType}: ${sessions.length} сессий`);
+        }
+    }
+
+    // Сессии разделяются событием game_over или паузой больше 30 минут
+    _splitLegacySessions(events) {
+        const sessions = [];
+        let current = [];
+
+        events.forEach((entry, index) => {
+            const previous = events[index - 1];
+            if (previous && entry.timestamp - previous.timestamp > 30 * 60 * 1000 && current.length) {
+                sessions.push(current);
+                current = [];
+            }
+
+            current.push(entry);
+
+            if (entry.event === 'game_over') {
+                sessions.push(current);
+                current = [];
+            }
+        });
+
+        if (current.length) sessions.push(current);
+        return sessions;
+    }
+
+    async _submitLegacySession(gameType, events) {
+        const correct = events.filter(e => e.event === 'successful_match').length;
+        const wrong = events.filter(e => e.event === 'failed_match').length;
+        const attempts = correct + wrong;
+        const startedAt = events[0].timestamp;
+        const endedAt = events[events.length - 1].timestamp;
+        const gameOver = events.find(e => e.event === 'game_over');
+
+        const performance = {
+            accuracy: attempts > 0 ? Math.round(correct / attempts * 100) : 0,
+            speed: 0,
+            consistency: 0,
+            focusTime: Math.round((endedAt - startedAt) / 1000),
+            attempts,
+            correct,
+            migrated: true
+        };
+
+        const outcome = gameOver
+            ? `счёт ${gameOver.data.finalScore}, уровень ${gameOver.data.finalLevel}`
+            : 'игра прервана';
+
+        await this._recordSession(gameType, performance, events, outcome, { timestamp: startedAt });
+    }
+}
+
+// Общий экземпляр для всех игр
+window.GameSession = GameSession;
+window.NeuroGameSDK = NeuroGameSDK;
+window.gameSDK = new NeuroGameSDK();
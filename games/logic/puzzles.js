@@ -0,0 +1,520 @@
+// Генераторы и решатели головоломок для логической игры.
+// Все генераторы детерминированы: одинаковый seed и сложность дают одну и ту же головоломку.
+
+// Генератор псевдослучайных чисел с зерном (mulberry32)
+class SeededRandom {
+    constructor(seed) {
+        this.seed = String(seed);
+        this.state = SeededRandom.hashSeed(this.seed);
+    }
+
+    // Строковое зерно → 32-битное число (FNV-1a)
+    static hashSeed(seed) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < seed.length; i++) {
+            hash ^= seed.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    static randomSeed() {
+        return Math.random().toString(36).slice(2, 8).toUpperCase();
+    }
+
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    shuffle(items) {
+        const result = items.slice();
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+}
+
+// Судоку 9×9. Сетка — массив из 81 числа, 0 — пустая клетка
+class Sudoku {
+    static generate(random, difficulty = 1) {
+        const solution = Sudoku.fillGrid(random);
+        const targetGivens = { 1: 40, 2: 32, 3: 26 }[difficulty] || 40;
+        const grid = solution.slice();
+        let givens = 81;
+
+        // Убираем клетки, пока решение остаётся единственным
+        for (const index of random.shuffle([...Array(81).keys()])) {
+            if (givens <= targetGivens) break;
+
+            const value = grid[index];
+            grid[index] = 0;
+
+            if (Sudoku.countSolutions(grid, 2) !== 1) {
+                grid[index] = value;
+            } else {
+                givens--;
+            }
+        }
+
+        return { type: 'sudoku', difficulty, grid, solution, givens };
+    }
+
+    static fillGrid(random) {
+        const grid = new Array(81).fill(0);
+        Sudoku.search(grid, () => true, random);
+        return grid;
+    }
+
+    // Количество решений, но не больше limit — для проверки единственности
+    static countSolutions(grid, limit = 2) {
+        let count = 0;
+        Sudoku.search(grid.slice(), () => ++count >= limit);
+        return count;
+    }
+
+    static solve(grid) {
+        const work = grid.slice();
+        let solution = null;
+        Sudoku.search(work, (filled) => {
+            solution = filled.slice();
+            return true;
+        });
+        return solution;
+    }
+
+    // Перебор с выбором клетки с наименьшим числом кандидатов.
+    // onSolution возвращает true, чтобы остановить поиск
+    static search(grid, onSolution, random = null) {
+        let bestIndex = -1;
+        let bestCandidates = null;
+
+        for (let i = 0; i < 81; i++) {
+            if (grid[i] !== 0) continue;
+
+            const candidates = Sudoku.candidates(grid, i);
+            if (candidates.length === 0) return false;
+            if (!bestCandidates || candidates.length < bestCandidates.length) {
+                bestIndex = i;
+                bestCandidates = candidates;
+                if (candidates.length === 1) break;
+            }
+        }
+
+        if (bestIndex === -1) return onSolution(grid);
+
+        const order = random ? random.shuffle(bestCandidates) : bestCandidates;
+        for (const value of order) {
+            grid[bestIndex] = value;
+            if (Sudoku.search(grid, onSolution, random)) {
+                if (!random) grid[bestIndex] = 0;
+                return true;
+            }
+        }
+
+        grid[bestIndex] = 0;
+        return false;
+    }
+
+    static candidates(grid, index) {
+        const row = Math.floor(index / 9);
+        const col = index % 9;
+        const boxRow = row - row % 3;
+        const boxCol = col - col % 3;
+        const used = new Set();
+
+        for (let i = 0; i < 9; i++) {
+            used.add(grid[row * 9 + i]);
+            used.add(grid[i * 9 + col]);
+            used.add(grid[(boxRow + Math.floor(i / 3)) * 9 + boxCol + i % 3]);
+        }
+
+        const result = [];
+        for (let value = 1; value <= 9; value++) {
+            if (!used.has(value)) result.push(value);
+        }
+        return result;
+    }
+
+    // Подсказка: клетка с единственным кандидатом, иначе — наименее очевидная клетка из решения
+    static hint(grid, solution) {
+        let fallback = null;
+
+        for (let i = 0; i < 81; i++) {
+            if (grid[i] !== 0) continue;
+
+            const candidates = Sudoku.candidates(grid, i);
+            if (candidates.length === 1 && candidates[0] === solution[i]) {
+                return { index: i, value: solution[i], reason: 'В этой клетке возможна только одна цифра' };
+            }
+            if (!fallback || candidates.length < fallback.count) {
+                fallback = { index: i, count: candidates.length };
+            }
+        }
+
+        if (!fallback) return null;
+        return {
+            index: fallback.index,
+            value: solution[fallback.index],
+            reason: 'Здесь меньше всего вариантов — попробуй начать с неё'
+        };
+    }
+}
+
+// Японский кроссворд (нонограмма). Решение — массив строк из 0/1
+class Nonogram {
+    static generate(random, difficulty = 1) {
+        const size = { 1: 5, 2: 7, 3: 10 }[difficulty] || 5;
+
+        // Генерируем, пока картинка не решается однозначно логикой по строкам
+        for (let attempt = 0; attempt < 200; attempt++) {
+            const density = 0.5 + random.next() * 0.2;
+            const solution = Array.from({ length: size }, () =>
+                Array.from({ length: size }, () => (random.next() < density ? 1 : 0))
+            );
+
+            const clues = Nonogram.getClues(solution);
+            const solved = Nonogram.solve(clues.rows, clues.cols);
+
+            if (solved && Nonogram.gridsEqual(solved, solution)) {
+                return { type: 'nonogram', difficulty, size, solution, clues };
+            }
+        }
+
+        throw new Error('Не удалось сгенерировать нонограмму с единственным решением');
+    }
+
+    static getClues(solution) {
+        const size = solution.length;
+        const columns = Array.from({ length: size }, (_, col) => solution.map(row => row[col]));
+
+        return {
+            rows: solution.map(line => Nonogram.lineClue(line)),
+            cols: columns.map(line => Nonogram.lineClue(line))
+        };
+    }
+
+    static lineClue(line) {
+        const clue = [];
+        let run = 0;
+        line.forEach(cell => {
+            if (cell === 1) {
+                run++;
+            } else if (run > 0) {
+                clue.push(run);
+                run = 0;
+            }
+        });
+        if (run > 0) clue.push(run);
+        return clue.length ? clue : [0];
+    }
+
+    // Решение только логикой по строкам и столбцам. null — если логики не хватает,
+    // значит решение не единственное или требует перебора
+    static solve(rowClues, colClues, initial = null) {
+        const size = rowClues.length;
+        // -1 — неизвестно, 0 — пусто, 1 — закрашено
+        const grid = initial
+            ? initial.map(row => row.slice())
+            : Array.from({ length: size }, () => new Array(size).fill(-1));
+
+        let changed = true;
+        while (changed) {
+            changed = false;
+
+            for (let r = 0; r < size; r++) {
+                const result = Nonogram.solveLine(rowClues[r], grid[r]);
+                if (!result) return null;
+                result.forEach((cell, c) => {
+                    if (grid[r][c] !== cell) {
+                        grid[r][c] = cell;
+                        changed = true;
+                    }
+                });
+            }
+
+            for (let c = 0; c < size; c++) {
+                const column = grid.map(row => row[c]);
+                const result = Nonogram.solveLine(colClues[c], column);
+                if (!result) return null;
+                result.forEach((cell, r) => {
+                    if (grid[r][c] !== cell) {
+                        grid[r][c] = cell;
+                        changed = true;
+                    }
+                });
+            }
+        }
+
+        return grid.every(row => row.every(cell => cell !== -1)) ? grid : null;
+    }
+
+    // Перебирает все расстановки блоков, совместимые с известными клетками,
+    // и фиксирует клетки, одинаковые во всех расстановках
+    static solveLine(clue, line) {
+        const blocks = clue[0] === 0 ? [] : clue;
+        const length = line.length;
+        let common = null;
+
+        const place = (blockIndex, start, current) => {
+            if (blockIndex === blocks.length) {
+                const candidate = current.slice();
+                for (let i = start; i < length; i++) candidate[i] = 0;
+                if (!Nonogram.fits(candidate, line)) return;
+
+                common = common
+                    ? common.map((cell, i) => (cell === candidate[i] ? cell : -1))
+                    : candidate;
+                return;
+            }
+
+            const block = blocks[blockIndex];
+            const remaining = blocks.slice(blockIndex + 1).reduce((sum, b) => sum + b + 1, 0);
+
+            for (let pos = start; pos + block + remaining <= length; pos++) {
+                const candidate = current.slice();
+                for (let i = start; i < pos; i++) candidate[i] = 0;
+                for (let i = pos; i < pos + block; i++) candidate[i] = 1;
+                if (pos + block < length) candidate[pos + block] = 0;
+
+                // Отсекаем ветки, уже противоречащие известным клеткам
+                const end = Math.min(pos + block + 1, length);
+                let valid = true;
+                for (let i = start; i < end; i++) {
+                    if (line[i] !== -1 && line[i] !== candidate[i]) {
+                        valid = false;
+                        break;
+                    }
+                }
+                if (valid) place(blockIndex + 1, end, candidate);
+            }
+        };
+
+        place(0, 0, new Array(length).fill(-1));
+        return common;
+    }
+
+    static fits(candidate, line) {
+        return line.every((cell, i) => cell === -1 || cell === candidate[i]);
+    }
+
+    static gridsEqual(a, b) {
+        return a.every((row, r) => row.every((cell, c) => cell === b[r][c]));
+    }
+
+    // Подсказка: клетка, которую можно вывести логикой из верно отмеченных игроком клеток
+    static hint(puzzle, playerGrid) {
+        const size = puzzle.size;
+        const known = playerGrid.map((row, r) =>
+            row.map((cell, c) => (cell !== -1 && cell === puzzle.solution[r][c] ? cell : -1))
+        );
+
+        for (let r = 0; r < size; r++) {
+            const line = Nonogram.solveLine(puzzle.clues.rows[r], known[r]);
+            const c = line ? line.findIndex((cell, i) => cell !== -1 && known[r][i] === -1) : -1;
+            if (c !== -1) return { row: r, col: c, value: line[c], reason: `Следует из подсказки строки ${r + 1}` };
+        }
+
+        for (let c = 0; c < size; c++) {
+            const column = known.map(row => row[c]);
+            const line = Nonogram.solveLine(puzzle.clues.cols[c], column);
+            const r = line ? line.findIndex((cell, i) => cell !== -1 && column[i] === -1) : -1;
+            if (r !== -1) return { row: r, col: c, value: line[r], reason: `Следует из подсказки столбца ${c + 1}` };
+        }
+
+        return null;
+    }
+}
+
+// Продолжение числовых последовательностей
+class SequencePuzzle {
+    static get RULES() {
+        return {
+            arithmetic: {
+                difficulty: 1,
+                description: 'Разность между соседними числами постоянна',
+                generate: (random, length) => {
+                    const start = random.int(1, 20);
+                    const step = random.pick([2, 3, 4, 5, 7, 9, -3, -4]);
+                    return Array.from({ length }, (_, i) => start + step * i);
+                }
+            },
+            geometric: {
+                difficulty: 1,
+                description: 'Каждое число в одно и то же число раз больше предыдущего',
+                generate: (random, length) => {
+                    const start = random.int(1, 5);
+                    const ratio = random.pick([2, 3]);
+                    return Array.from({ length }, (_, i) => start * ratio ** i);
+                }
+            },
+            squares: {
+                difficulty: 2,
+                description: 'Квадраты последовательных чисел со сдвигом',
+                generate: (random, length) => {
+                    const offset = random.int(-3, 5);
+                    const first = random.int(1, 4);
+                    return Array.from({ length }, (_, i) => (first + i) ** 2 + offset);
+                }
+            },
+            secondOrder: {
+                difficulty: 2,
+                description: 'Разности между числами растут на одно и то же число',
+                generate: (random, length) => {
+                    let value = random.int(1, 10);
+                    let diff = random.int(1, 4);
+                    const growth = random.int(1, 3);
+                    return Array.from({ length }, () => {
+                        const current = value;
+                        value += diff;
+                        diff += growth;
+                        return current;
+                    });
+                }
+            },
+            alternating: {
+                difficulty: 3,
+                description: 'Чередуются две последовательности со своим шагом',
+                generate: (random, length) => {
+                    const a = random.int(1, 10);
+                    const b = random.int(20, 40);
+                    const stepA = random.int(2, 5);
+                    const stepB = -random.int(1, 4);
+                    return Array.from({ length }, (_, i) =>
+                        i % 2 === 0 ? a + stepA * (i / 2) : b + stepB * ((i - 1) / 2)
+                    );
+                }
+            },
+            fibonacci: {
+                difficulty: 3,
+                description: 'Каждое число равно сумме двух предыдущих',
+                generate: (random, length) => {
+                    const result = [random.int(1, 5), random.int(1, 8)];
+                    while (result.length < length) {
+                        result.push(result[result.length - 1] + result[result.length - 2]);
+                    }
+                    return result;
+                }
+            }
+        };
+    }
+
+    static generate(random, difficulty = 1) {
+        const rules = Object.entries(SequencePuzzle.RULES)
+            .filter(([, rule]) => rule.difficulty <= difficulty && rule.difficulty >= difficulty - 1);
+        const shownLength = difficulty === 3 ? 7 : 6;
+
+        // Повторяем, пока решатель не найдёт ровно один ответ
+        for (let attempt = 0; attempt < 50; attempt++) {
+            const [ruleName, rule] = random.pick(rules);
+            const full = rule.generate(random, shownLength + 1);
+            const terms = full.slice(0, shownLength);
+            const solved = SequencePuzzle.solve(terms);
+
+            if (solved && solved.answer === full[shownLength]) {
+                return {
+                    type: 'sequence',
+                    difficulty,
+                    terms,
+                    answer: solved.answer,
+                    rule: ruleName,
+                    description: rule.description
+                };
+            }
+        }
+
+        throw new Error('Не удалось сгенерировать последовательность с однозначным ответом');
+    }
+
+    // Пробует все известные правила; ответ однозначен, если все подходящие правила согласны
+    static solve(terms) {
+        const predictions = new Map();
+
+        Object.entries(SequencePuzzle.detectors).forEach(([ruleName, detect]) => {
+            const next = detect(terms);
+            if (next === null || !Number.isFinite(next)) return;
+            if (!predictions.has(next)) predictions.set(next, []);
+            predictions.get(next).push(ruleName);
+        });
+
+        if (predictions.size !== 1) return null;
+
+        const [[answer, rules]] = predictions.entries();
+        return { answer, rules };
+    }
+
+    static get detectors() {
+        const diffs = (values) => values.slice(1).map((value, i) => value - values[i]);
+        const isConstant = (values) => values.length > 0 && values.every(value => value === values[0]);
+
+        return {
+            arithmetic: (terms) => {
+                const d = diffs(terms);
+                return isConstant(d) ? terms[terms.length - 1] + d[0] : null;
+            },
+            geometric: (terms) => {
+                if (terms.some(value => value === 0)) return null;
+                const ratios = terms.slice(1).map((value, i) => value / terms[i]);
+                return isConstant(ratios) && ratios[0] !== 1 && Number.isInteger(ratios[0])
+                    ? terms[terms.length - 1] * ratios[0]
+                    : null;
+            },
+            secondOrder: (terms) => {
+                const d = diffs(terms);
+                const d2 = diffs(d);
+                return isConstant(d2) && d2[0] !== 0
+                    ? terms[terms.length - 1] + d[d.length - 1] + d2[0]
+                    : null;
+            },
+            alternating: (terms) => {
+                const even = terms.filter((_, i) => i % 2 === 0);
+                const odd = terms.filter((_, i) => i % 2 === 1);
+                const dEven = diffs(even);
+                const dOdd = diffs(odd);
+                if (!isConstant(dEven) || !isConstant(dOdd) || dEven[0] === dOdd[0]) return null;
+                return terms.length % 2 === 0
+                    ? even[even.length - 1] + dEven[0]
+                    : odd[odd.length - 1] + dOdd[0];
+            },
+            fibonacci: (terms) => {
+                const valid = terms.slice(2).every((value, i) => value === terms[i] + terms[i + 1]);
+                return valid ? terms[terms.length - 1] + terms[terms.length - 2] : null;
+            }
+        };
+    }
+
+    static hint(puzzle) {
+        return { reason: puzzle.description };
+    }
+}
+
+// Единая точка создания головоломки по типу, сложности и зерну
+function generatePuzzle(type, difficulty, seed) {
+    const random = new SeededRandom(`${type}:${difficulty}:${seed}`);
+    const generators = { sudoku: Sudoku, nonogram: Nonogram, sequence: SequencePuzzle };
+
+    if (!generators[type]) {
+        throw new Error(`Неизвестный тип головоломки: ${type}`);
+    }
+
+    return { ...generators[type].generate(random, difficulty), seed };
+}
+
+window.SeededRandom = SeededRandom;
+window.Sudoku = Sudoku;
+window.Nonogram = Nonogram;
+window.SequencePuzzle = SequencePuzzle;
+window.generatePuzzle = generatePuzzle;
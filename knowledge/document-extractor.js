@@ -0,0 +1,242 @@
+// Извлечение текста из документов пользователя для базы знаний: txt, md, html и простые PDF.
+// PDF разбирается без сторонних библиотек: потоки FlateDecode распаковываются DecompressionStream,
+// текст берётся из операторов Tj/TJ. Сканы и PDF со шрифтами без текстового слоя не поддерживаются.
+const DOCUMENT_TYPES = {
+    txt: 'Текст',
+    md: 'Markdown',
+    html: 'HTML',
+    pdf: 'PDF'
+};
+
+class DocumentExtractor {
+    constructor({ maxFileSize = 20 * 1024 * 1024 } = {}) {
+        this.maxFileSize = maxFileSize;
+    }
+
+    // Возвращает { title, type, text }
+    async extract(file) {
+        const type = this.detectType(file);
+        if (!type) {
+            throw new Error(`Формат файла ${file.name} не поддерживается: нужны txt, md, html или pdf`);
+        }
+        if (file.size > this.maxFileSize) {
+            throw new Error(`Файл ${file.name} больше ${Math.round(this.maxFileSize / 1024 / 1024)} МБ`);
+        }
+
+        const fallbackTitle = file.name.replace(/\.[^.]+$/, '');
+        let result;
+
+        if (type === 'pdf') {
+            result = { title: fallbackTitle, text: await this.extractPdf(new Uint8Array(await file.arrayBuffer())) };
+        } else {
+            const source = await file.text();
+            result = type === 'html' ? this.extractHtml(source)
+                : type === 'md' ? this.extractMarkdown(source)
+                : { title: null, text: source };
+        }
+
+        const text = this.normalize(result.text);
+        if (!text) {
+            throw new Error(type === 'pdf'
+                ? `В ${file.name} не найден текст: возможно, это скан`
+                : `Файл ${file.name} пуст`);
+        }
+
+        return { title: result.title || fallbackTitle, type, text };
+    }
+
+    detectType(file) {
+        const extension = (file.name.match(/\.([^.]+)$/) || [])[1];
+        const byExtension = {
+            txt: 'txt', text: 'txt', md: 'md', markdown: 'md', html: 'html', htm: 'html', pdf: 'pdf'
+        }[(extension || '').toLowerCase()];
+        if (byExtension) return byExtension;
+
+        const byMime = {
+            'text/plain': 'txt', 'text/markdown': 'md', 'text/html': 'html', 'application/pdf': 'pdf'
+        };
+        return byMime[file.type] || null;
+    }
+
+    extractHtml(source) {
+        const doc = new DOMParser().parseFromString(source, 'text/html');
+        doc.querySelectorAll('script, style, noscript, template, svg').forEach(element => element.remove());
+
+        // Блочные элементы разделяем переводами строк, иначе абзацы склеятся
+        doc.querySelectorAll('br').forEach(element => element.replaceWith('\n'));
+        doc.querySelectorAll('p, div, li, tr, h1, h2, h3, h4, h5, h6, pre, blockquote, section, article')
+            .forEach(element => element.append('\n\n'));
+
+        const heading = doc.querySelector('h1');
+        const title = (doc.title || (heading ? heading.textContent : '')).trim();
+        return { title, text: doc.body ? doc.body.textContent : '' };
+    }
+
+    extractMarkdown(source) {
+        const heading = source.match(/^#[ \t]+(.+)$/m);
+        const text = source
+            .replace(/^```.*$/gm, '')                       // Ограждения блоков кода
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')       // Картинки — только подпись
+            .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')        // Ссылки — только текст
+            .replace(/<[^>]+>/g, '')
+            .replace(/^[ \t]{0,3}#{1,6}[ \t]+/gm, '')
+            .replace(/^[ \t]{0,3}>[ \t]?/gm, '')
+            .replace(/^[ \t]*[-*+][ \t]+/gm, '• ')
+            .replace(/(\*\*|__|\*|_|`)(.+?)\1/g, '$2');
+
+        return { title: heading ? heading[1].trim() : null, text };
+    }
+
+    // Текст PDF: обходим объекты-потоки, распаковываем и читаем текстовые операторы
+    async extractPdf(bytes) {
+        const source = this._toBinaryString(bytes);
+        if (!source.startsWith('%PDF-')) {
+            throw new Error('Файл не является PDF');
+        }
+
+        const pages = [];
+        const streamPattern = /<<((?:[^<>]|<<(?:[^<>]|<<[^<>]*>>)*>>|<[^<>]*>)*)>>\s*stream\r?\n/g;
+        let match;
+
+        while ((match = streamPattern.exec(source)) !== null) {
+            const dictionary = match[1];
+            const start = match.index + match[0].length;
+            const end = source.indexOf('endstream', start);
+            if (end === -1) break;
+            streamPattern.lastIndex = end;
+
+            // Картинки, шрифты и метаданные текста не содержат
+            if (/\/Subtype\s*\/(Image|XML|Type1C|CIDFontType0C|OpenType)|\/Length1|\/Type\s*\/(XRef|Metadata|EmbeddedFile)/.test(dictionary)) {
+                continue;
+            }
+
+            let data = bytes.subarray(start, end);
+            const filters = (dictionary.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/) || [])[1] || '';
+            if (filters && filters.replace(/[\[\]\s]/g, '') !== '/FlateDecode') {
+                continue; // Другие фильтры (LZW, DCT…) простые PDF для текста не используют
+            }
+
+            if (filters) {
+                try {
+                    data = await this._inflate(data);
+                } catch (error) {
+                    continue;
+                }
+            }
+
+            const content = this._toBinaryString(data);
+            if (!/\bBT\b/.test(content)) continue;
+
+            const text = this._readTextOperators(content);
+            if (text.trim()) pages.push(text);
+        }
+
+        return pages.join('\n\n');
+    }
+
+    normalize(text) {
+        return text
+            .replace(/\r\n?/g, '\n')
+            .replace(/[ \t\u00a0]+/g, ' ')
+            .replace(/ *\n */g, '\n')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    // Вспомогательные методы
+    _toBinaryString(bytes) {
+        // По байту на символ; TextDecoder('latin1') на деле windows-1252 и портит 0x80–0x9F
+        let result = '';
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            result += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return result;
+    }
+
+    async _inflate(data) {
+        // FlateDecode — это zlib, в Compression Streams он называется 'deflate'
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    // Строки из Tj, TJ, ' и "; переводы строк — по Td, TD, T*, Tm, ET
+    _readTextOperators(content) {
+        const tokens = /\((?:\\[\s\S]|[^\\)])*\)|<[0-9A-Fa-f\s]*>|\[|\]|-?\d*\.?\d+|\/[^\s\/\[\]()<>]+|[A-Za-z'"*]+/g;
+        let text = '';
+        let pending = [];
+        let inArray = false;
+        let match;
+
+        while ((match = tokens.exec(content)) !== null) {
+            const token = match[0];
+
+            if (token[0] === '(' || token[0] === '<') {
+                pending.push(this._decodePdfString(token));
+            } else if (token === '[') {
+                inArray = true;
+                pending = [];
+            } else if (token === ']') {
+                inArray = false;
+            } else if (/^-?\d*\.?\d+$/.test(token)) {
+                // Большой отрицательный сдвиг внутри TJ обычно означает пробел между словами
+                if (inArray && parseFloat(token) < -200) pending.push(' ');
+            } else if (token === 'Tj' || token === 'TJ') {
+                text += pending.join('');
+                pending = [];
+            } else if (token === "'" || token === '"') {
+                text += '\n' + pending.join('');
+                pending = [];
+            } else if (['Td', 'TD', 'T*', 'Tm', 'ET'].includes(token)) {
+                if (text && !text.endsWith('\n')) text += '\n';
+            }
+        }
+
+        // Строки, разорванные переносом внутри абзаца, склеиваем обратно
+        return text.replace(/-\n(?=\p{Ll})/gu, '').replace(/([^\n.!?:;])\n(?=\p{Ll})/gu, '$1 ');
+    }
+
+    _decodePdfString(token) {
+        let bytes;
+
+        if (token[0] === '<') {
+            const hex = token.slice(1, -1).replace(/\s/g, '');
+            bytes = [];
+            for (let i = 0; i < hex.length; i += 2) {
+                bytes.push(parseInt(hex.slice(i, i + 2).padEnd(2, '0'), 16));
+            }
+        } else {
+            bytes = [];
+            const body = token.slice(1, -1);
+            const escapes = { n: 10, r: 13, t: 9, b: 8, f: 12 };
+            for (let i = 0; i < body.length; i++) {
+                const char = body[i];
+                if (char !== '\\') {
+                    bytes.push(char.charCodeAt(0));
+                    continue;
+                }
+                const next = body[++i];
+                if (next in escapes) {
+                    bytes.push(escapes[next]);
+                } else if (/[0-7]/.test(next)) {
+                    let octal = next;
+                    while (octal.length < 3 && /[0-7]/.test(body[i + 1])) octal += body[++i];
+                    bytes.push(parseInt(octal, 8) & 0xff);
+                } else if (next === '\r' || next === '\n') {
+                    if (next === '\r' && body[i + 1] === '\n') i++; // Перенос строки внутри строки PDF
+                } else if (next !== undefined) {
+                    bytes.push(next.charCodeAt(0));
+                }
+            }
+        }
+
+        // UTF-16BE с BOM, иначе однобайтная кодировка (PDFDocEncoding близка к Latin-1)
+        if (bytes[0] === 0xfe && bytes[1] === 0xff) {
+            return new TextDecoder('utf-16be').decode(new Uint8Array(bytes.slice(2)));
+        }
+        return String.fromCharCode(...bytes);
+    }
+}
+
+// Экспортируем глобально для использования
+window.DOCUMENT_TYPES = DOCUMENT_TYPES;
+window.DocumentExtractor = DocumentExtractor;
@@ -0,0 +1,272 @@
+// База знаний из документов пользователя: текст режется на фрагменты, по ним строится
+// обратный индекс BM25 в IndexedDB. На вопрос в чате находятся лучшие фрагменты, которые
+// подставляются в промпт с номерами источников.
+//
+// Хранилища: documents — карточки документов, chunks — фрагменты с частотами терминов,
+// terms — списки вхождений { term, postings: [[chunkId, tf, length]] }, meta — статистика индекса.
+const KNOWLEDGE_STOPWORDS = new Set((
+    'и в во не что он на я с со как а то все она так его но да ты к у же вы за бы по только ее мне было ' +
+    'вот от меня еще нет о из ему когда даже ну ли если уже или ни быть был него до вас нибудь уж вам ведь там ' +
+    'потом себя ей может они тут где есть надо ней для мы тебя их чем была сам без чего раз тоже себе под будет ' +
+    'ж тогда кто этот того потому этого какой какая какие ним здесь этом мой тем чтобы нее были куда зачем всех ' +
+    'можно при об хоть после над больше тот через эти нас про всего них много эту моя этой перед им это ' +
+    'расскажи скажи объясни покажи подскажи пожалуйста знаешь такое ' +
+    'the a an and or of to in on for is are was were be it this that with as at by from what how why who'
+).split(' '));
+
+// Окончания для грубого стемминга: «документы», «документов» и «документа» дают один термин
+const KNOWLEDGE_SUFFIXES = [
+    'иями', 'ями', 'ами', 'иях', 'ием', 'иям', 'ого', 'его', 'ому', 'ему', 'ыми', 'ими', 'ость', 'ости',
+    'ая', 'яя', 'ое', 'ее', 'ые', 'ие', 'ый', 'ий', 'ой', 'ей', 'ом', 'ем', 'ам', 'ям', 'ах', 'ях', 'ов', 'ев',
+    'ую', 'юю', 'ия', 'ья', 'ть', 'ет', 'ит', 'ут', 'ют', 'ат', 'ят',
+    'а', 'я', 'о', 'е', 'ы', 'и', 'у', 'ю', 'ь', 'й',
+    'ing', 'ed', 'es', 's'
+].sort((a, b) => b.length - a.length);
+
+class KnowledgeBase {
+    constructor({ chunkWords = 100, overlapWords = 20, k1 = 1.2, b = 0.75 } = {}) {
+        this.chunkWords = chunkWords;     // Размер фрагмента в словах
+        this.overlapWords = overlapWords; // Перекрытие длинных абзацев, чтобы мысль не рвалась
+        this.k1 = k1;                     // Параметры BM25
+        this.b = b;
+        this.documents = [];
+
+        this.db = new IndexedDBStore('NeuroSputnikKnowledge', 1, (db) => {
+            // Документ: { id, title, fileName, type, size, charCount, chunkCount, createdAt }
+            db.createObjectStore('documents', { keyPath: 'id' });
+            // Фрагмент: { id: `${documentId}:${position}`, documentId, position, text, length, terms: { термин: частота } }
+            const chunks = db.createObjectStore('chunks', { keyPath: 'id' });
+            chunks.createIndex('documentId', 'documentId');
+            db.createObjectStore('terms', { keyPath: 'term' });
+            // Статистика индекса: { key: 'stats', chunkCount, totalLength }
+            db.createObjectStore('meta', { keyPath: 'key' });
+        });
+    }
+
+    async load() {
+        this.documents = (await this.db.getAll('documents')).sort((a, b) => b.createdAt - a.createdAt);
+        return this.documents;
+    }
+
+    getDocuments() {
+        return this.documents;
+    }
+
+    isEmpty() {
+        return this.documents.length === 0;
+    }
+
+    // Добавляет извлечённый документ ({ title, type, text }) и индексирует его фрагменты
+    async addDocument({ title, type, text }, { fileName = '', size = 0 } = {}) {
+        const doc = {
+            id: `doc_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            title,
+            fileName,
+            type,
+            size,
+            charCount: text.length,
+            chunkCount: 0,
+            createdAt: Date.now()
+        };
+
+        const chunks = this.chunkText(text).map((chunkText, position) =>
+            this._indexChunk({ id: `${doc.id}:${position}`, documentId: doc.id, position, text: chunkText })
+        );
+        if (chunks.length === 0) {
+            throw new Error(`В документе «${title}» нет текста для поиска`);
+        }
+        doc.chunkCount = chunks.length;
+
+        try {
+            await this.db.transaction(['documents', 'chunks', 'terms', 'meta'], 'readwrite', stores => {
+                stores.documents.put(doc);
+                chunks.forEach(chunk => stores.chunks.put(chunk));
+                this._updatePostings(stores, chunks, 1);
+            });
+        } catch (error) {
+            if (error && error.name === 'QuotaExceededError') {
+                throw new Error('Недостаточно места для документа: удалите ненужные документы');
+            }
+            throw error;
+        }
+
+        this.documents.unshift(doc);
+        console.log(`📚 Документ «${title}» добавлен: ${chunks.length} фрагментов`);
+        return doc;
+    }
+
+    async deleteDocument(id) {
+        const chunks = await this.db.getAll('chunks', 'documentId', id);
+
+        await this.db.transaction(['documents', 'chunks', 'terms', 'meta'], 'readwrite', stores => {
+            stores.documents.delete(id);
+            chunks.forEach(chunk => stores.chunks.delete(chunk.id));
+            this._updatePostings(stores, chunks, -1);
+        });
+
+        this.documents = this.documents.filter(doc => doc.id !== id);
+    }
+
+    // Пересобирает индекс по сохранённым фрагментам (после смены токенизатора или сбоя)
+    async rebuildIndex() {
+        const chunks = (await this.db.getAll('chunks')).map(chunk => this._indexChunk(chunk));
+
+        await this.db.transaction(['chunks', 'terms', 'meta'], 'readwrite', stores => {
+            stores.terms.clear();
+            stores.meta.clear();
+            chunks.forEach(chunk => stores.chunks.put(chunk));
+            this._updatePostings(stores, chunks, 1);
+        });
+
+        console.log(`🔁 Индекс базы знаний пересобран: ${chunks.length} фрагментов`);
+        return chunks.length;
+    }
+
+    // Лучшие фрагменты по BM25: [{ chunkId, documentId, title, text, score }]
+    async search(query, { limit = 3, minRelativeScore = 0.3 } = {}) {
+        const queryTerms = [...new Set(KnowledgeBase.tokenize(query))];
+        if (queryTerms.length === 0 || this.isEmpty()) return [];
+
+        const { stats, entries } = await this.db.transaction(['terms', 'meta'], 'readonly', stores => {
+            const result = { stats: null, entries: [] };
+            stores.meta.get('stats').onsuccess = (event) => {
+                result.stats = event.target.result;
+            };
+            queryTerms.forEach(term => {
+                stores.terms.get(term).onsuccess = (event) => {
+                    if (event.target.result) result.entries.push(event.target.result);
+                };
+            });
+            return result;
+        });
+        if (!stats || stats.chunkCount === 0 || entries.length === 0) return [];
+
+        const averageLength = stats.totalLength / stats.chunkCount;
+        const scores = new Map();
+
+        entries.forEach(({ postings }) => {
+            const idf = Math.log(1 + (stats.chunkCount - postings.length + 0.5) / (postings.length + 0.5));
+            postings.forEach(([chunkId, tf, length]) => {
+                const norm = tf * (this.k1 + 1) / (tf + this.k1 * (1 - this.b + this.b * length / averageLength));
+                scores.set(chunkId, (scores.get(chunkId) || 0) + idf * norm);
+            });
+        });
+
+        // Слабые совпадения (одно частое слово) отсекаем относительно лучшего
+        const ranked = [...scores.entries()].sort((a, b) => b[1] - a[1]);
+        const threshold = ranked[0][1] * minRelativeScore;
+        const top = ranked.filter(([, score]) => score >= threshold).slice(0, limit);
+
+        const chunks = await Promise.all(top.map(([chunkId]) => this.db.get('chunks', chunkId)));
+        return chunks
+            .map((chunk, index) => chunk && {
+                chunkId: chunk.id,
+                documentId: chunk.documentId,
+                title: (this.documents.find(doc => doc.id === chunk.documentId) || {}).title || '',
+                text: chunk.text,
+                score: top[index][1]
+            })
+            .filter(Boolean);
+    }
+
+    // Абзацы собираются во фрагменты до chunkWords слов; длинные абзацы режутся окном с перекрытием
+    chunkText(text) {
+        const chunks = [];
+        let current = [];
+
+        const flush = () => {
+            if (current.length > 0) chunks.push(current.join(' '));
+            current = [];
+        };
+
+        text.split(/\n\s*\n/).forEach(paragraph => {
+            const words = paragraph.split(/\s+/).filter(Boolean);
+            if (words.length === 0) return;
+
+            if (words.length > this.chunkWords) {
+                flush();
+                const step = this.chunkWords - this.overlapWords;
+                for (let start = 0; start < words.length; start += step) {
+                    chunks.push(words.slice(start, start + this.chunkWords).join(' '));
+                    if (start + this.chunkWords >= words.length) break;
+                }
+                return;
+            }
+
+            if (current.length + words.length > this.chunkWords) flush();
+            current.push(...words);
+        });
+
+        flush();
+        return chunks;
+    }
+
+    // Слова в нижнем регистре без стоп-слов, с отброшенными окончаниями
+    static tokenize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/ё/g, 'е')
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(word => word.length > 1 && !KNOWLEDGE_STOPWORDS.has(word))
+            .map(word => KnowledgeBase.stem(word));
+    }
+
+    static stem(word) {
+        if (word.length <= 4) return word;
+        const suffix = KNOWLEDGE_SUFFIXES.find(ending => word.endsWith(ending) && word.length - ending.length >= 3);
+        return suffix ? word.slice(0, -suffix.length) : word;
+    }
+
+    // Вспомогательные методы
+    _indexChunk(chunk) {
+        const terms = {};
+        const tokens = KnowledgeBase.tokenize(chunk.text);
+        tokens.forEach(term => {
+            terms[term] = (terms[term] || 0) + 1;
+        });
+        return { ...chunk, length: tokens.length, terms };
+    }
+
+    // Добавляет (sign = 1) или убирает (sign = -1) фрагменты из обратного индекса внутри транзакции.
+    // Каждый термин читается и пишется один раз, поэтому обновления в одной транзакции не теряются
+    _updatePostings(stores, chunks, sign) {
+        const byTerm = new Map();
+        let totalLength = 0;
+
+        chunks.forEach(chunk => {
+            totalLength += chunk.length;
+            Object.entries(chunk.terms).forEach(([term, tf]) => {
+                if (!byTerm.has(term)) byTerm.set(term, []);
+                byTerm.get(term).push([chunk.id, tf, chunk.length]);
+            });
+        });
+
+        byTerm.forEach((postings, term) => {
+            stores.terms.get(term).onsuccess = (event) => {
+                const entry = event.target.result || { term, postings: [] };
+                if (sign > 0) {
+                    entry.postings.push(...postings);
+                } else {
+                    const removed = new Set(postings.map(([chunkId]) => chunkId));
+                    entry.postings = entry.postings.filter(([chunkId]) => !removed.has(chunkId));
+                }
+
+                if (entry.postings.length > 0) {
+                    stores.terms.put(entry);
+                } else {
+                    stores.terms.delete(term);
+                }
+            };
+        });
+
+        stores.meta.get('stats').onsuccess = (event) => {
+            const stats = event.target.result || { key: 'stats', chunkCount: 0, totalLength: 0 };
+            stats.chunkCount = Math.max(0, stats.chunkCount + sign * chunks.length);
+            stats.totalLength = Math.max(0, stats.totalLength + sign * totalLength);
+            stores.meta.put(stats);
+        };
+    }
+}
+
+// Экспортируем глобально для использования
+window.KnowledgeBase = KnowledgeBase;
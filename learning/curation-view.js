@@ -0,0 +1,205 @@
+// Экран курирования датасета во вкладке обучения: поиск, правка, удаление и оценка диалогов
+class CurationView {
+    constructor(container, datasetBuilder, handlers = {}) {
+        this.container = container;
+        this.datasetBuilder = datasetBuilder;
+        this.handlers = handlers; // { onChange }
+
+        this.pageSize = 20;
+        this.visibleCount = this.pageSize;
+        this.query = '';
+        this.filter = 'all';
+        this.editingId = null;
+
+        this.filters = {
+            all: { title: 'Все', match: () => true },
+            liked: { title: '👍 Хорошие', match: conv => conv.rating > 0 },
+            disliked: { title: '👎 Плохие', match: conv => conv.rating < 0 },
+            unrated: { title: 'Без оценки', match: conv => !conv.rating },
+            corrected: { title: '✏️ Исправленные', match: conv => Boolean(conv.correction) },
+            fallback: { title: '🤖 Шаблонные ответы', match: conv => conv.metadata.source === 'fallback' }
+        };
+
+        this.renderLayout();
+        this.bindEvents();
+    }
+
+    renderLayout() {
+        this.container.innerHTML = `
+            <input type="search" class="settings-input" data-role="search" placeholder="🔍 Поиск по вопросам и ответам">
+            <select class="settings-input" data-role="filter">
+                ${Object.entries(this.filters).map(([id, filter]) => `<option value="${id}">${filter.title}</option>`).join('')}
+            </select>
+            <label class="curation-option">
+                <input type="checkbox" data-role="exclude-fallback">
+                Не обучать на шаблонных ответах
+            </label>
+            <p class="curation-summary" data-role="summary"></p>
+            <div data-role="list"></div>
+            <button class="send-btn curation-more" data-role="more" style="display: none;">Показать ещё</button>
+        `;
+
+        this.list = this.container.querySelector('[data-role="list"]');
+    }
+
+    bindEvents() {
+        this.container.querySelector('[data-role="search"]').addEventListener('input', (e) => {
+            this.query = e.target.value.trim().toLowerCase();
+            this.visibleCount = this.pageSize;
+            this.render();
+        });
+
+        this.container.querySelector('[data-role="filter"]').addEventListener('change', (e) => {
+            this.filter = e.target.value;
+            this.visibleCount = this.pageSize;
+            this.render();
+        });
+
+        this.container.querySelector('[data-role="exclude-fallback"]').addEventListener('change', async (e) => {
+            await this.datasetBuilder.setPreference('excludeFallback', e.target.checked);
+            this.render();
+            this.notifyChange();
+        });
+
+        this.container.querySelector('[data-role="more"]').addEventListener('click', () => {
+            this.visibleCount += this.pageSize;
+            this.render();
+        });
+
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            const item = e.target.closest('[data-record-id]');
+            if (!button || !item) return;
+
+            this.handleAction(button.dataset.action, parseInt(item.dataset.recordId), item);
+        });
+    }
+
+    async handleAction(action, id, item) {
+        const conversation = this.datasetBuilder.getConversation(id);
+        if (!conversation) return;
+
+        switch (action) {
+            case 'like':
+            case 'dislike': {
+                const rating = action === 'like' ? 1 : -1;
+                // Повторное нажатие снимает оценку
+                await this.datasetBuilder.rateConversation(id, conversation.rating === rating ? 0 : rating);
+                break;
+            }
+            case 'edit':
+                this.editingId = id;
+                break;
+            case 'cancel':
+                this.editingId = null;
+                break;
+            case 'save': {
+                const question = item.querySelector('[data-field="question"]').value.trim();
+                const answer = item.querySelector('[data-field="answer"]').value.trim();
+                if (!question || !answer) {
+                    alert('❌ Вопрос и ответ не могут быть пустыми');
+                    return;
+                }
+                await this.datasetBuilder.updateConversation(id, { user_message: question, correction: answer });
+                this.editingId = null;
+                break;
+            }
+            case 'delete':
+                if (!confirm('Удалить этот пример из датасета?')) return;
+                await this.datasetBuilder.deleteConversations([id]);
+                break;
+            default:
+                return;
+        }
+
+        this.render();
+        this.notifyChange();
+    }
+
+    getMatchingConversations() {
+        const filter = this.filters[this.filter];
+
+        return this.datasetBuilder.conversations
+            .filter(conv => filter.match(conv))
+            .filter(conv => !this.query || [conv.user_message, conv.ai_response, conv.correction]
+                .some(text => text && text.toLowerCase().includes(this.query)))
+            .sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    render() {
+        this.container.querySelector('[data-role="exclude-fallback"]').checked = this.datasetBuilder.isFallbackExcluded();
+
+        const conversations = this.getMatchingConversations();
+        const visible = conversations.slice(0, this.visibleCount);
+
+        this.container.querySelector('[data-role="summary"]').textContent =
+            `Найдено: ${conversations.length} из ${this.datasetBuilder.conversations.length}`;
+        this.container.querySelector('[data-role="more"]').style.display =
+            conversations.length > visible.length ? 'block' : 'none';
+
+        if (visible.length === 0) {
+            this.list.innerHTML = '<p class="thread-empty">Нет примеров</p>';
+            return;
+        }
+
+        this.list.innerHTML = visible.map(conv => conv.id === this.editingId
+            ? this.renderEditor(conv)
+            : this.renderItem(conv)
+        ).join('');
+    }
+
+    renderItem(conv) {
+        const trainable = this.datasetBuilder.isTrainable(conv);
+        const weight = trainable ? this.datasetBuilder.calculateExampleWeight(conv).toFixed(1) : '—';
+        const answer = conv.correction || conv.ai_response;
+
+        return `
+            <div class="curation-item ${trainable ? '' : 'excluded'}" data-record-id="${conv.id}">
+                <div class="curation-question">❓ ${this.escapeHtml(conv.user_message)}</div>
+                <div class="curation-answer">${conv.correction ? '✏️' : '💬'} ${this.escapeHtml(answer)}</div>
+                <div class="thread-meta">
+                    ${this.formatDate(conv.timestamp)} · ${this.escapeHtml(conv.metadata.topic)} · вес ${weight}
+                    ${conv.metadata.source === 'fallback' ? ' · шаблон' : ''}
+                </div>
+                <div class="curation-actions">
+                    <button class="thread-action ${conv.rating > 0 ? 'active' : ''}" data-action="like" title="Хороший пример">👍</button>
+                    <button class="thread-action ${conv.rating < 0 ? 'active' : ''}" data-action="dislike" title="Плохой пример">👎</button>
+                    <button class="thread-action" data-action="edit" title="Исправить">✏️</button>
+                    <button class="thread-action" data-action="delete" title="Удалить">🗑️</button>
+                </div>
+            </div>
+        `;
+    }
+
+    renderEditor(conv) {
+        return `
+            <div class="curation-item" data-record-id="${conv.id}">
+                <label>Вопрос:</label>
+                <textarea class="settings-input" data-field="question" rows="2">${this.escapeHtml(conv.user_message)}</textarea>
+                <label>Ответ:</label>
+                <textarea class="settings-input" data-field="answer" rows="4">${this.escapeHtml(conv.correction || conv.ai_response)}</textarea>
+                <div class="curation-actions">
+                    <button class="thread-action" data-action="save" title="Сохранить">💾</button>
+                    <button class="thread-action" data-action="cancel" title="Отмена">✖️</button>
+                </div>
+            </div>
+        `;
+    }
+
+    notifyChange() {
+        if (this.handlers.onChange) this.handlers.onChange();
+    }
+
+    formatDate(timestamp) {
+        return new Date(timestamp).toLocaleDateString('ru-RU', { day: 'numeric', month: 'short', year: 'numeric' });
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+}
+
+// Экспортируем глобально для использования
+window.CurationView = CurationView;
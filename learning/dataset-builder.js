@@ -1,48 +1,214 @@
+// Настройки, которые можно перенести из чужого файла датасета. Всё, что влияет на приватность
+// и состав обучающей выборки (redaction, excludeFallback), не импортируется никогда —
+// иначе файл коллеги мог бы отключить удаление личных данных
+const IMPORTABLE_PREFERENCES = [];
+
 class DatasetBuilder {
-    constructor() {
+    // outbox — очередь отправки на свой сервер (SyncOutbox); записи попадают в неё, только если отправка включена
+    constructor({ outbox = self.SyncOutbox ? new SyncOutbox() : null } = {}) {
         this.conversations = [];
         this.gameData = [];
         this.userPreferences = {};
         this.learningSessions = [];
         this.maxStorage = 50 * 1024 * 1024; // 50MB максимум
+        this.evalFraction = 0.1; // Доля примеров, отложенных для проверки качества
+        this.storage = new DatasetStorage();
+        this.redactor = new PiiRedactor();
+        this.outbox = outbox;
+    }
+    
+    // Загрузка сохранённого датасета из IndexedDB
+    async load() {
+        try {
+            const data = await this.storage.load();
+            
+            this.conversations = data.conversations;
+            this.gameData = data.gameData;
+            this.learningSessions = data.learningSessions;
+            this.userPreferences = data.userPreferences;
+            this.redactor.configure(this.userPreferences.redaction);
+            
+            console.log(`📂 Датасет загружен: ${this.conversations.length} диалогов, ${this.gameData.length} игр`);
+        } catch (error) {
+            console.warn('⚠️ Не удалось загрузить датасет из IndexedDB:', error);
+        }
     }
     
-    // Сбор данных из чата
-    recordConversation(userMessage, aiResponse, context) {
+    // Сбор данных из чата. source: 'model' — ответ модели, 'fallback' — шаблонный ответ
+    recordConversation(userMessage, aiResponse, context, options = {}) {
+        // Личные данные убираем до записи, в датасете остаются только метки
+        const redacted = [userMessage, aiResponse, context].map(text => this.redactor.redact(text));
+        [userMessage, aiResponse, context] = redacted.map(result => result.text);
+        
+        const timestamp = Date.now();
         const conversation = {
-            timestamp: Date.now(),
+            timestamp,
+            // Выборка назначается один раз при записи и не меняется при правке
+            split: this.assignSplit(`${timestamp}:${userMessage}`),
             user_message: userMessage,
             ai_response: aiResponse,
             context: context,
+            rating: 0,          // оценка пользователя: 1 — хорошо, -1 — плохо
+            correction: null,   // исправленный пользователем ответ
             metadata: {
                 message_length: userMessage.length,
                 response_length: aiResponse.length,
                 topic: this.analyzeTopic(userMessage),
-                sentiment: this.analyzeSentiment(userMessage)
+                sentiment: this.analyzeSentiment(userMessage),
+                source: options.source || 'model',
+                redactions: PiiRedactor.countMatches(redacted.flatMap(result => result.matches))
             }
         };
         
         this.conversations.push(conversation);
-        this.checkStorageLimit();
-        
         console.log('💬 Записано сообщение в датасет');
+        
+        return this.persistRecord('conversations', conversation);
     }
     
     // Сбор данных из игр
-    recordGameData(gameType, performance, decisions, outcome) {
+    recordGameData(gameType, performance, decisions, outcome, options = {}) {
+        // В событиях игр бывает свободный текст (код решений, ответы) — чистим его так же, как чат
         const gameSession = {
-            timestamp: Date.now(),
+            timestamp: options.timestamp || Date.now(),
             game_type: gameType,
             performance: performance,
-            decisions: decisions,
-            outcome: outcome,
+            decisions: this.redactor.redactValue(decisions),
+            outcome: this.redactor.redactText(outcome),
             learning_metrics: this.calculateLearningMetrics(performance)
         };
         
         this.gameData.push(gameSession);
-        this.checkStorageLimit();
-        
         console.log(`🎮 Записаны данные игры: ${gameType}`);
+        
+        return this.persistRecord('gameData', gameSession);
+    }
+    
+    // Сессии обучения модели
+    recordLearningSession(details) {
+        const session = {
+            timestamp: Date.now(),
+            ...details
+        };
+        
+        this.learningSessions.push(session);
+        return this.persistRecord('learningSessions', session);
+    }
+    
+    // Настройки удаления личных данных: { categories, customPatterns }
+    setRedactionConfig(config) {
+        this.redactor.configure(config);
+        return this.setPreference('redaction', this.redactor.getConfig());
+    }
+    
+    setPreference(key, value) {
+        this.userPreferences[key] = value;
+        return this.storage.savePreferences(this.userPreferences)
+            .catch(error => console.warn('⚠️ Не удалось сохранить настройки датасета:', error));
+    }
+    
+    // Курирование диалогов: оценки, исправления и удаление
+    getConversation(id) {
+        return this.conversations.find(conv => conv.id === id) || null;
+    }
+    
+    async rateConversation(id, rating) {
+        return this.updateConversation(id, { rating });
+    }
+    
+    // changes: { user_message, correction, rating }
+    async updateConversation(id, changes) {
+        const conversation = this.getConversation(id);
+        if (!conversation) return false;
+        
+        ['user_message', 'correction'].forEach(field => {
+            if (typeof changes[field] === 'string') changes[field] = this.redactor.redactText(changes[field]);
+        });
+        
+        // Старые записи без выборки закрепляем до правки, иначе пример может сменить выборку
+        conversation.split = this.getSplit(conversation);
+        Object.assign(conversation, changes);
+        
+        if (changes.user_message !== undefined) {
+            conversation.metadata.message_length = conversation.user_message.length;
+            conversation.metadata.topic = this.analyzeTopic(conversation.user_message);
+            conversation.metadata.sentiment = this.analyzeSentiment(conversation.user_message);
+        }
+        
+        // Исправление, совпадающее с исходным ответом, ничего не меняет
+        if (conversation.correction !== null && conversation.correction === conversation.ai_response) {
+            conversation.correction = null;
+        }
+        
+        await this.storage.updateRecord('conversations', conversation);
+        await this.syncOutbox('update', 'conversations', [conversation]);
+        return true;
+    }
+    
+    async deleteConversations(ids) {
+        await this.storage.deleteRecords('conversations', ids);
+        const removed = new Set(ids);
+        this.conversations = this.conversations.filter(conv => !removed.has(conv.id));
+        await this.syncOutbox('remove', 'conversations', ids);
+    }
+    
+    // Исключать ли шаблонные ответы из обучения (по умолчанию — да)
+    isFallbackExcluded() {
+        return this.userPreferences.excludeFallback !== false;
+    }
+    
+    // Пример участвует в обучении, если не оценён как плохой
+    isTrainable(conversation) {
+        if (conversation.rating < 0) return false;
+        if (conversation.metadata.source === 'fallback' && this.isFallbackExcluded()) return false;
+        return true;
+    }
+    
+    // Стабильное разбиение на обучающую и проверочную выборки по хэшу ключа (FNV-1a)
+    assignSplit(key) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < key.length; i++) {
+            hash ^= key.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193) >>> 0;
+        }
+        return hash % 1000 < this.evalFraction * 1000 ? 'eval' : 'train';
+    }
+    
+    getSplit(conversation) {
+        return conversation.split || this.assignSplit(`${conversation.timestamp}:${conversation.user_message}`);
+    }
+    
+    // Пишем одну запись в IndexedDB и проверяем лимит по сохранённым данным
+    async persistRecord(storeName, record) {
+        try {
+            const id = await this.storage.addRecord(storeName, record);
+            await this.checkStorageLimit();
+            await this.queueForSync(storeName, [record]);
+            return id;
+        } catch (error) {
+            console.warn('⚠️ Не удалось сохранить запись датасета:', error);
+            return null;
+        }
+    }
+    
+    // Новые записи уходят в очередь отправки; ошибка очереди не мешает сохранению датасета
+    async queueForSync(storeName, records) {
+        if (!this.outbox) return;
+        try {
+            await this.outbox.enqueue(storeName, records);
+        } catch (error) {
+            console.warn('⚠️ Запись не добавлена в очередь отправки:', error);
+        }
+    }
+    
+    // Правки и удаления догоняют ещё не отправленные записи в очереди (method: 'update' или 'remove')
+    async syncOutbox(method, storeName, items) {
+        if (!this.outbox) return;
+        try {
+            await this.outbox[method](storeName, items);
+        } catch (error) {
+            console.warn('⚠️ Очередь отправки не обновлена:', error);
+        }
     }
     
     // Анализ топика сообщения
@@ -113,17 +279,31 @@ class DatasetBuilder {
         return Math.min(100, (performance.focusTime || 0) / 60 * 100);
     }
     
-    // Предобработка данных для обучения
+    // Предобработка данных для обучения; проверочная выборка в обучение не попадает
     prepareTrainingData() {
+        return this.prepareExamples().filter(example => example.split === 'train');
+    }
+    
+    // Отложенные примеры для оценки качества модели
+    prepareEvaluationData() {
+        return this.prepareExamples().filter(example => example.split === 'eval');
+    }
+    
+    prepareExamples() {
         const trainingExamples = [];
         
         // Данные из чата
-        this.conversations.forEach(conv => {
+        this.conversations.filter(conv => this.isTrainable(conv)).forEach(conv => {
             trainingExamples.push({
                 input: conv.user_message,
-                output: conv.ai_response,
+                output: conv.correction || conv.ai_response,
                 context: conv.context,
-                weight: this.calculateExampleWeight(conv)
+                weight: this.calculateExampleWeight(conv),
+                timestamp: conv.timestamp,
+                topic: conv.metadata.topic,
+                sentiment: conv.metadata.sentiment,
+                source: 'chat',
+                split: this.getSplit(conv)
             });
         });
         
@@ -133,13 +313,39 @@ class DatasetBuilder {
                 input: `Игра: ${game.game_type}. Результат: ${game.outcome}`,
                 output: this.generateGameLearningOutput(game),
                 context: 'game_learning',
-                weight: game.learning_metrics.accuracy
+                // Точность 0–100% приводим к общей шкале весов 0–2
+                weight: game.learning_metrics.accuracy / 50,
+                timestamp: game.timestamp,
+                topic: 'games',
+                sentiment: 'neutral',
+                source: `game:${game.game_type}`,
+                // Сводка игры сгенерирована шаблоном, проверять на ней модель бессмысленно
+                split: 'train'
             });
+            
+            // Примеры инструкция/ответ, записанные игрой (вопросы викторины и т.п.)
+            this.getGameExamples(game).forEach(example => trainingExamples.push(example));
         });
         
         return trainingExamples;
     }
     
+    getGameExamples(game) {
+        return (game.decisions || [])
+            .filter(decision => decision.event === 'training_example')
+            .map(decision => ({
+                input: decision.data.instruction,
+                output: decision.data.response,
+                context: `game:${game.game_type}`,
+                weight: decision.data.weight !== undefined ? decision.data.weight : 1.0,
+                timestamp: decision.timestamp || game.timestamp,
+                topic: decision.data.category || 'games',
+                sentiment: 'neutral',
+                source: `game:${game.game_type}`,
+                split: this.assignSplit(`${game.timestamp}:${decision.data.instruction}`)
+            }));
+    }
+    
     calculateExampleWeight(conversation) {
         let weight = 1.0;
         
@@ -156,7 +362,15 @@ class DatasetBuilder {
             weight *= 0.7;
         }
         
-        return Math.min(weight, 2.0); // Максимальный вес 2.0
+        // Оценка пользователя важнее эвристик
+        if (conversation.rating > 0) weight *= 1.5;
+        
+        weight = Math.min(weight, 2.0); // Максимальный вес 2.0
+        
+        // Ответ, исправленный человеком, — лучший пример
+        if (conversation.correction) weight = 2.0;
+        
+        return weight;
     }
     
     generateGameLearningOutput(gameSession) {
@@ -165,30 +379,29 @@ class DatasetBuilder {
     }
     
     // Управление хранилищем
-    checkStorageLimit() {
-        const totalSize = this.getTotalDataSize();
+    async checkStorageLimit() {
+        const totalSize = await this.getTotalDataSize();
         
         if (totalSize > this.maxStorage) {
-            this.cleanupOldData();
+            await this.cleanupOldData();
         }
     }
     
     getTotalDataSize() {
-        const dataString = JSON.stringify({
-            conversations: this.conversations,
-            gameData: this.gameData
-        });
-        
-        return new Blob([dataString]).size;
+        // Размер считается при записи и хранится в IndexedDB
+        return this.storage.getTotalSize();
     }
     
-    cleanupOldData() {
+    async cleanupOldData() {
         // Удаляем самые старые 20% данных
-        const conversationsToKeep = Math.floor(this.conversations.length * 0.8);
-        const gamesToKeep = Math.floor(this.gameData.length * 0.8);
-        
-        this.conversations = this.conversations.slice(-conversationsToKeep);
-        this.gameData = this.gameData.slice(-gamesToKeep);
+        for (const storeName of ['conversations', 'gameData']) {
+            const total = await this.storage.countRecords(storeName);
+            const removedIds = new Set(
+                await this.storage.deleteOldest(storeName, total - Math.floor(total * 0.8))
+            );
+            
+            this[storeName] = this[storeName].filter(record => !removedIds.has(record.id));
+        }
         
         console.log('🧹 Очищены устаревшие данные для экономии места');
     }
@@ -196,8 +409,18 @@ class DatasetBuilder {
     // Экспорт данных
     exportDataset() {
         const dataset = {
-            conversations: this.conversations,
-            gameData: this.gameData,
+            conversations: this.conversations.map(conv => ({
+                ...conv,
+                user_message: this.redactor.redactText(conv.user_message),
+                ai_response: this.redactor.redactText(conv.ai_response),
+                context: this.redactor.redactText(conv.context),
+                correction: conv.correction ? this.redactor.redactText(conv.correction) : conv.correction
+            })),
+            gameData: this.gameData.map(game => ({
+                ...game,
+                decisions: this.redactor.redactValue(game.decisions),
+                outcome: this.redactor.redactText(game.outcome)
+            })),
             userPreferences: this.userPreferences,
             metadata: {
                 total_examples: this.conversations.length + this.gameData.length,
@@ -212,29 +435,30 @@ class DatasetBuilder {
         return URL.createObjectURL(dataBlob);
     }
     
-    // Импорт данных
-    importDataset(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            
-            reader.onload = (e) => {
-                try {
-                    const importedData = JSON.parse(e.target.result);
-                    
-                    this.conversations = importedData.conversations || [];
-                    this.gameData = importedData.gameData || [];
-                    this.userPreferences = importedData.userPreferences || {};
-                    
-                    console.log('📥 Датасет успешно импортирован');
-                    resolve(true);
-                } catch (error) {
-                    reject(new Error('Ошибка парсинга файла датасета'));
-                }
-            };
-            
-            reader.onerror = () => reject(new Error('Ошибка чтения файла'));
-            reader.readAsText(file);
+    // Импорт: добавляет уже проверенные записи к существующим (см. DatasetImporter).
+    // Личные данные из них убраны ещё при разборе файла, до подсчёта хешей
+    async addImportedRecords(storeName, records) {
+        if (records.length === 0) return [];
+        
+        const ids = await this.storage.addRecords(storeName, records);
+        this[storeName].push(...records);
+        this[storeName].sort((a, b) => a.timestamp - b.timestamp);
+        
+        await this.checkStorageLimit();
+        await this.queueForSync(storeName, records);
+        return ids;
+    }
+    
+    // Импортированные настройки из белого списка не перезаписывают уже заданные
+    async mergePreferences(preferences) {
+        const imported = {};
+        IMPORTABLE_PREFERENCES.forEach(key => {
+            if (key in preferences) imported[key] = preferences[key];
         });
+        if (Object.keys(imported).length === 0) return;
+
+        this.userPreferences = { ...imported, ...this.userPreferences };
+        await this.storage.savePreferences(this.userPreferences);
     }
 }
 
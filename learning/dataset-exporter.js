@@ -0,0 +1,152 @@
+// Экспорт датасета в форматы для дообучения (JSONL): Alpaca, ShareGPT, OpenAI и готовый текст
+// в шаблонах промптов из chat/prompt-templates.js — тех же, что используются в чате.
+// Работает поверх DatasetBuilder.prepareTrainingData, поэтому веса и фильтрация совпадают с обучением.
+const EXPORT_SYSTEM_PROMPT = 'Ты — НейроСпутник, дружелюбный AI-помощник. Отвечай на русском языке.';
+
+const EXPORT_FORMATS = {
+    alpaca: {
+        title: 'Alpaca (instruction/input/output)',
+        extension: 'jsonl',
+        convert: (example) => ({
+            instruction: example.input,
+            // У игр context — служебная метка, а у чата — предыдущие реплики
+            input: example.source === 'chat' && example.context ? example.context : '',
+            output: example.output
+        })
+    },
+    sharegpt: {
+        title: 'ShareGPT (conversations)',
+        extension: 'jsonl',
+        convert: (example, system) => ({
+            conversations: [
+                { from: 'system', value: system },
+                { from: 'human', value: example.input },
+                { from: 'gpt', value: example.output }
+            ]
+        })
+    },
+    openai: {
+        title: 'OpenAI chat (messages)',
+        extension: 'jsonl',
+        convert: (example, system) => ({
+            messages: [
+                { role: 'system', content: system },
+                { role: 'user', content: example.input },
+                { role: 'assistant', content: example.output }
+            ]
+        })
+    }
+};
+
+class DatasetExporter {
+    // promptTemplates — PromptTemplates приложения: системный промпт и шаблоны берутся из него
+    constructor(datasetBuilder, promptTemplates = null) {
+        this.datasetBuilder = datasetBuilder;
+        this.promptTemplates = promptTemplates;
+    }
+
+    // Обычные форматы плюс text-<шаблон> для каждого шаблона промпта
+    getFormats() {
+        const formats = Object.entries(EXPORT_FORMATS).map(([id, format]) => ({ id, title: format.title }));
+        if (!this.promptTemplates) return formats;
+
+        return formats.concat(this.promptTemplates.getTemplates().map(template => ({
+            id: `text-${template.id}`,
+            title: `${template.title} (text)`
+        })));
+    }
+
+    getFormat(formatId) {
+        if (EXPORT_FORMATS[formatId]) return EXPORT_FORMATS[formatId];
+
+        const templateId = formatId.startsWith('text-') ? formatId.slice(5) : null;
+        if (!this.promptTemplates || !PROMPT_TEMPLATES[templateId]) return null;
+
+        return {
+            title: PROMPT_TEMPLATES[templateId].title,
+            extension: 'jsonl',
+            convert: (example, system) => ({
+                text: this.promptTemplates.renderExample(templateId, {
+                    system,
+                    input: example.input,
+                    output: example.output
+                })
+            })
+        };
+    }
+
+    getSystemPrompt() {
+        return this.promptTemplates ? this.promptTemplates.renderSystemPrompt() : EXPORT_SYSTEM_PROMPT;
+    }
+
+    // Темы, которые реально встречаются в датасете — для выпадающего списка
+    getTopics() {
+        const topics = new Set(this.datasetBuilder.prepareTrainingData().map(example => example.topic));
+        return [...topics].filter(Boolean).sort();
+    }
+
+    // filters: { topic, sentiment, minWeight, dateFrom, dateTo } — даты в мс
+    filterExamples(examples, filters = {}) {
+        return examples.filter(example => {
+            if (!example.input || !example.output) return false;
+            if (filters.topic && example.topic !== filters.topic) return false;
+            if (filters.sentiment && example.sentiment !== filters.sentiment) return false;
+            if (filters.minWeight !== undefined && example.weight < filters.minWeight) return false;
+            if (filters.dateFrom && example.timestamp < filters.dateFrom) return false;
+            if (filters.dateTo && example.timestamp > filters.dateTo) return false;
+            return true;
+        });
+    }
+
+    getExamples(filters = {}) {
+        return this.filterExamples(this.datasetBuilder.prepareTrainingData(), filters);
+    }
+
+    // Возвращает содержимое файла и количество попавших в него примеров
+    export(formatId, filters = {}) {
+        const format = this.getFormat(formatId);
+        if (!format) {
+            throw new Error(`Неизвестный формат экспорта: ${formatId}`);
+        }
+
+        // Повторная очистка: записи могли попасть в датасет до включения нужных категорий
+        const redactor = this.datasetBuilder.redactor;
+        const examples = this.getExamples(filters).map(example => ({
+            ...example,
+            input: redactor.redactText(example.input),
+            output: redactor.redactText(example.output),
+            context: typeof example.context === 'string' ? redactor.redactText(example.context) : example.context
+        }));
+        const system = this.getSystemPrompt();
+        const content = examples.map(example => JSON.stringify(format.convert(example, system))).join('\n');
+        const date = new Date().toISOString().slice(0, 10);
+
+        return {
+            content,
+            count: examples.length,
+            filename: `neurosputnik-${formatId}-${date}.${format.extension}`
+        };
+    }
+
+    // Сохраняет файл через временную ссылку
+    download(formatId, filters = {}) {
+        const result = this.export(formatId, filters);
+        const blob = new Blob([result.content], { type: 'application/jsonl' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = result.filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+        console.log(`📤 Экспортировано ${result.count} примеров в формате ${formatId}`);
+        return result.count;
+    }
+}
+
+// Экспортируем глобально для использования
+window.EXPORT_FORMATS = EXPORT_FORMATS;
+window.DatasetExporter = DatasetExporter;
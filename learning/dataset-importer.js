@@ -0,0 +1,343 @@
+// Импорт датасета со слиянием: проверка по версии схемы, дедупликация по хешу содержимого
+// и поддержка JSONL-форматов других инструментов (Alpaca, ShareGPT, ChatML, OpenAI).
+// Импорт идёт в два шага: preview() ничего не меняет, commit() добавляет новые записи.
+
+// Проверки записей по версиям формата NeuroSputnik. Возвращают текст ошибки или null
+const DATASET_IMPORT_SCHEMAS = {
+    '1.0': {
+        conversations: (record) => {
+            if (typeof record.user_message !== 'string' || !record.user_message.trim()) return 'нет user_message';
+            if (typeof record.ai_response !== 'string' || !record.ai_response.trim()) return 'нет ai_response';
+            if (!Number.isFinite(record.timestamp)) return 'нет корректного timestamp';
+            if (record.metadata !== undefined && typeof record.metadata !== 'object') return 'metadata должен быть объектом';
+            return null;
+        },
+        gameData: (record) => {
+            if (typeof record.game_type !== 'string' || !record.game_type) return 'нет game_type';
+            if (!record.performance || typeof record.performance !== 'object') return 'нет performance';
+            if (!Number.isFinite(record.timestamp)) return 'нет корректного timestamp';
+            if (record.decisions !== undefined && !Array.isArray(record.decisions)) return 'decisions должен быть массивом';
+            return null;
+        }
+    }
+};
+
+class DatasetImporter {
+    constructor(datasetBuilder) {
+        this.datasetBuilder = datasetBuilder;
+        this.maxContextTurns = 3; // как в getConversationContext
+    }
+
+    // Разбирает файл и сравнивает его с текущим датасетом
+    async preview(file) {
+        const text = await file.text();
+        const parsed = this.parse(text);
+
+        const preview = {
+            fileName: file.name,
+            format: parsed.format,
+            version: parsed.version,
+            records: { conversations: [], gameData: [] },
+            conflicts: { conversations: [], gameData: [] },
+            duplicates: 0,
+            rejected: parsed.rejected,
+            userPreferences: parsed.userPreferences
+        };
+
+        for (const storeName of ['conversations', 'gameData']) {
+            const existing = await this._indexExisting(storeName);
+
+            for (const record of parsed[storeName]) {
+                const hash = await this.hashRecord(storeName, record);
+                const timestamps = existing.get(hash);
+
+                // Совпали содержимое и время (или время неизвестно) — это та же запись
+                if (timestamps && (record._generatedTimestamp || timestamps.has(record.timestamp))) {
+                    preview.duplicates++;
+                    continue;
+                }
+
+                const target = timestamps ? preview.conflicts[storeName] : preview.records[storeName];
+                target.push(record);
+
+                if (!existing.has(hash)) existing.set(hash, new Set());
+                existing.get(hash).add(record.timestamp);
+            }
+        }
+
+        return preview;
+    }
+
+    // Добавляет новые записи; конфликтующие (то же содержимое, другое время) — только по запросу
+    async commit(preview, options = {}) {
+        const result = {};
+
+        for (const storeName of ['conversations', 'gameData']) {
+            const records = options.includeConflicts
+                ? [...preview.records[storeName], ...preview.conflicts[storeName]]
+                : preview.records[storeName];
+
+            records.forEach(record => delete record._generatedTimestamp);
+            await this.datasetBuilder.addImportedRecords(storeName, records);
+            result[storeName] = records.length;
+        }
+
+        if (preview.userPreferences) {
+            await this.datasetBuilder.mergePreferences(preview.userPreferences);
+        }
+
+        console.log(`📥 Импортировано: ${result.conversations} диалогов, ${result.gameData} игр`);
+        return result;
+    }
+
+    // ===== Разбор форматов =====
+    parse(text) {
+        const trimmed = text.trim();
+        if (!trimmed) {
+            throw new Error('Файл пуст');
+        }
+
+        // Целый JSON — формат NeuroSputnik или массив примеров
+        try {
+            const data = JSON.parse(trimmed);
+            if (Array.isArray(data)) return this.parseExamples(data);
+            // JSONL из одной строки тоже является корректным JSON
+            if (this.detectExampleFormat(data)) return this.parseExamples([data]);
+            return this.parseNative(data);
+        } catch (error) {
+            if (!(error instanceof SyntaxError)) throw error;
+        }
+
+        // Иначе — JSONL, по одному примеру в строке
+        const items = [];
+        const rejected = [];
+        trimmed.split('\n').forEach((line, index) => {
+            if (!line.trim()) return;
+            try {
+                items.push({ item: JSON.parse(line), line: index + 1 });
+            } catch (error) {
+                rejected.push({ line: index + 1, reason: 'строка не является JSON' });
+            }
+        });
+
+        if (items.length === 0) {
+            throw new Error('Не удалось разобрать файл: ожидается JSON или JSONL');
+        }
+
+        const result = this.parseExamples(items.map(entry => entry.item), items.map(entry => entry.line));
+        result.rejected.unshift(...rejected);
+        return result;
+    }
+
+    parseNative(data) {
+        if (!data || typeof data !== 'object') {
+            throw new Error('Неизвестный формат файла датасета');
+        }
+
+        const version = (data.metadata && data.metadata.version) || '1.0';
+        const schema = DATASET_IMPORT_SCHEMAS[version];
+        if (!schema) {
+            throw new Error(`Неподдерживаемая версия датасета: ${version}`);
+        }
+
+        const result = {
+            format: 'neurosputnik',
+            version,
+            conversations: [],
+            gameData: [],
+            rejected: [],
+            userPreferences: data.userPreferences && typeof data.userPreferences === 'object' ? data.userPreferences : null
+        };
+
+        for (const storeName of ['conversations', 'gameData']) {
+            const records = Array.isArray(data[storeName]) ? data[storeName] : [];
+
+            records.forEach((record, index) => {
+                const error = record && typeof record === 'object' ? schema[storeName](record) : 'запись не является объектом';
+                if (error) {
+                    result.rejected.push({ store: storeName, index, reason: error });
+                    return;
+                }
+                result[storeName].push(this.normalizeRecord(storeName, record));
+            });
+        }
+
+        return result;
+    }
+
+    // Примеры из сторонних инструментов: каждая пара user → assistant становится диалогом
+    parseExamples(items, lines = null) {
+        const result = { format: null, version: null, conversations: [], gameData: [], rejected: [], userPreferences: null };
+        const formats = new Set();
+
+        items.forEach((item, index) => {
+            const line = lines ? lines[index] : index + 1;
+            const detected = this.detectExampleFormat(item);
+
+            if (!detected) {
+                result.rejected.push({ line, reason: 'неизвестный формат примера' });
+                return;
+            }
+
+            const turns = detected.toTurns(item);
+            const conversations = this.turnsToConversations(turns, detected.name);
+
+            if (conversations.length === 0) {
+                result.rejected.push({ line, reason: 'нет пары вопрос/ответ' });
+                return;
+            }
+
+            formats.add(detected.name);
+            result.conversations.push(...conversations);
+        });
+
+        result.format = [...formats].join(', ') || 'jsonl';
+        return result;
+    }
+
+    detectExampleFormat(item) {
+        if (!item || typeof item !== 'object') return null;
+
+        if (typeof item.instruction === 'string' && typeof item.output === 'string') {
+            return {
+                name: 'alpaca',
+                toTurns: (example) => [
+                    ...(example.input ? [{ role: 'context', content: example.input }] : []),
+                    { role: 'user', content: example.instruction },
+                    { role: 'assistant', content: example.output }
+                ]
+            };
+        }
+
+        // В резервной копии NeuroSputnik тоже есть conversations, но без from/value
+        const isShareGpt = Array.isArray(item.conversations) && item.conversations.length > 0 &&
+            item.conversations.every(turn => turn && typeof turn.from === 'string');
+
+        if (isShareGpt) {
+            const roles = { human: 'user', user: 'user', gpt: 'assistant', assistant: 'assistant', system: 'system' };
+            return {
+                name: 'sharegpt',
+                toTurns: (example) => example.conversations
+                    .filter(turn => turn && typeof turn.value === 'string')
+                    .map(turn => ({ role: roles[turn.from] || turn.from, content: turn.value }))
+            };
+        }
+
+        if (Array.isArray(item.messages)) {
+            return {
+                name: 'openai',
+                toTurns: (example) => example.messages
+                    .filter(message => message && typeof message.content === 'string')
+                    .map(message => ({ role: message.role, content: message.content }))
+            };
+        }
+
+        if (typeof item.text === 'string' && item.text.includes('<|im_start|>')) {
+            return {
+                name: 'chatml',
+                toTurns: (example) => [...example.text.matchAll(/<\|im_start\|>(\w+)\n([\s\S]*?)<\|im_end\|>/g)]
+                    .map(match => ({ role: match[1], content: match[2] }))
+            };
+        }
+
+        return null;
+    }
+
+    turnsToConversations(turns, format) {
+        const conversations = [];
+        const history = [];
+        const baseTimestamp = Date.now();
+
+        turns.forEach((turn, index) => {
+            const next = turns[index + 1];
+
+            if (turn.role === 'user' && next && next.role === 'assistant' && turn.content.trim() && next.content.trim()) {
+                const context = turns.find(t => t.role === 'context');
+                conversations.push(this.normalizeRecord('conversations', {
+                    // У внешних примеров нет времени — сохраняем порядок реплик
+                    timestamp: baseTimestamp + conversations.length,
+                    _generatedTimestamp: true,
+                    user_message: turn.content,
+                    ai_response: next.content,
+                    context: context
+                        ? context.content
+                        : history.slice(-this.maxContextTurns).map(t => `${t.role}: ${t.content}`).join('\n'),
+                    metadata: { imported_from: format }
+                }));
+            }
+
+            if (turn.role === 'user' || turn.role === 'assistant') history.push(turn);
+        });
+
+        return conversations;
+    }
+
+    // Дополняет запись недостающими полями так же, как при записи из приложения
+    normalizeRecord(storeName, record) {
+        const { id, byte_size, ...data } = record;
+        const builder = this.datasetBuilder;
+
+        if (storeName === 'conversations') {
+            const metadata = data.metadata || {};
+            data.context = data.context || '';
+
+            // Личные данные убираем сразу: хеш для дедупликации должен считаться по тому же тексту,
+            // что уже лежит в датасете
+            const matches = [];
+            ['user_message', 'ai_response', 'context', 'correction'].forEach(field => {
+                if (typeof data[field] !== 'string') return;
+                const redacted = builder.redactor.redact(data[field]);
+                data[field] = redacted.text;
+                matches.push(...redacted.matches);
+            });
+
+            data.metadata = {
+                message_length: data.user_message.length,
+                response_length: data.ai_response.length,
+                sentiment: builder.analyzeSentiment(data.user_message),
+                ...metadata,
+                // Тема попадает в фильтры и списки интерфейса — из файла берём только короткий идентификатор
+                topic: this.isValidTopic(metadata.topic) ? metadata.topic : builder.analyzeTopic(data.user_message)
+            };
+            if (matches.length > 0) data.metadata.redactions = PiiRedactor.countMatches(matches);
+        } else {
+            data.decisions = builder.redactor.redactValue(data.decisions || []);
+            data.outcome = builder.redactor.redactText(data.outcome || '');
+            data.learning_metrics = data.learning_metrics || builder.calculateLearningMetrics(data.performance);
+        }
+
+        return data;
+    }
+
+    isValidTopic(topic) {
+        return typeof topic === 'string' && /^[\p{L}\p{N}_-]{1,32}$/u.test(topic);
+    }
+
+    // ===== Дедупликация =====
+    async hashRecord(storeName, record) {
+        const content = storeName === 'conversations'
+            ? [record.user_message, record.ai_response]
+            : [record.game_type, record.outcome, JSON.stringify(record.performance), JSON.stringify(record.decisions)];
+
+        const bytes = new TextEncoder().encode(content.join('\u0000'));
+        const digest = await crypto.subtle.digest('SHA-256', bytes);
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Хеш содержимого → набор времён существующих записей
+    async _indexExisting(storeName) {
+        const index = new Map();
+
+        for (const record of this.datasetBuilder[storeName]) {
+            const hash = await this.hashRecord(storeName, record);
+            if (!index.has(hash)) index.set(hash, new Set());
+            index.get(hash).add(record.timestamp);
+        }
+
+        return index;
+    }
+}
+
+// Экспортируем глобально для использования
+window.DATASET_IMPORT_SCHEMAS = DATASET_IMPORT_SCHEMAS;
+window.DatasetImporter = DatasetImporter;
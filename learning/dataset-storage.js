@@ -0,0 +1,153 @@
+// Постоянное хранилище датасета в IndexedDB.
+// Записи пишутся по одной, а суммарный размер ведётся в meta, чтобы не сериализовать весь датасет.
+const DATASET_SCHEMA_VERSION = 1;
+
+// Миграции схемы: ключ — версия, к которой приводит миграция
+const DATASET_MIGRATIONS = {
+    1: (db) => {
+        ['conversations', 'gameData', 'learningSessions'].forEach(name => {
+            const store = db.createObjectStore(name, { keyPath: 'id', autoIncrement: true });
+            store.createIndex('timestamp', 'timestamp');
+        });
+        db.createObjectStore('meta', { keyPath: 'key' });
+    }
+};
+
+class DatasetStorage {
+    constructor() {
+        this.recordStores = ['conversations', 'gameData', 'learningSessions'];
+        this.db = new IndexedDBStore('NeuroSputnikDataset', DATASET_SCHEMA_VERSION, (db, oldVersion, transaction) => {
+            for (let version = oldVersion + 1; version <= DATASET_SCHEMA_VERSION; version++) {
+                console.log(`🔧 Миграция схемы датасета до версии ${version}`);
+                DATASET_MIGRATIONS[version](db, transaction);
+            }
+        });
+    }
+
+    async load() {
+        const [conversations, gameData, learningSessions, preferences] = await Promise.all([
+            this.db.getAll('conversations'),
+            this.db.getAll('gameData'),
+            this.db.getAll('learningSessions'),
+            this.db.get('meta', 'userPreferences')
+        ]);
+
+        return {
+            conversations,
+            gameData,
+            learningSessions,
+            userPreferences: preferences ? preferences.value : {}
+        };
+    }
+
+    // Добавляет запись и увеличивает счётчик размера в одной транзакции
+    async addRecord(storeName, record) {
+        record.byte_size = this._measure(record);
+
+        let id;
+        await this.db.transaction([storeName, 'meta'], 'readwrite', stores => {
+            stores[storeName].add(record).onsuccess = (event) => {
+                id = event.target.result;
+            };
+            this._adjustStats(stores.meta, record.byte_size);
+        });
+
+        record.id = id;
+        return id;
+    }
+
+    async updateRecord(storeName, record) {
+        const previousSize = record.byte_size || 0;
+        record.byte_size = this._measure(record);
+
+        await this.db.transaction([storeName, 'meta'], 'readwrite', stores => {
+            stores[storeName].put(record);
+            this._adjustStats(stores.meta, record.byte_size - previousSize);
+        });
+    }
+
+    async deleteRecords(storeName, ids) {
+        let freed = 0;
+
+        await this.db.transaction([storeName, 'meta'], 'readwrite', stores => {
+            ids.forEach(id => {
+                stores[storeName].get(id).onsuccess = (event) => {
+                    const record = event.target.result;
+                    if (!record) return;
+                    freed += record.byte_size || 0;
+                    stores[storeName].delete(id);
+                };
+            });
+            // Запросы выполняются по порядку, поэтому к этому моменту freed уже посчитан
+            this._adjustStats(stores.meta, () => -freed);
+        });
+
+        return freed;
+    }
+
+    // Удаляет count самых старых записей, возвращает их id
+    async deleteOldest(storeName, count) {
+        if (count <= 0) return [];
+
+        const ids = [];
+        await this.db.iterate(storeName, 'timestamp', null, 'next', (record) => {
+            ids.push(record.id);
+            return ids.length < count;
+        });
+
+        await this.deleteRecords(storeName, ids);
+        return ids;
+    }
+
+    async countRecords(storeName) {
+        return this.db.count(storeName);
+    }
+
+    async getTotalSize() {
+        const stats = await this.db.get('meta', 'stats');
+        return stats ? stats.totalSize : 0;
+    }
+
+    async savePreferences(preferences) {
+        await this.db.put('meta', { key: 'userPreferences', value: preferences });
+    }
+
+    // Добавляет пачку записей одной транзакцией (используется импортом)
+    async addRecords(storeName, records) {
+        let addedSize = 0;
+
+        await this.db.transaction([storeName, 'meta'], 'readwrite', stores => {
+            records.forEach(record => {
+                delete record.id;
+                record.byte_size = this._measure(record);
+                addedSize += record.byte_size;
+                stores[storeName].add(record).onsuccess = (event) => {
+                    record.id = event.target.result;
+                };
+            });
+            this._adjustStats(stores.meta, addedSize);
+        });
+
+        return records.map(record => record.id);
+    }
+
+    // Вспомогательные методы
+    // delta может быть функцией, если размер станет известен только внутри транзакции
+    _adjustStats(metaStore, delta) {
+        const request = metaStore.get('stats');
+        request.onsuccess = () => {
+            const stats = request.result || { key: 'stats', totalSize: 0 };
+            const change = typeof delta === 'function' ? delta() : delta;
+            stats.totalSize = Math.max(0, stats.totalSize + change);
+            metaStore.put(stats);
+        };
+    }
+
+    _measure(record) {
+        const { byte_size, ...data } = record;
+        return new Blob([JSON.stringify(data)]).size;
+    }
+}
+
+// Экспортируем глобально для использования
+window.DatasetStorage = DatasetStorage;
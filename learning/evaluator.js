@@ -0,0 +1,194 @@
+// Оценка качества модели на отложенной выборке DatasetBuilder.
+// Модель отвечает на проверочные вопросы, ответы сравниваются с эталонными по точному совпадению,
+// F1 по токенам и ROUGE-L; на примерах из игр дополнительно считается доля правильных ответов.
+// Результаты хранятся по версиям модели, чтобы сравнить модель до и после обучения.
+const EVALUATION_METRICS = {
+    exactMatch: 'Точное совпадение',
+    tokenF1: 'F1 по словам',
+    rougeL: 'ROUGE-L',
+    gameAccuracy: 'Точность в играх'
+};
+
+class Evaluator {
+    // generate(example, { signal }) → Promise<string>: ответ модели на example.input
+    constructor(datasetBuilder, { generate, maxSamples = 50, tolerance = 0.02 } = {}) {
+        this.datasetBuilder = datasetBuilder;
+        this.generate = generate;
+        this.maxSamples = maxSamples; // Оценка идёт на устройстве, поэтому выборку ограничиваем
+        this.tolerance = tolerance;   // Падение метрики меньше порога считаем шумом
+
+        this.db = new IndexedDBStore('NeuroSputnikEvaluation', 1, (db) => {
+            const store = db.createObjectStore('results', { keyPath: 'id' });
+            store.createIndex('model', 'model');
+        });
+    }
+
+    // Последние maxSamples проверочных примеров — один и тот же набор для версий модели
+    getSamples() {
+        return this.datasetBuilder.prepareEvaluationData()
+            .sort((a, b) => a.timestamp - b.timestamp)
+            .slice(-this.maxSamples);
+    }
+
+    async run({ model, version, signal = null, onProgress = null }) {
+        const samples = this.getSamples();
+        if (samples.length === 0) {
+            throw new Error('Нет примеров для проверки: проверочная выборка пуста');
+        }
+
+        console.log(`🧪 Оценка ${model} (${version}) на ${samples.length} примерах`);
+        const scored = [];
+
+        for (const example of samples) {
+            if (signal && signal.aborted) {
+                throw new DOMException('Оценка остановлена', 'AbortError');
+            }
+
+            const output = await this.generate(example, { signal });
+            scored.push({
+                input: example.input,
+                expected: example.output,
+                output,
+                source: example.source,
+                ...Evaluator.score(output, example.output)
+            });
+
+            if (onProgress) {
+                onProgress({ done: scored.length, total: samples.length });
+            }
+        }
+
+        const games = scored.filter(sample => sample.source.startsWith('game:'));
+        const average = (items, key) => items.reduce((sum, item) => sum + item[key], 0) / items.length;
+
+        const result = {
+            id: `eval_${Date.now()}`,
+            model,
+            version,
+            createdAt: Date.now(),
+            sampleCount: scored.length,
+            gameSampleCount: games.length,
+            metrics: {
+                exactMatch: average(scored, 'exactMatch'),
+                tokenF1: average(scored, 'tokenF1'),
+                rougeL: average(scored, 'rougeL'),
+                gameAccuracy: games.length ? average(games, 'correct') : null
+            },
+            samples: scored
+        };
+
+        await this.db.put('results', result);
+        console.log('✅ Оценка завершена:', result.metrics);
+        return result;
+    }
+
+    async getResults(model) {
+        const results = await this.db.getAll('results', 'model', model);
+        return results.sort((a, b) => a.createdAt - b.createdAt);
+    }
+
+    // Последний результат версии модели
+    async getLatest(model, version) {
+        const results = await this.getResults(model);
+        return results.filter(result => result.version === version).pop() || null;
+    }
+
+    // Последний результат другой версии той же модели — с ним сравнивается текущая
+    async getPrevious(model, version) {
+        const results = await this.getResults(model);
+        return results.filter(result => result.version !== version).pop() || null;
+    }
+
+    // Разница метрик; regressions — метрики, упавшие больше допустимого
+    compare(previous, current) {
+        const deltas = {};
+        const regressions = [];
+
+        Object.keys(EVALUATION_METRICS).forEach(key => {
+            const before = previous.metrics[key];
+            const after = current.metrics[key];
+            if (before === null || after === null) return;
+
+            deltas[key] = after - before;
+            if (before - after > this.tolerance) regressions.push(key);
+        });
+
+        return { deltas, regressions, regressed: regressions.length > 0 };
+    }
+
+    // Метрики одного ответа
+    static score(output, expected) {
+        const predicted = Evaluator.tokenize(output);
+        const reference = Evaluator.tokenize(expected);
+        const normalizedOutput = predicted.join(' ');
+        const normalizedExpected = reference.join(' ');
+
+        return {
+            exactMatch: normalizedOutput === normalizedExpected ? 1 : 0,
+            tokenF1: Evaluator.tokenF1(predicted, reference),
+            rougeL: Evaluator.rougeL(predicted, reference),
+            // В играх ответ верный, если эталон (обычно короткий) встречается в ответе модели
+            correct: normalizedExpected && ` ${normalizedOutput} `.includes(` ${normalizedExpected} `) ? 1 : 0
+        };
+    }
+
+    static tokenize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/ё/g, 'е')
+            .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+            .split(/\s+/)
+            .filter(Boolean);
+    }
+
+    static tokenF1(predicted, reference) {
+        if (predicted.length === 0 || reference.length === 0) {
+            return predicted.length === reference.length ? 1 : 0;
+        }
+
+        const counts = new Map();
+        reference.forEach(token => counts.set(token, (counts.get(token) || 0) + 1));
+
+        let common = 0;
+        predicted.forEach(token => {
+            const count = counts.get(token);
+            if (count) {
+                common++;
+                counts.set(token, count - 1);
+            }
+        });
+
+        if (common === 0) return 0;
+        const precision = common / predicted.length;
+        const recall = common / reference.length;
+        return 2 * precision * recall / (precision + recall);
+    }
+
+    // F-мера по наибольшей общей подпоследовательности слов
+    static rougeL(predicted, reference) {
+        if (predicted.length === 0 || reference.length === 0) {
+            return predicted.length === reference.length ? 1 : 0;
+        }
+
+        let previousRow = new Array(reference.length + 1).fill(0);
+        for (let i = 1; i <= predicted.length; i++) {
+            const row = new Array(reference.length + 1).fill(0);
+            for (let j = 1; j <= reference.length; j++) {
+                row[j] = predicted[i - 1] === reference[j - 1]
+                    ? previousRow[j - 1] + 1
+                    : Math.max(previousRow[j], row[j - 1]);
+            }
+            previousRow = row;
+        }
+
+        const lcs = previousRow[reference.length];
+        if (lcs === 0) return 0;
+        const precision = lcs / predicted.length;
+        const recall = lcs / reference.length;
+        return 2 * precision * recall / (precision + recall);
+    }
+}
+
+// Экспортируем глобально для использования
+window.EVALUATION_METRICS = EVALUATION_METRICS;
+window.Evaluator = Evaluator;
@@ -0,0 +1,161 @@
+// Удаление персональных данных из текста перед записью в датасет и экспортом.
+// Найденные фрагменты заменяются типизированными метками вида [EMAIL], [PHONE].
+// Граница слова через lookbehind: \b в JavaScript не работает с кириллицей
+const PII_CATEGORIES = {
+    email: {
+        title: 'Email',
+        placeholder: '[EMAIL]',
+        pattern: /[\w.+-]+@[\wА-Яа-яЁё-]+(?:\.[\wА-Яа-яЁё-]+)*\.[a-zа-яё]{2,}/gi
+    },
+    url: {
+        title: 'Ссылки',
+        placeholder: '[URL]',
+        pattern: /\b(?:https?:\/\/|www\.)[^\s<>"']+[^\s<>"'.,;:!?)]/gi
+    },
+    card: {
+        title: 'Номера карт',
+        placeholder: '[CARD]',
+        pattern: /(?<!\d)\d(?:[ -]?\d){12,18}(?!\d)/g,
+        validate: (value) => PiiRedactor.isLuhnValid(value.replace(/\D/g, ''))
+    },
+    phone: {
+        title: 'Телефоны',
+        placeholder: '[PHONE]',
+        // +7 / 8 (XXX) XXX-XX-XX и международные номера с +
+        pattern: /(?<![\w+])(?:(?:\+7|8)[\s-]?\(?\d{3}\)?[\s-]?\d{3}[\s-]?\d{2}[\s-]?\d{2}|\+\d{1,3}[\s-]?\(?\d{1,4}\)?(?:[\s-]?\d{2,4}){2,4})(?!\d)/g,
+        // В настоящем номере 10–15 цифр вместе с кодом страны, короче — просто группы чисел
+        validate: (value) => /^\d{10,15}$/.test(value.replace(/\D/g, ''))
+    },
+    address: {
+        title: 'Адреса',
+        placeholder: '[ADDRESS]',
+        // Без флага i: регистр не важен только у слова «улица», «пр.» и т.п., а название улицы
+        // должно начинаться с заглавной (можно после номера: «8 Марта», «1-я Тверская»).
+        // Иначе метками заменялись бы «площадь треугольника» или «и пр. животные»
+        pattern: /(?<![А-Яа-яЁёA-Za-z])(?:[Уу]л(?:ица|\.)|[Пп]р(?:оспект|-т|\.)|[Пп]ер(?:еулок|\.)|[Бб]ульвар|[Бб]-р|[Шш]оссе|[Нн]аб(?:ережная|\.)|[Пп]л(?:ощадь|\.))\s*(?:\d+(?:-?[а-я]{1,2})?\s+)?[А-ЯЁA-Z][А-Яа-яЁёA-Za-z-]*(?:\s+[А-ЯЁA-Z][А-Яа-яЁёA-Za-z-]*)*(?:,?\s*(?:[Дд](?:ом|\.)?\s*)?\d+[а-яa-z]?(?:\/\d+)?)?(?:,?\s*(?:корп(?:ус|\.)|к\.|стр(?:оение|\.)|кв(?:артира|\.)?)\s*\d+)*/g
+    }
+};
+
+class PiiRedactor {
+    // config: { categories: { email: true, ... }, customPatterns: [{ name, pattern }] }
+    constructor(config = {}) {
+        this.configure(config);
+    }
+
+    configure(config = {}) {
+        this.categories = {};
+        Object.keys(PII_CATEGORIES).forEach(category => {
+            this.categories[category] = !config.categories || config.categories[category] !== false;
+        });
+
+        this.customPatterns = [];
+        this.invalidPatterns = [];
+        (config.customPatterns || []).forEach(({ name, pattern }) => {
+            try {
+                const regex = new RegExp(pattern, 'gi');
+                // Шаблон вроде «a*» совпадает с пустой строкой и расставил бы метки между всеми символами
+                if (new RegExp(pattern).test('')) {
+                    throw new Error('шаблон совпадает с пустой строкой');
+                }
+                this.customPatterns.push({
+                    name,
+                    placeholder: `[${name.toUpperCase()}]`,
+                    pattern: regex
+                });
+            } catch (error) {
+                console.warn(`⚠️ Некорректный шаблон «${name}»:`, error.message);
+                this.invalidPatterns.push(name);
+            }
+        });
+    }
+
+    getConfig() {
+        return {
+            categories: { ...this.categories },
+            customPatterns: this.customPatterns.map(({ name, pattern }) => ({ name, pattern: pattern.source }))
+        };
+    }
+
+    // Возвращает текст с метками и список замен для предпросмотра
+    redact(text) {
+        if (typeof text !== 'string' || !text) return { text, matches: [] };
+
+        const matches = [];
+        let result = text;
+
+        const rules = [
+            ...Object.entries(PII_CATEGORIES)
+                .filter(([category]) => this.categories[category])
+                .map(([category, rule]) => ({ category, ...rule })),
+            ...this.customPatterns.map(rule => ({ category: rule.name, ...rule }))
+        ];
+
+        // Порядок важен: email раньше ссылок, карты раньше телефонов
+        rules.forEach(rule => {
+            result = result.replace(rule.pattern, (value) => {
+                if (rule.validate && !rule.validate(value)) return value;
+                matches.push({ category: rule.category, value, placeholder: rule.placeholder });
+                return rule.placeholder;
+            });
+        });
+
+        return { text: result, matches };
+    }
+
+    redactText(text) {
+        return this.redact(text).text;
+    }
+
+    // Строки внутри массивов и объектов (события игр, код решений) — с сохранением структуры
+    redactValue(value) {
+        if (typeof value === 'string') return this.redactText(value);
+        if (Array.isArray(value)) return value.map(item => this.redactValue(item));
+        if (value && typeof value === 'object') {
+            return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, this.redactValue(item)]));
+        }
+        return value;
+    }
+
+    // Количество замен по категориям — хранится в записи вместо самих данных
+    static countMatches(matches) {
+        return matches.reduce((counts, match) => {
+            counts[match.category] = (counts[match.category] || 0) + 1;
+            return counts;
+        }, {});
+    }
+
+    static isLuhnValid(digits) {
+        if (digits.length < 13 || digits.length > 19) return false;
+
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            let digit = parseInt(digits[digits.length - 1 - i]);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    }
+
+    // Разбор пользовательских шаблонов из текста «имя: выражение» по одному на строку
+    static parseCustomPatterns(text) {
+        return text.split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                const separator = line.indexOf(':');
+                if (separator <= 0) return null;
+                return {
+                    name: line.slice(0, separator).trim().replace(/\s+/g, '_'),
+                    pattern: line.slice(separator + 1).trim()
+                };
+            })
+            .filter(rule => rule && rule.name && rule.pattern);
+    }
+}
+
+// Экспортируем глобально для использования
+window.PII_CATEGORIES = PII_CATEGORIES;
+window.PiiRedactor = PiiRedactor;
@@ -0,0 +1,335 @@
+// Задания обучения: эпохи и батчи с прогрессом, история loss/accuracy, пауза и отмена.
+// После каждой эпохи веса сохраняются контрольной точкой, поэтому прерванное задание
+// (закрыли приложение) продолжается с последней завершённой эпохи.
+//
+// События (CustomEvent, данные в detail):
+//   progress — { job, percent }   после каждого батча
+//   epoch    — { job, metrics }   после каждой эпохи
+//   state    — { job }            смена статуса задания
+const TRAINING_STATUSES = {
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    COMPLETED: 'completed',
+    CANCELLED: 'cancelled',
+    FAILED: 'failed',
+    INTERRUPTED: 'interrupted'
+};
+
+class TrainingJobManager extends EventTarget {
+    constructor(engine, options = {}) {
+        super();
+        this.engine = engine;
+        this.batchSize = options.batchSize || 8;
+        this.learningRate = options.learningRate || 0.0001;
+        this.maxLossPoints = 1000; // Сколько точек loss храним для графика
+        this.jobs = [];
+        this.activeJob = null;
+        this.pauseResolver = null;
+        this.cancelRequested = false;
+
+        this.db = new IndexedDBStore('NeuroSputnikTraining', 1, (db) => {
+            db.createObjectStore('jobs', { keyPath: 'id' });
+            // Снимок примеров задания: датасет может измениться до возобновления
+            db.createObjectStore('jobData', { keyPath: 'jobId' });
+            // Последняя контрольная точка задания: { jobId, epoch, data: ArrayBuffer }
+            db.createObjectStore('checkpoints', { keyPath: 'jobId' });
+        });
+    }
+
+    // Загружает задания; выполнявшиеся в прошлом запуске помечаются прерванными
+    async load() {
+        this.jobs = (await this.db.getAll('jobs')).sort((a, b) => a.createdAt - b.createdAt);
+
+        for (const job of this.jobs) {
+            if (job.status === TRAINING_STATUSES.RUNNING || job.status === TRAINING_STATUSES.PAUSED) {
+                job.status = TRAINING_STATUSES.INTERRUPTED;
+                await this.db.put('jobs', job);
+            }
+        }
+
+        return this.jobs;
+    }
+
+    getJobs() {
+        return this.jobs;
+    }
+
+    getLatestJob() {
+        return this.jobs[this.jobs.length - 1] || null;
+    }
+
+    // Последнее задание, которое можно продолжить
+    getResumableJob() {
+        const job = this.getLatestJob();
+        return job && job.status === TRAINING_STATUSES.INTERRUPTED ? job : null;
+    }
+
+    isRunning() {
+        return Boolean(this.activeJob);
+    }
+
+    // Сколько эпох реально пройдено во всех заданиях
+    getTotalEpochs() {
+        return this.jobs.reduce((sum, job) => sum + job.completedEpochs, 0);
+    }
+
+    // Метрики последней эпохи, у которой они есть
+    getLatestMetrics() {
+        for (let i = this.jobs.length - 1; i >= 0; i--) {
+            const history = this.jobs[i].history;
+            for (let j = history.length - 1; j >= 0; j--) {
+                if (history[j].loss !== null || history[j].accuracy !== null) return history[j];
+            }
+        }
+        return null;
+    }
+
+    // Запускает новое задание; промис разрешается заданием после его завершения.
+    // metadata — данные приложения, которые нужны и после возобновления (снимок до обучения и т.п.)
+    async start(examples, { epochs = 3, batchSize = this.batchSize, metadata = {} } = {}) {
+        if (this.activeJob) {
+            throw new Error('Обучение уже идёт');
+        }
+        if (!this.engine.currentModel) {
+            throw new Error('Модель не загружена');
+        }
+
+        const now = Date.now();
+        const job = {
+            id: `job_${now}_${Math.random().toString(36).slice(2, 8)}`,
+            model: this.engine.currentModel,
+            status: TRAINING_STATUSES.RUNNING,
+            epochs,
+            batchSize,
+            exampleCount: examples.length,
+            totalBatches: Math.ceil(examples.length / batchSize),
+            completedEpochs: 0,
+            currentEpoch: 0,
+            currentBatch: 0,
+            step: 0,
+            history: [],     // По эпохам: { epoch, loss, accuracy, duration }
+            lossHistory: [], // По батчам: { step, epoch, loss }
+            metadata,
+            error: null,
+            createdAt: now,
+            updatedAt: now,
+            finishedAt: null
+        };
+
+        this.jobs.push(job);
+        await this.db.transaction(['jobs', 'jobData'], 'readwrite', stores => {
+            stores.jobs.put(job);
+            stores.jobData.put({ jobId: job.id, examples });
+        });
+
+        console.log(`🎯 Задание обучения ${job.id}: ${examples.length} примеров, ${epochs} эпох`);
+        return this._run(job, examples);
+    }
+
+    // Продолжает прерванное задание с последней контрольной точки
+    async resume(jobId) {
+        if (this.activeJob) {
+            throw new Error('Обучение уже идёт');
+        }
+
+        const job = this.jobs.find(candidate => candidate.id === jobId);
+        if (!job || job.status !== TRAINING_STATUSES.INTERRUPTED) {
+            throw new Error('Задание нельзя продолжить');
+        }
+
+        const jobData = await this.db.get('jobData', jobId);
+        if (!jobData) {
+            throw new Error('Примеры задания не найдены');
+        }
+
+        const checkpoint = await this.db.get('checkpoints', jobId);
+        if (checkpoint) {
+            const model = this.engine.models[job.model] || {};
+            if (!(await this.engine.loadModel(job.model, checkpoint.data, model.info || null))) {
+                throw new Error(`Не удалось загрузить контрольную точку эпохи ${checkpoint.epoch}`);
+            }
+            job.completedEpochs = checkpoint.epoch;
+        } else {
+            if (this.engine.currentModel !== job.model) {
+                throw new Error(`Для продолжения нужна модель ${job.model}`);
+            }
+            // Без контрольной точки веса после прошлых эпох потеряны — начинаем заново
+            if (job.completedEpochs > 0) {
+                console.warn('⚠️ Контрольной точки нет, задание начнётся с первой эпохи');
+            }
+            job.completedEpochs = 0;
+        }
+
+        // Метрики незавершённой эпохи отбрасываем: она пройдёт заново
+        job.history = job.history.filter(entry => entry.epoch <= job.completedEpochs);
+        job.lossHistory = job.lossHistory.filter(point => point.epoch <= job.completedEpochs);
+        job.step = job.completedEpochs * job.totalBatches;
+        job.status = TRAINING_STATUSES.RUNNING;
+        job.error = null;
+
+        console.log(`▶️ Продолжаем задание ${job.id} с эпохи ${job.completedEpochs + 1}`);
+        return this._run(job, jobData.examples);
+    }
+
+    pause() {
+        if (!this.activeJob || this.activeJob.status !== TRAINING_STATUSES.RUNNING) return;
+        this._setStatus(this.activeJob, TRAINING_STATUSES.PAUSED);
+    }
+
+    resumePaused() {
+        if (!this.activeJob || this.activeJob.status !== TRAINING_STATUSES.PAUSED) return;
+        this._setStatus(this.activeJob, TRAINING_STATUSES.RUNNING);
+        if (this.pauseResolver) this.pauseResolver();
+    }
+
+    // Остановка после текущего батча; веса остаются как после него
+    cancel() {
+        if (!this.activeJob) return;
+        this.cancelRequested = true;
+        if (this.pauseResolver) this.pauseResolver();
+    }
+
+    // Вспомогательные методы
+    async _run(job, examples) {
+        this.activeJob = job;
+        this.cancelRequested = false;
+        this._setStatus(job, TRAINING_STATUSES.RUNNING);
+
+        try {
+            for (let epoch = job.completedEpochs + 1; epoch <= job.epochs; epoch++) {
+                const metrics = await this._runEpoch(job, epoch, this._shuffle(examples));
+                if (!metrics) break; // Отменено
+
+                job.history.push(metrics);
+                job.completedEpochs = epoch;
+                await this._saveCheckpoint(job, epoch);
+                await this._saveJob(job);
+
+                console.log(`📈 Эпоха ${epoch}/${job.epochs}: loss ${this._formatMetric(metrics.loss)}, accuracy ${this._formatMetric(metrics.accuracy)}`);
+                this._emit('epoch', { job, metrics });
+            }
+
+            job.finishedAt = Date.now();
+            if (this.cancelRequested) {
+                this._setStatus(job, TRAINING_STATUSES.CANCELLED);
+            } else {
+                this._setStatus(job, TRAINING_STATUSES.COMPLETED);
+                // Контрольная точка завершённого задания больше не нужна
+                await this.db.delete('checkpoints', job.id);
+            }
+
+        } catch (error) {
+            console.error('❌ Ошибка задания обучения:', error);
+            job.error = error.message;
+            job.finishedAt = Date.now();
+            this._setStatus(job, TRAINING_STATUSES.FAILED);
+
+        } finally {
+            await this._saveJob(job);
+            this.activeJob = null;
+            this.pauseResolver = null;
+        }
+
+        return job;
+    }
+
+    // Проходит эпоху батчами; возвращает метрики эпохи или null при отмене
+    async _runEpoch(job, epoch, examples) {
+        const started = Date.now();
+        const losses = [];
+        const accuracies = [];
+
+        job.currentEpoch = epoch;
+        job.totalBatches = Math.ceil(examples.length / job.batchSize);
+
+        for (let batch = 0; batch < job.totalBatches; batch++) {
+            await this._waitWhilePaused(job);
+            if (this.cancelRequested) return null;
+
+            const items = examples.slice(batch * job.batchSize, (batch + 1) * job.batchSize);
+            const { loss, accuracy } = await this.engine.trainBatch(items, { learningRate: this.learningRate });
+
+            job.step += 1;
+            job.currentBatch = batch + 1;
+            if (Number.isFinite(loss)) {
+                losses.push(loss);
+                job.lossHistory.push({ step: job.step, epoch, loss });
+                if (job.lossHistory.length > this.maxLossPoints) job.lossHistory.shift();
+            }
+            if (Number.isFinite(accuracy)) accuracies.push(accuracy);
+
+            await this._saveJob(job);
+            this._emit('progress', { job, percent: this._getPercent(job) });
+        }
+
+        const average = values => values.length ? values.reduce((a, b) => a + b, 0) / values.length : null;
+        return {
+            epoch,
+            loss: average(losses),
+            accuracy: average(accuracies),
+            duration: Date.now() - started
+        };
+    }
+
+    _waitWhilePaused(job) {
+        if (job.status !== TRAINING_STATUSES.PAUSED || this.cancelRequested) {
+            return Promise.resolve();
+        }
+        return new Promise(resolve => {
+            this.pauseResolver = () => {
+                this.pauseResolver = null;
+                resolve();
+            };
+        });
+    }
+
+    async _saveCheckpoint(job, epoch) {
+        try {
+            const data = await this.engine.exportCheckpoint();
+            await this.db.put('checkpoints', { jobId: job.id, epoch, data, createdAt: Date.now() });
+        } catch (error) {
+            // Без контрольной точки задание можно будет только начать заново
+            console.warn('⚠️ Контрольная точка не сохранена:', error.message);
+        }
+    }
+
+    async _saveJob(job) {
+        job.updatedAt = Date.now();
+        try {
+            await this.db.put('jobs', job);
+        } catch (error) {
+            console.warn('⚠️ Не удалось сохранить состояние обучения:', error);
+        }
+    }
+
+    _setStatus(job, status) {
+        job.status = status;
+        this._emit('state', { job });
+    }
+
+    _emit(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, { detail }));
+    }
+
+    _getPercent(job) {
+        const done = (job.currentEpoch - 1) * job.totalBatches + job.currentBatch;
+        return Math.round(done / (job.epochs * job.totalBatches) * 100);
+    }
+
+    _shuffle(examples) {
+        const result = examples.slice();
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    _formatMetric(value) {
+        return value === null ? '—' : value.toFixed(4);
+    }
+}
+
+// Экспортируем глобально для использования
+window.TRAINING_STATUSES = TRAINING_STATUSES;
+window.TrainingJobManager = TrainingJobManager;
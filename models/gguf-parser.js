@@ -0,0 +1,261 @@
+// Разбор заголовка GGUF файла: метаданные (ключ/значение) и описание тензоров.
+// Веса не читаются — достаточно начала файла, размер которого заранее неизвестен
+// (словарь токенизатора может занимать несколько мегабайт), поэтому parseSource
+// дочитывает данные, пока заголовок не разберётся целиком.
+const GGUF_MAGIC = 0x46554747; // "GGUF" в little-endian
+const GGUF_SUPPORTED_VERSIONS = [2, 3];
+
+const GGUF_VALUE_TYPES = {
+    UINT8: 0, INT8: 1, UINT16: 2, INT16: 3, UINT32: 4, INT32: 5, FLOAT32: 6,
+    BOOL: 7, STRING: 8, ARRAY: 9, UINT64: 10, INT64: 11, FLOAT64: 12
+};
+
+// Типы тензоров ggml
+const GGML_TYPES = {
+    0: 'F32', 1: 'F16', 2: 'Q4_0', 3: 'Q4_1', 6: 'Q5_0', 7: 'Q5_1', 8: 'Q8_0', 9: 'Q8_1',
+    10: 'Q2_K', 11: 'Q3_K', 12: 'Q4_K', 13: 'Q5_K', 14: 'Q6_K', 15: 'Q8_K',
+    16: 'IQ2_XXS', 17: 'IQ2_XS', 18: 'IQ3_XXS', 19: 'IQ1_S', 20: 'IQ4_NL', 21: 'IQ3_S',
+    22: 'IQ2_S', 23: 'IQ4_XS', 24: 'I8', 25: 'I16', 26: 'I32', 27: 'I64', 28: 'F64',
+    29: 'IQ1_M', 30: 'BF16'
+};
+
+// general.file_type — тип квантования файла целиком
+const GGUF_FILE_TYPES = {
+    0: 'F32', 1: 'F16', 2: 'Q4_0', 3: 'Q4_1', 7: 'Q8_0', 8: 'Q5_0', 9: 'Q5_1',
+    10: 'Q2_K', 11: 'Q3_K_S', 12: 'Q3_K_M', 13: 'Q3_K_L', 14: 'Q4_K_S', 15: 'Q4_K_M',
+    16: 'Q5_K_S', 17: 'Q5_K_M', 18: 'Q6_K', 19: 'IQ2_XXS', 20: 'IQ2_XS', 21: 'Q2_K_S',
+    22: 'IQ3_XS', 23: 'IQ3_XXS', 24: 'IQ1_S', 25: 'IQ4_NL', 26: 'IQ3_S', 27: 'IQ3_M',
+    28: 'IQ2_S', 29: 'IQ2_M', 30: 'IQ4_XS', 31: 'IQ1_M', 32: 'BF16'
+};
+
+class GGUFParser {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.offset = 0;
+        this.decoder = new TextDecoder('utf-8');
+        this.maxArrayValues = 64; // Длинные массивы (словарь токенов) не сохраняем целиком
+    }
+
+    // Разбирает заголовок из начала файла. Если данных не хватило — ошибка с name 'GGUFTruncatedError'
+    static parse(bytes) {
+        return new GGUFParser(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes)).parseHeader();
+    }
+
+    // read(length) → Promise<Uint8Array> с первыми length байтами файла (меньше — если файл короче)
+    static async parseSource(read, { initialBytes = 1024 * 1024, maxBytes = 128 * 1024 * 1024 } = {}) {
+        let length = initialBytes;
+
+        while (true) {
+            const bytes = await read(length);
+
+            try {
+                return GGUFParser.parse(bytes);
+            } catch (error) {
+                if (error.name !== 'GGUFTruncatedError') throw error;
+                if (bytes.length < length) {
+                    throw new Error('Файл GGUF обрезан: заголовок заканчивается раньше файла');
+                }
+                if (length >= maxBytes) {
+                    throw new Error(`Заголовок GGUF больше ${Math.round(maxBytes / 1024 / 1024)}MB, файл не поддерживается`);
+                }
+                length = Math.min(length * 2, maxBytes);
+            }
+        }
+    }
+
+    static async parseBlob(blob, options) {
+        return GGUFParser.parseSource(
+            async (length) => new Uint8Array(await blob.slice(0, length).arrayBuffer()),
+            options
+        );
+    }
+
+    // Краткая сводка для интерфейса и настроек движка
+    static summarize(header) {
+        const meta = header.metadata;
+        const architecture = meta['general.architecture'] || null;
+        const archValue = (key) => architecture ? meta[`${architecture}.${key}`] : undefined;
+        const tokens = meta['tokenizer.ggml.tokens'];
+
+        return {
+            version: header.version,
+            name: meta['general.name'] || null,
+            architecture,
+            parameterCount: header.parameterCount,
+            quantization: GGUFParser.getQuantization(header),
+            contextLength: archValue('context_length') || null,
+            embeddingLength: archValue('embedding_length') || null,
+            blockCount: archValue('block_count') || null,
+            tokenizer: meta['tokenizer.ggml.model'] || null,
+            vocabSize: tokens ? tokens.length : null,
+            chatTemplate: meta['tokenizer.chat_template'] || null,
+            tensorCount: header.tensorCount
+        };
+    }
+
+    // Тип квантования из general.file_type, иначе — тип, которым хранится больше всего весов
+    static getQuantization(header) {
+        const fileType = header.metadata['general.file_type'];
+        if (GGUF_FILE_TYPES[fileType]) return GGUF_FILE_TYPES[fileType];
+
+        const totals = {};
+        header.tensors.forEach(tensor => {
+            totals[tensor.type] = (totals[tensor.type] || 0) + tensor.elements;
+        });
+        const [type] = Object.entries(totals).sort((a, b) => b[1] - a[1])[0] || [];
+        return type || null;
+    }
+
+    // 1100048384 → "1.1B"
+    static formatParameterCount(count) {
+        if (!count) return '—';
+        if (count >= 1e9) return `${(count / 1e9).toFixed(1)}B`;
+        if (count >= 1e6) return `${Math.round(count / 1e6)}M`;
+        return String(count);
+    }
+
+    parseHeader() {
+        if (this._uint32() !== GGUF_MAGIC) {
+            throw new Error('Файл не является моделью GGUF (неверная сигнатура)');
+        }
+
+        const version = this._uint32();
+        if (!GGUF_SUPPORTED_VERSIONS.includes(version)) {
+            throw new Error(`Версия GGUF ${version} не поддерживается (поддерживаются ${GGUF_SUPPORTED_VERSIONS.join(', ')})`);
+        }
+
+        const tensorCount = this._count('тензоров');
+        const metadataCount = this._count('метаданных');
+
+        const metadata = {};
+        for (let i = 0; i < metadataCount; i++) {
+            const key = this._string();
+            metadata[key] = this._value(this._uint32(), key);
+        }
+
+        const tensors = [];
+        let parameterCount = 0;
+        for (let i = 0; i < tensorCount; i++) {
+            const tensor = this._tensorInfo();
+            parameterCount += tensor.elements;
+            tensors.push(tensor);
+        }
+
+        // Данные тензоров начинаются с ближайшей границы выравнивания
+        const alignment = metadata['general.alignment'] || 32;
+        const dataOffset = Math.ceil(this.offset / alignment) * alignment;
+
+        return { version, tensorCount, metadata, tensors, parameterCount, dataOffset };
+    }
+
+    // Вспомогательные методы
+    _tensorInfo() {
+        const name = this._string();
+        const dimensionCount = this._uint32();
+        if (dimensionCount < 1 || dimensionCount > 4) {
+            throw new Error(`Повреждённый GGUF: у тензора ${name} ${dimensionCount} измерений`);
+        }
+
+        const dims = [];
+        for (let i = 0; i < dimensionCount; i++) dims.push(this._uint64());
+
+        const typeId = this._uint32();
+        const type = GGML_TYPES[typeId];
+        if (!type) {
+            throw new Error(`Неподдерживаемый тип тензора ${typeId} у ${name}`);
+        }
+
+        return {
+            name,
+            dims,
+            type,
+            elements: dims.reduce((product, dim) => product * dim, 1),
+            offset: this._uint64()
+        };
+    }
+
+    _value(type, key) {
+        const T = GGUF_VALUE_TYPES;
+
+        switch (type) {
+            case T.UINT8: return this._read(1, () => this.view.getUint8(this.offset));
+            case T.INT8: return this._read(1, () => this.view.getInt8(this.offset));
+            case T.UINT16: return this._read(2, () => this.view.getUint16(this.offset, true));
+            case T.INT16: return this._read(2, () => this.view.getInt16(this.offset, true));
+            case T.UINT32: return this._uint32();
+            case T.INT32: return this._read(4, () => this.view.getInt32(this.offset, true));
+            case T.FLOAT32: return this._read(4, () => this.view.getFloat32(this.offset, true));
+            case T.BOOL: return this._read(1, () => this.view.getUint8(this.offset) !== 0);
+            case T.STRING: return this._string();
+            case T.UINT64: return this._uint64();
+            case T.INT64: return this._read(8, () => Number(this.view.getBigInt64(this.offset, true)));
+            case T.FLOAT64: return this._read(8, () => this.view.getFloat64(this.offset, true));
+            case T.ARRAY: return this._array(key);
+            default:
+                throw new Error(`Повреждённый GGUF: неизвестный тип значения ${type} у ключа ${key}`);
+        }
+    }
+
+    // Короткие массивы возвращаются целиком, длинные — только длиной (values пустой)
+    _array(key) {
+        const itemType = this._uint32();
+        if (itemType === GGUF_VALUE_TYPES.ARRAY) {
+            throw new Error(`Вложенные массивы в ключе ${key} не поддерживаются`);
+        }
+
+        const length = this._count(`элементов ${key}`);
+        const values = [];
+        for (let i = 0; i < length; i++) {
+            const value = this._value(itemType, key);
+            if (length <= this.maxArrayValues) values.push(value);
+        }
+
+        if (length <= this.maxArrayValues) return values;
+        // Словарю токенов нужна только длина
+        return { length, truncated: true };
+    }
+
+    _string() {
+        const length = this._count('байт строки');
+        this._ensure(length);
+        const value = this.decoder.decode(this.bytes.subarray(this.offset, this.offset + length));
+        this.offset += length;
+        return value;
+    }
+
+    _uint32() {
+        return this._read(4, () => this.view.getUint32(this.offset, true));
+    }
+
+    _uint64() {
+        return this._read(8, () => Number(this.view.getBigUint64(this.offset, true)));
+    }
+
+    // Счётчики (uint64) с проверкой на правдоподобие: мусор вместо длины означает повреждённый файл
+    _count(what) {
+        const count = this._uint64();
+        if (count > 0xffffffff) {
+            throw new Error(`Повреждённый GGUF: неправдоподобное количество ${what} (${count})`);
+        }
+        return count;
+    }
+
+    _read(size, getter) {
+        this._ensure(size);
+        const value = getter();
+        this.offset += size;
+        return value;
+    }
+
+    _ensure(size) {
+        if (this.offset + size > this.bytes.length) {
+            const error = new Error('Недостаточно данных для разбора заголовка GGUF');
+            error.name = 'GGUFTruncatedError';
+            throw error;
+        }
+    }
+}
+
+// Экспортируем глобально (self — это window на странице и global scope в воркерах)
+self.GGUFParser = GGUFParser;
@@ -0,0 +1,391 @@
+// Менеджер моделей: каталог, докачиваемая загрузка по HTTP Range и проверка SHA-256.
+// Файл модели хранится в IndexedDB кусками по chunkSize байт, вместе с состоянием хэша,
+// поэтому загрузку можно прервать и продолжить даже после перезапуска приложения.
+class ModelManager {
+    constructor(catalogUrl = 'models/catalog.json') {
+        this.catalogUrl = catalogUrl;
+        this.catalog = [];
+        this.chunkSize = 4 * 1024 * 1024;
+        this.downloads = new Map(); // id модели → AbortController
+
+        // Отдельная база: NeuroSputnikModels занята снимками весов (SnapshotStore)
+        this.db = new IndexedDBStore('NeuroSputnikModelFiles', 1, (db) => {
+            // Состояние загрузки: { id, url, status, totalBytes, downloadedBytes, chunkCount, etag, hashState, sha256, metadata }
+            db.createObjectStore('models', { keyPath: 'id' });
+            // Куски файла: { modelId, index, data: ArrayBuffer }
+            db.createObjectStore('chunks', { keyPath: ['modelId', 'index'] });
+        });
+    }
+
+    async loadCatalog() {
+        const response = await fetch(this.catalogUrl);
+        if (!response.ok) {
+            throw new Error(`Каталог моделей недоступен: ${response.status}`);
+        }
+
+        const data = await response.json();
+        this.catalog = (data.models || []).filter(entry => {
+            const valid = entry.id && entry.url && entry.name;
+            if (!valid) console.warn('⚠️ Пропущена запись каталога моделей без id, url или name:', entry);
+            return valid;
+        });
+
+        console.log(`📚 Каталог моделей: ${this.catalog.length}`);
+        return this.catalog;
+    }
+
+    getEntry(modelId) {
+        return this.catalog.find(entry => entry.id === modelId) || null;
+    }
+
+    hasChecksum(modelId) {
+        const entry = this.getEntry(modelId);
+        return Boolean(entry && /^[0-9a-f]{64}$/i.test(entry.sha256 || ''));
+    }
+
+    async getState(modelId) {
+        return (await this.db.get('models', modelId)) || null;
+    }
+
+    // Состояния всех моделей, которые начинали скачивать: id → запись
+    async getStates() {
+        const states = {};
+        (await this.db.getAll('models')).forEach(state => { states[state.id] = state; });
+        return states;
+    }
+
+    async isVerified(modelId) {
+        const state = await this.getState(modelId);
+        const entry = this.getEntry(modelId);
+        return Boolean(state && entry && state.status === 'verified' &&
+            state.sha256 === entry.sha256.toLowerCase());
+    }
+
+    isDownloading(modelId) {
+        return this.downloads.has(modelId);
+    }
+
+    // Скачивает модель с места остановки. onProgress({ downloaded, total, percent })
+    async download(modelId, { onProgress = null } = {}) {
+        const entry = this.getEntry(modelId);
+        if (!entry) {
+            throw new Error(`Модель ${modelId} не найдена в каталоге`);
+        }
+        if (!this.hasChecksum(modelId)) {
+            throw new Error(`Для модели ${entry.name} в каталоге не указана контрольная сумма SHA-256`);
+        }
+        if (this.downloads.has(modelId)) {
+            throw new Error(`Модель ${entry.name} уже скачивается`);
+        }
+
+        // Загрузку регистрируем до первого await, иначе два быстрых нажатия запустят две загрузки
+        const controller = new AbortController();
+        this.downloads.set(modelId, controller);
+
+        try {
+            let state = await this.getState(modelId);
+            if (state && state.status === 'verified' && state.sha256 === entry.sha256.toLowerCase()) return state;
+
+            // Файл в каталоге поменялся (адрес или контрольная сумма) или повреждён — старые куски не подходят.
+            // verified здесь означает, что скачанный файл проверялся по прежней сумме из каталога
+            if (state && (state.url !== entry.url || ['verified', 'corrupt'].includes(state.status))) {
+                await this._deleteStored(modelId);
+                state = null;
+            }
+
+            state = state || this._createState(entry);
+            await this._ensureSpace(Math.max(0, (state.totalBytes || entry.size || 0) - state.downloadedBytes));
+
+            return await this._downloadFrom(entry, state, controller.signal, onProgress);
+        } finally {
+            this.downloads.delete(modelId);
+        }
+    }
+
+    // Останавливает загрузку; скачанные куски остаются для докачки
+    cancel(modelId) {
+        const controller = this.downloads.get(modelId);
+        if (controller) controller.abort();
+    }
+
+    async delete(modelId) {
+        this.cancel(modelId);
+        await this._deleteStored(modelId);
+        console.log(`🗑️ Модель ${modelId} удалена с устройства`);
+    }
+
+    // Собирает файл модели в один ArrayBuffer. Выдаётся только модель, чей хэш совпал
+    // с каталогом при загрузке (статус verified) — повторно файл не хэшируется
+    async getModelData(modelId) {
+        const entry = this.getEntry(modelId);
+        if (!entry) {
+            throw new Error(`Модель ${modelId} не найдена в каталоге`);
+        }
+        if (!this.hasChecksum(modelId)) {
+            throw new Error(`Для модели ${entry.name} не указана контрольная сумма, загрузка запрещена`);
+        }
+        if (!(await this.isVerified(modelId))) {
+            throw new Error(`Модель ${entry.name} не скачана полностью или не прошла проверку`);
+        }
+
+        // Буфер выделяется один раз на весь файл, куски копируются в него по мере чтения
+        const state = await this.getState(modelId);
+        const buffer = new Uint8Array(state.totalBytes);
+        let offset = 0;
+        let overflow = false;
+
+        await this.db.iterate('chunks', null, this._chunkRange(modelId), 'next', chunk => {
+            if (offset + chunk.data.byteLength > buffer.length) {
+                overflow = true;
+                return false;
+            }
+            buffer.set(new Uint8Array(chunk.data), offset);
+            offset += chunk.data.byteLength;
+        });
+
+        // Пропавшие или лишние куски видны по размеру — такой файл нужно скачать заново
+        if (overflow || offset !== state.totalBytes) {
+            await this.db.put('models', { ...state, status: 'corrupt' });
+            throw new Error(`Файл модели ${entry.name} повреждён, скачайте его заново`);
+        }
+
+        return buffer.buffer;
+    }
+
+    // Заголовок GGUF из сохранённых кусков, без сборки всего файла
+    async readHeader(modelId) {
+        return GGUFParser.parseSource(length => this._readPrefix(modelId, length), {
+            initialBytes: this.chunkSize
+        });
+    }
+
+    // Сводка заголовка (GGUFParser.summarize); для старых загрузок вычисляется и сохраняется
+    async getModelInfo(modelId) {
+        const state = await this.getState(modelId);
+        if (!state || state.status !== 'verified') return null;
+        if (state.metadata) return state.metadata;
+
+        state.metadata = GGUFParser.summarize(await this.readHeader(modelId));
+        await this.db.put('models', state);
+        return state.metadata;
+    }
+
+    async getStorageUsage() {
+        const states = await this.db.getAll('models');
+        return states.reduce((sum, state) => sum + state.downloadedBytes, 0);
+    }
+
+    // Вспомогательные методы
+    _createState(entry) {
+        return {
+            id: entry.id,
+            url: entry.url,
+            status: 'partial',
+            totalBytes: entry.size || 0,
+            downloadedBytes: 0,
+            chunkCount: 0,
+            etag: null,
+            hashState: null,
+            sha256: null,
+            updatedAt: Date.now()
+        };
+    }
+
+    async _downloadFrom(entry, state, signal, onProgress) {
+        const headers = {};
+        if (state.downloadedBytes > 0) {
+            headers.Range = `bytes=${state.downloadedBytes}-`;
+            // Если файл на сервере изменился, сервер вернёт его целиком (200), а не кусок (206)
+            if (state.etag) headers['If-Range'] = state.etag;
+        }
+
+        const response = await fetch(entry.url, { headers, signal });
+        if (!response.ok) {
+            throw new Error(`Сервер ответил ${response.status} при загрузке ${entry.name}`);
+        }
+
+        if (state.downloadedBytes > 0 && response.status !== 206) {
+            console.warn(`⚠️ Докачка ${entry.name} невозможна, начинаем заново`);
+            await this._clearChunks(entry.id);
+            state = this._createState(entry);
+        }
+
+        state.totalBytes = this._getTotalBytes(response, state.downloadedBytes) || state.totalBytes;
+        state.etag = response.headers.get('ETag') || state.etag;
+        state.status = 'partial';
+
+        const hasher = new Sha256(state.hashState);
+        const reader = response.body.getReader();
+        let pending = new Uint8Array(this.chunkSize);
+        let pendingLength = 0;
+
+        const report = () => {
+            if (!onProgress) return;
+            const downloaded = state.downloadedBytes + pendingLength;
+            onProgress({
+                downloaded,
+                total: state.totalBytes,
+                percent: state.totalBytes ? Math.round(downloaded / state.totalBytes * 100) : 0
+            });
+        };
+
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                let offset = 0;
+                while (offset < value.length) {
+                    const take = Math.min(this.chunkSize - pendingLength, value.length - offset);
+                    pending.set(value.subarray(offset, offset + take), pendingLength);
+                    pendingLength += take;
+                    offset += take;
+
+                    if (pendingLength === this.chunkSize) {
+                        await this._saveChunk(entry, state, hasher, pending);
+                        pending = new Uint8Array(this.chunkSize);
+                        pendingLength = 0;
+                    }
+                }
+
+                report();
+            }
+        } catch (error) {
+            // Недописанный кусок теряется: докачка начнётся с последнего сохранённого
+            if (error.name === 'AbortError') {
+                console.log(`⏸️ Загрузка ${entry.name} остановлена на ${state.downloadedBytes} байт`);
+            }
+            throw error;
+        }
+
+        if (pendingLength > 0) {
+            await this._saveChunk(entry, state, hasher, pending.slice(0, pendingLength));
+        }
+
+        if (state.totalBytes && state.downloadedBytes !== state.totalBytes) {
+            throw new Error(`Загрузка ${entry.name} оборвалась: ${state.downloadedBytes} из ${state.totalBytes} байт`);
+        }
+
+        return this._verify(entry, state, hasher);
+    }
+
+    async _saveChunk(entry, state, hasher, data) {
+        // Вместо модели сервер мог отдать HTML страницу — проверяем сигнатуру по первому куску
+        if (state.chunkCount === 0 && (entry.format || 'gguf') === 'gguf') {
+            const signature = new TextDecoder().decode(data.subarray(0, 4));
+            if (signature !== 'GGUF') {
+                throw new Error(`Файл ${entry.name} не является моделью GGUF`);
+            }
+        }
+
+        hasher.update(data);
+
+        const index = state.chunkCount;
+        state.chunkCount += 1;
+        state.downloadedBytes += data.length;
+        state.hashState = hasher.exportState();
+        state.updatedAt = Date.now();
+
+        // Кусок и состояние хэша пишутся вместе, чтобы после сбоя они не разошлись
+        const chunk = { modelId: state.id, index, data: data.buffer.slice(data.byteOffset, data.byteOffset + data.length) };
+        await this.db.transaction(['models', 'chunks'], 'readwrite', stores => {
+            stores.chunks.put(chunk);
+            stores.models.put(state);
+        });
+    }
+
+    async _verify(entry, state, hasher) {
+        const sha256 = hasher.digest();
+        state.totalBytes = state.downloadedBytes;
+
+        if (sha256 !== entry.sha256.toLowerCase()) {
+            await this.delete(entry.id);
+            throw new Error(`Контрольная сумма ${entry.name} не совпадает, файл удалён`);
+        }
+
+        state.status = 'verified';
+        state.sha256 = sha256;
+        state.hashState = null;
+        await this.db.put('models', state);
+
+        // Сводка заголовка нужна вкладке моделей и настройкам движка
+        if ((entry.format || 'gguf') === 'gguf') {
+            try {
+                state.metadata = GGUFParser.summarize(await this.readHeader(entry.id));
+                await this.db.put('models', state);
+            } catch (error) {
+                await this.delete(entry.id);
+                throw new Error(`Модель ${entry.name} не подходит: ${error.message}`);
+            }
+        }
+
+        console.log(`✅ Модель ${entry.name} скачана и проверена`);
+        return state;
+    }
+
+    async _readPrefix(modelId, length) {
+        const parts = [];
+        let total = 0;
+
+        await this.db.iterate('chunks', null, this._chunkRange(modelId), 'next', chunk => {
+            parts.push(new Uint8Array(chunk.data));
+            total += chunk.data.byteLength;
+            return total < length;
+        });
+
+        const bytes = new Uint8Array(Math.min(total, length));
+        let offset = 0;
+        for (const part of parts) {
+            const take = Math.min(part.length, bytes.length - offset);
+            bytes.set(part.subarray(0, take), offset);
+            offset += take;
+        }
+        return bytes;
+    }
+
+    async _deleteStored(modelId) {
+        await this.db.transaction(['models', 'chunks'], 'readwrite', stores => {
+            stores.models.delete(modelId);
+            stores.chunks.delete(this._chunkRange(modelId));
+        });
+    }
+
+    async _clearChunks(modelId) {
+        await this.db.transaction('chunks', 'readwrite', stores => {
+            stores.chunks.delete(this._chunkRange(modelId));
+        });
+    }
+
+    _chunkRange(modelId) {
+        return IDBKeyRange.bound([modelId, 0], [modelId, Infinity]);
+    }
+
+    // Content-Range: bytes 100-199/1000 → 1000; иначе Content-Length + уже скачанное
+    _getTotalBytes(response, offset) {
+        const contentRange = response.headers.get('Content-Range');
+        const match = contentRange && contentRange.match(/\/(\d+)$/);
+        if (match) return parseInt(match[1]);
+
+        const contentLength = parseInt(response.headers.get('Content-Length'));
+        return Number.isFinite(contentLength) ? offset + contentLength : 0;
+    }
+
+    async _ensureSpace(bytes) {
+        if (!navigator.storage || !navigator.storage.estimate) return;
+
+        // Постоянное хранилище браузер не очистит при нехватке места
+        if (navigator.storage.persist) {
+            await navigator.storage.persist().catch(() => false);
+        }
+
+        const { quota, usage } = await navigator.storage.estimate();
+        if (quota && quota - usage < bytes) {
+            const needMb = Math.round(bytes / 1024 / 1024);
+            const freeMb = Math.round((quota - usage) / 1024 / 1024);
+            throw new Error(`Недостаточно места: нужно ${needMb}MB, доступно ${freeMb}MB`);
+        }
+    }
+}
+
+// Экспортируем глобально для использования
+window.ModelManager = ModelManager;
@@ -0,0 +1,197 @@
+// Снимки весов модели: версии до и после обучения, откат и перенос между устройствами.
+// Метаданные и веса лежат в разных хранилищах, чтобы список версий не читал сотни мегабайт.
+// Снимок исходной версии хранит только метаданные: её веса уже есть в ModelManager.
+const SNAPSHOT_FILE_MAGIC = 'NSSNAP';
+const SNAPSHOT_FILE_VERSION = 1;
+
+const SNAPSHOT_KINDS = {
+    base: 'Исходная версия',
+    'before-training': 'До обучения',
+    'after-training': 'После обучения',
+    manual: 'Сохранена вручную',
+    imported: 'Импортирована'
+};
+
+class SnapshotStore {
+    constructor() {
+        this.db = new IndexedDBStore('NeuroSputnikModels', 2, (db) => {
+            // В версии 1 здесь было хранилище saveModel движка, которое никто не вызывал
+            if (db.objectStoreNames.contains('models')) {
+                db.deleteObjectStore('models');
+            }
+            // Метаданные: { id, model, version, kind, hasData, size, sha256, info, datasetHash, epochs, evaluation, parentId, createdAt }
+            const snapshots = db.createObjectStore('snapshots', { keyPath: 'id' });
+            snapshots.createIndex('model', 'model');
+            // Веса: { id, data: ArrayBuffer }
+            db.createObjectStore('snapshotData', { keyPath: 'id' });
+        });
+    }
+
+    // Снимки от новых к старым; model — только снимки одной модели
+    async list(model = null) {
+        const snapshots = model
+            ? await this.db.getAll('snapshots', 'model', model)
+            : await this.db.getAll('snapshots');
+        return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    async get(id) {
+        return (await this.db.get('snapshots', id)) || null;
+    }
+
+    // Последний снимок версии модели (version — 'base' или id задания обучения)
+    async findByVersion(model, version) {
+        const snapshots = await this.list(model);
+        return snapshots.find(snapshot => snapshot.version === version) || null;
+    }
+
+    // data — веса (ArrayBuffer); без них снимок ссылается на скачанную модель
+    async create({ model, version, kind, data = null, info = null, datasetHash = null, epochs = 0, evaluation = null, parentId = null, createdAt = Date.now() }) {
+        const snapshot = {
+            id: `snap_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+            model,
+            version,
+            kind,
+            hasData: Boolean(data),
+            size: data ? data.byteLength : 0,
+            sha256: data ? await this._hash(data) : null,
+            info,
+            datasetHash,
+            epochs,
+            evaluation,
+            parentId,
+            createdAt
+        };
+
+        try {
+            await this.db.transaction(['snapshots', 'snapshotData'], 'readwrite', stores => {
+                stores.snapshots.put(snapshot);
+                if (data) stores.snapshotData.put({ id: snapshot.id, data });
+            });
+        } catch (error) {
+            if (error && error.name === 'QuotaExceededError') {
+                throw new Error('Недостаточно места для снимка модели: удалите старые версии');
+            }
+            throw error;
+        }
+
+        console.log(`🗃️ Снимок ${snapshot.id}: ${model} (${SNAPSHOT_KINDS[kind]})`);
+        return snapshot;
+    }
+
+    async update(id, changes) {
+        const snapshot = await this.get(id);
+        if (!snapshot) return null;
+
+        Object.assign(snapshot, changes);
+        await this.db.put('snapshots', snapshot);
+        return snapshot;
+    }
+
+    // Веса снимка с проверкой контрольной суммы
+    async getData(id) {
+        const [snapshot, record] = await Promise.all([this.get(id), this.db.get('snapshotData', id)]);
+        if (!snapshot || !snapshot.hasData || !record) {
+            throw new Error('Веса снимка не найдены');
+        }
+        if ((await this._hash(record.data)) !== snapshot.sha256) {
+            throw new Error('Снимок модели повреждён');
+        }
+        return record.data;
+    }
+
+    async delete(id) {
+        await this.db.transaction(['snapshots', 'snapshotData'], 'readwrite', stores => {
+            stores.snapshots.delete(id);
+            stores.snapshotData.delete(id);
+        });
+    }
+
+    // Файл снимка: "NSSNAP", версия формата (uint16), длина заголовка (uint32), JSON метаданных, веса.
+    // data передаётся для снимков без своих весов (исходная версия)
+    async exportFile(id, data = null) {
+        const snapshot = await this.get(id);
+        if (!snapshot) {
+            throw new Error('Снимок не найден');
+        }
+
+        const weights = data || await this.getData(id);
+        const header = new TextEncoder().encode(JSON.stringify({
+            ...snapshot,
+            hasData: true,
+            size: weights.byteLength,
+            sha256: snapshot.sha256 || await this._hash(weights)
+        }));
+
+        const prefix = new Uint8Array(SNAPSHOT_FILE_MAGIC.length + 6);
+        prefix.set(new TextEncoder().encode(SNAPSHOT_FILE_MAGIC));
+        const view = new DataView(prefix.buffer);
+        view.setUint16(SNAPSHOT_FILE_MAGIC.length, SNAPSHOT_FILE_VERSION, true);
+        view.setUint32(SNAPSHOT_FILE_MAGIC.length + 2, header.length, true);
+
+        return new Blob([prefix, header, weights], { type: 'application/octet-stream' });
+    }
+
+    // Импорт файла снимка как новой версии; контрольная сумма весов проверяется
+    async importFile(file) {
+        const prefixLength = SNAPSHOT_FILE_MAGIC.length + 6;
+        const prefix = new Uint8Array(await file.slice(0, prefixLength).arrayBuffer());
+        if (prefix.length < prefixLength ||
+            new TextDecoder().decode(prefix.subarray(0, SNAPSHOT_FILE_MAGIC.length)) !== SNAPSHOT_FILE_MAGIC) {
+            throw new Error('Файл не является снимком модели NeuroSputnik');
+        }
+
+        const view = new DataView(prefix.buffer);
+        const formatVersion = view.getUint16(SNAPSHOT_FILE_MAGIC.length, true);
+        if (formatVersion !== SNAPSHOT_FILE_VERSION) {
+            throw new Error(`Версия файла снимка ${formatVersion} не поддерживается`);
+        }
+
+        const headerLength = view.getUint32(SNAPSHOT_FILE_MAGIC.length + 2, true);
+        let meta;
+        try {
+            const header = await file.slice(prefixLength, prefixLength + headerLength).arrayBuffer();
+            meta = JSON.parse(new TextDecoder().decode(header));
+        } catch (error) {
+            throw new Error('Заголовок снимка повреждён');
+        }
+        if (!meta.model || !meta.sha256) {
+            throw new Error('В заголовке снимка нет модели или контрольной суммы');
+        }
+
+        const data = await file.slice(prefixLength + headerLength).arrayBuffer();
+        if (data.byteLength !== meta.size || (await this._hash(data)) !== meta.sha256) {
+            throw new Error('Веса в файле снимка повреждены');
+        }
+
+        return this.create({
+            model: meta.model,
+            version: meta.version,
+            kind: 'imported',
+            data,
+            info: meta.info || null,
+            datasetHash: meta.datasetHash || null,
+            epochs: meta.epochs || 0,
+            evaluation: meta.evaluation || null
+        });
+    }
+
+    // Хэш обучающих примеров: показывает, на каких данных обучена версия
+    static async hashDataset(examples) {
+        const json = JSON.stringify(examples.map(({ input, output, weight }) => [input, output, weight]));
+        return new Sha256().update(new TextEncoder().encode(json)).digest();
+    }
+
+    // Вспомогательные методы
+    async _hash(buffer) {
+        if (self.crypto && crypto.subtle) {
+            const digest = await crypto.subtle.digest('SHA-256', buffer);
+            return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+        }
+        return new Sha256().update(buffer).digest();
+    }
+}
+
+// Экспортируем глобально для использования
+window.SNAPSHOT_KINDS = SNAPSHOT_KINDS;
+window.SnapshotStore = SnapshotStore;
@@ -0,0 +1,90 @@
+// Протокол обмена сообщениями между приложением и воркером AI движка.
+//
+// Страница → воркер:
+//   { type: 'call', id, method, args, stream }  — вызов метода движка
+//   { type: 'abort', id }                       — остановить вызов (генерацию)
+//
+// Воркер → страница:
+//   { type: 'result', id, result, state }       — успешное завершение вызова
+//   { type: 'error', id, error, state }         — ошибка: { name, message }
+//   { type: 'progress', id, data }              — прогресс долгой операции (обучение)
+//   { type: 'token', id, token }                — очередной токен при потоковой генерации
+//
+// state — снимок состояния движка (isInitialized, currentModel, models, memoryUsage),
+// чтобы прокси мог синхронно отвечать на getMemoryUsage() и currentModel.
+const ENGINE_MESSAGES = {
+    CALL: 'call',
+    ABORT: 'abort',
+    RESULT: 'result',
+    ERROR: 'error',
+    PROGRESS: 'progress',
+    TOKEN: 'token'
+};
+
+// Методы движка, доступные через воркер
+const ENGINE_METHODS = [
+    'initialize',
+    'loadModel',
+    'generateResponse',
+    'trainOnData',
+    'countTokens',
+    'unloadModel',
+    'switchModel',
+    'setMemoryLimit',
+    'trainBatch',
+    'exportCheckpoint'
+];
+
+// Собирает список буферов для передачи без копирования (transferable)
+function collectTransferables(value) {
+    if (value instanceof ArrayBuffer) return [value];
+    if (ArrayBuffer.isView(value)) return [value.buffer];
+    if (Array.isArray(value)) return value.flatMap(collectTransferables);
+    return [];
+}
+
+// Общий для движков учёт памяти моделей. models — { имя: { loaded, size, lastUsed } }.
+// Возвращает имена моделей для выгрузки (давно не использованные первыми),
+// чтобы ещё needed байт поместились в limit
+function pickModelsToUnload(models, needed, limit) {
+    if (!limit) return [];
+
+    const loaded = Object.entries(models)
+        .filter(([, model]) => model.loaded)
+        .sort((a, b) => (a[1].lastUsed || 0) - (b[1].lastUsed || 0));
+
+    let used = loaded.reduce((sum, [, model]) => sum + (model.size || 0), 0);
+    const victims = [];
+
+    for (const [name, model] of loaded) {
+        if (used + needed <= limit) break;
+        victims.push(name);
+        used -= model.size || 0;
+    }
+
+    return victims;
+}
+
+// Память по моделям для getMemoryUsage (MB)
+function getModelMemory(models, limit) {
+    const perModel = {};
+    let modelsUsed = 0;
+
+    Object.entries(models).forEach(([name, model]) => {
+        if (!model.loaded) return;
+        perModel[name] = Math.round((model.size || 0) / 1024 / 1024);
+        modelsUsed += model.size || 0;
+    });
+
+    return {
+        models: perModel,
+        modelsUsed: Math.round(modelsUsed / 1024 / 1024),
+        budget: limit ? Math.round(limit / 1024 / 1024) : null
+    };
+}
+
+self.ENGINE_MESSAGES = ENGINE_MESSAGES;
+self.ENGINE_METHODS = ENGINE_METHODS;
+self.collectTransferables = collectTransferables;
+self.pickModelsToUnload = pickModelsToUnload;
+self.getModelMemory = getModelMemory;
@@ -0,0 +1,192 @@
+// Промис-прокси к WASM движку, работающему в Web Worker.
+// Повторяет интерфейс OllamaWebEngine, поэтому app.js не знает, где идут вычисления.
+class OllamaWorkerProxy {
+    constructor(wasmUrl = 'resources/ollama/ollama.wasm') {
+        this.wasmUrl = new URL(wasmUrl, self.location.href).href;
+        this.worker = null;
+        this.nextCallId = 1;
+        this.pendingCalls = new Map(); // id → { resolve, reject, onToken, onProgress, text }
+
+        // Зеркало состояния движка, обновляется после каждого вызова
+        this.isInitialized = false;
+        this.currentModel = null;
+        this.models = {};
+        this.contextLength = null;
+        this.memoryUsage = 0;
+    }
+
+    async initialize() {
+        console.log('🔄 Запускаем AI движок в Web Worker...');
+
+        try {
+            const workerUrl = `ollama-engine/engine-worker.js?wasm=${encodeURIComponent(this.wasmUrl)}`;
+            this.worker = new Worker(workerUrl);
+            this.worker.addEventListener('message', event => this._handleMessage(event.data));
+            this.worker.addEventListener('error', event => this._handleWorkerError(event));
+
+            const ready = await this._call('initialize');
+            if (!ready) this.terminate();
+            return ready;
+
+        } catch (error) {
+            console.error('❌ Ошибка запуска воркера движка:', error);
+            this.terminate();
+            return false;
+        }
+    }
+
+    // modelData (ArrayBuffer) передаётся в воркер без копирования и становится недоступен здесь
+    loadModel(modelName, modelData, modelInfo = null) {
+        return this._call('loadModel', [modelName, modelData, modelInfo]);
+    }
+
+    generateResponse(prompt, options = {}) {
+        const { onToken, signal, ...modelOptions } = options;
+        return this._call('generateResponse', [prompt, modelOptions], { onToken, signal });
+    }
+
+    trainOnData(trainingData, epochs = 1, options = {}) {
+        const { onProgress, ...trainingOptions } = options;
+        return this._call('trainOnData', [trainingData, epochs, trainingOptions], { onProgress });
+    }
+
+    countTokens(text) {
+        return this._call('countTokens', [text]);
+    }
+
+    unloadModel(modelName) {
+        return this._call('unloadModel', [modelName]);
+    }
+
+    switchModel(modelName) {
+        return this._call('switchModel', [modelName]);
+    }
+
+    setMemoryLimit(bytes) {
+        return this._call('setMemoryLimit', [bytes]);
+    }
+
+    trainBatch(examples, options = {}) {
+        return this._call('trainBatch', [examples, options]);
+    }
+
+    // Буфер с весами передаётся из воркера без копирования
+    exportCheckpoint() {
+        return this._call('exportCheckpoint');
+    }
+
+    getMemoryUsage() {
+        return this.memoryUsage;
+    }
+
+    terminate() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+
+        // Модели жили в памяти воркера и пропали вместе с ним
+        this.isInitialized = false;
+        this.currentModel = null;
+        this.models = {};
+        this.contextLength = null;
+        this.memoryUsage = 0;
+    }
+
+    // Вспомогательные методы
+    _call(method, args = [], callbacks = {}) {
+        if (!this.worker) {
+            return Promise.reject(new Error('Воркер движка не запущен'));
+        }
+
+        const { onToken = null, onProgress = null, signal = null } = callbacks;
+
+        if (signal && signal.aborted) {
+            return Promise.reject(this._createAbortError());
+        }
+
+        const id = this.nextCallId++;
+
+        return new Promise((resolve, reject) => {
+            this.pendingCalls.set(id, { resolve, reject, onToken, onProgress, text: '' });
+
+            if (signal) {
+                signal.addEventListener('abort', () => {
+                    this.worker?.postMessage({ type: ENGINE_MESSAGES.ABORT, id });
+                }, { once: true });
+            }
+
+            this.worker.postMessage({
+                type: ENGINE_MESSAGES.CALL,
+                id,
+                method,
+                args,
+                stream: Boolean(onToken)
+            }, collectTransferables(args));
+        });
+    }
+
+    _handleMessage(message) {
+        const call = this.pendingCalls.get(message.id);
+        if (!call) return;
+
+        switch (message.type) {
+            case ENGINE_MESSAGES.TOKEN:
+                call.text += message.token;
+                call.onToken(message.token, call.text);
+                break;
+
+            case ENGINE_MESSAGES.PROGRESS:
+                if (call.onProgress) call.onProgress(message.data);
+                break;
+
+            case ENGINE_MESSAGES.RESULT:
+                this._applyState(message.state);
+                this.pendingCalls.delete(message.id);
+                call.resolve(message.result);
+                break;
+
+            case ENGINE_MESSAGES.ERROR: {
+                this._applyState(message.state);
+                this.pendingCalls.delete(message.id);
+
+                const error = new Error(message.error.message);
+                error.name = message.error.name;
+                call.reject(error);
+                break;
+            }
+        }
+    }
+
+    _handleWorkerError(event) {
+        console.error('❌ Воркер движка упал:', event.message);
+
+        // Без воркера ответов уже не будет — отклоняем все ожидающие вызовы
+        const error = new Error(`Ошибка воркера движка: ${event.message}`);
+        this.pendingCalls.forEach(call => call.reject(error));
+        this.pendingCalls.clear();
+
+        // Упавший воркер не отвечает: останавливаем его, как при неудачном запуске,
+        // чтобы следующие вызовы сразу получали ошибку, а не ждали вечно
+        this.terminate();
+    }
+
+    _applyState(state) {
+        if (!state) return;
+
+        this.isInitialized = state.isInitialized;
+        this.currentModel = state.currentModel;
+        this.models = state.models;
+        this.contextLength = state.contextLength;
+        this.memoryUsage = state.memoryUsage;
+    }
+
+    _createAbortError() {
+        const error = new Error('Генерация остановлена');
+        error.name = 'AbortError';
+        return error;
+    }
+}
+
+// Экспортируем глобально для использования
+window.OllamaWorkerProxy = OllamaWorkerProxy;
@@ -0,0 +1,91 @@
+// Воркер, в котором работает WASM движок, чтобы не блокировать интерфейс
+importScripts('engine-protocol.js', 'ollama-web.js');
+
+const wasmUrl = new URL(self.location.href).searchParams.get('wasm') || undefined;
+const engine = new OllamaWebEngine(wasmUrl);
+const activeCalls = new Map(); // id вызова → AbortController
+
+self.addEventListener('message', async (event) => {
+    const message = event.data;
+
+    if (message.type === ENGINE_MESSAGES.ABORT) {
+        const controller = activeCalls.get(message.id);
+        if (controller) controller.abort();
+        return;
+    }
+
+    if (message.type === ENGINE_MESSAGES.CALL) {
+        await handleCall(message);
+    }
+});
+
+async function handleCall({ id, method, args = [], stream = false }) {
+    if (!ENGINE_METHODS.includes(method)) {
+        postError(id, new Error(`Неизвестный метод движка: ${method}`));
+        return;
+    }
+
+    const controller = new AbortController();
+    activeCalls.set(id, controller);
+
+    try {
+        const callArgs = withCallbacks(id, method, args, controller.signal, stream);
+        const result = await engine[method](...callArgs);
+
+        self.postMessage({
+            type: ENGINE_MESSAGES.RESULT,
+            id,
+            result,
+            state: getEngineState()
+        }, collectTransferables(result));
+
+    } catch (error) {
+        postError(id, error);
+    } finally {
+        activeCalls.delete(id);
+    }
+}
+
+// Функции нельзя передать в воркер, поэтому колбэки создаются здесь
+// и пересылают события обратно на страницу
+function withCallbacks(id, method, args, signal, stream) {
+    if (method === 'generateResponse') {
+        const [prompt, options = {}] = args;
+        return [prompt, {
+            ...options,
+            signal,
+            onToken: stream
+                ? token => self.postMessage({ type: ENGINE_MESSAGES.TOKEN, id, token })
+                : null
+        }];
+    }
+
+    if (method === 'trainOnData') {
+        const [trainingData, epochs, options = {}] = args;
+        return [trainingData, epochs, {
+            ...options,
+            onProgress: data => self.postMessage({ type: ENGINE_MESSAGES.PROGRESS, id, data })
+        }];
+    }
+
+    return args;
+}
+
+function postError(id, error) {
+    self.postMessage({
+        type: ENGINE_MESSAGES.ERROR,
+        id,
+        error: { name: error.name, message: error.message },
+        state: getEngineState()
+    });
+}
+
+function getEngineState() {
+    return {
+        isInitialized: engine.isInitialized,
+        currentModel: engine.currentModel,
+        models: engine.models,
+        contextLength: engine.contextLength,
+        memoryUsage: engine.getMemoryUsage()
+    };
+}
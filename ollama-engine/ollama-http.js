@@ -0,0 +1,320 @@
+// HTTP адаптер для Ollama-совместимого сервера (например, десктопная Ollama в локальной сети)
+class OllamaHttpEngine {
+    constructor(baseUrl = 'http://localhost:11434') {
+        this.baseUrl = baseUrl.replace(/\/+$/, '');
+        this.isInitialized = false;
+        this.isRunning = false;
+        this.currentModel = null;
+        this.models = {};
+        this.contextLength = null; // Окно контекста загруженной модели в токенах
+        this.memoryLimit = null; // Бюджет памяти сервера под модели; null — решает сам Ollama
+        this.requestTimeout = 5000; // Для служебных запросов, не для генерации
+    }
+
+    async initialize() {
+        console.log(`🔄 Подключаемся к Ollama серверу: ${this.baseUrl}`);
+
+        try {
+            await this.refreshModels();
+
+            this.isInitialized = true;
+            console.log(`✅ Ollama сервер доступен, моделей: ${Object.keys(this.models).length}`);
+            return true;
+
+        } catch (error) {
+            console.error('❌ Ollama сервер недоступен:', error);
+            return false;
+        }
+    }
+
+    async refreshModels() {
+        const data = await this._requestJson('/api/tags');
+
+        const previous = this.models;
+        this.models = {};
+        (data.models || []).forEach(model => {
+            const known = previous[model.name] || {};
+            this.models[model.name] = {
+                loaded: Boolean(known.loaded),
+                size: model.size || 0,
+                details: model.details || {},
+                lastUsed: known.lastUsed || 0,
+                contextLength: known.contextLength || null
+            };
+        });
+
+        return this.models;
+    }
+
+    // modelData не нужен: веса лежат на сервере, достаточно имени модели
+    async loadModel(modelName) {
+        if (!this.isInitialized) {
+            throw new Error('Движок не инициализирован');
+        }
+
+        console.log(`📦 Загружаем модель на сервере: ${modelName}`);
+
+        try {
+            if (!this.models[modelName]) {
+                throw new Error(`Модель ${modelName} не найдена на сервере`);
+            }
+
+            // Освобождаем место на сервере, если задан бюджет памяти
+            const victims = pickModelsToUnload(this.models, this.models[modelName].size, this.memoryLimit)
+                .filter(name => name !== modelName);
+            for (const name of victims) {
+                await this.unloadModel(name);
+            }
+
+            // Запрос без промпта заставляет Ollama загрузить модель в память
+            await this._requestJson('/api/generate', {
+                model: modelName,
+                stream: false
+            }, 0);
+
+            const model = this.models[modelName];
+            model.loaded = true;
+            model.contextLength = await this._fetchContextLength(modelName);
+            await this.switchModel(modelName);
+
+            console.log(`✅ Модель ${modelName} загружена`);
+            return true;
+
+        } catch (error) {
+            console.error(`❌ Ошибка загрузки модели ${modelName}:`, error);
+            return false;
+        }
+    }
+
+    async switchModel(modelName) {
+        const model = this.models[modelName];
+        if (!model || !model.loaded) {
+            throw new Error(`Модель ${modelName} не загружена`);
+        }
+
+        model.lastUsed = Date.now();
+        this.currentModel = modelName;
+        this.contextLength = model.contextLength;
+        return true;
+    }
+
+    // keep_alive: 0 просит Ollama сразу освободить память модели
+    async unloadModel(modelName) {
+        const model = this.models[modelName];
+        if (!model || !model.loaded) return false;
+
+        await this._requestJson('/api/generate', { model: modelName, keep_alive: 0 });
+        model.loaded = false;
+
+        if (this.currentModel === modelName) {
+            const next = Object.entries(this.models)
+                .filter(([, other]) => other.loaded)
+                .sort((a, b) => b[1].lastUsed - a[1].lastUsed)[0];
+            this.currentModel = null;
+            this.contextLength = null;
+            if (next) await this.switchModel(next[0]);
+        }
+
+        console.log(`⏏️ Модель ${modelName} выгружена с сервера`);
+        return true;
+    }
+
+    setMemoryLimit(bytes) {
+        this.memoryLimit = bytes;
+        return this.memoryLimit;
+    }
+
+    async generateResponse(prompt, options = {}) {
+        const { onToken } = options;
+        let response = '';
+
+        for await (const token of this.generateStream(prompt, options)) {
+            response += token;
+            if (onToken) onToken(token, response);
+        }
+
+        return response;
+    }
+
+    async *generateStream(prompt, options = {}) {
+        if (!this.currentModel) {
+            throw new Error('Модель не загружена');
+        }
+
+        // raw: промпт уже оформлен шаблоном модели, серверный шаблон не нужен
+        const body = {
+            model: this.currentModel,
+            prompt,
+            raw: Boolean(options.raw),
+            stream: true,
+            options: this._buildModelOptions(options)
+        };
+
+        for await (const chunk of this._streamNdjson('/api/generate', body, options.signal)) {
+            if (chunk.response) yield chunk.response;
+            if (chunk.done) break;
+        }
+    }
+
+    // Диалог в формате сообщений: [{ role: 'user' | 'assistant' | 'system', content }]
+    async chat(messages, options = {}) {
+        if (!this.currentModel) {
+            throw new Error('Модель не загружена');
+        }
+
+        const { onToken } = options;
+        const body = {
+            model: this.currentModel,
+            messages,
+            stream: true,
+            options: this._buildModelOptions(options)
+        };
+
+        let response = '';
+        for await (const chunk of this._streamNdjson('/api/chat', body, options.signal)) {
+            const token = chunk.message ? chunk.message.content : '';
+            if (token) {
+                response += token;
+                if (onToken) onToken(token, response);
+            }
+            if (chunk.done) break;
+        }
+
+        return response;
+    }
+
+    async trainOnData(trainingData) {
+        // Ollama REST API не умеет дообучать модели
+        console.warn(`⚠️ Ollama сервер не поддерживает обучение (${trainingData.length} примеров пропущено)`);
+        return false;
+    }
+
+    async trainBatch() {
+        throw new Error('Ollama сервер не поддерживает обучение');
+    }
+
+    async exportCheckpoint() {
+        throw new Error('Ollama сервер не отдаёт веса модели');
+    }
+
+    getMemoryUsage() {
+        if (!this.isInitialized) return 0;
+
+        // Память занимает сервер, а не устройство — показываем размер загруженных моделей
+        const memory = getModelMemory(this.models, this.memoryLimit);
+        const total = memory.budget || memory.modelsUsed;
+
+        return {
+            used: memory.modelsUsed,
+            total,
+            percentage: total ? Math.round(memory.modelsUsed / total * 100) : 0,
+            ...memory
+        };
+    }
+
+    // Вспомогательные методы
+    _buildModelOptions(options) {
+        const {
+            maxTokens = 500,
+            temperature = 0.7,
+            topP = 0.9,
+            stop = []
+        } = options;
+
+        const modelOptions = {
+            num_predict: maxTokens,
+            temperature,
+            top_p: topP
+        };
+        if (stop.length > 0) modelOptions.stop = stop;
+
+        return modelOptions;
+    }
+
+    // Размер окна контекста из метаданных модели (ключ вида llama.context_length)
+    async _fetchContextLength(modelName) {
+        try {
+            const info = await this._requestJson('/api/show', { model: modelName });
+            const entry = Object.entries(info.model_info || {})
+                .find(([key]) => key.endsWith('.context_length'));
+            return entry ? entry[1] : null;
+        } catch (error) {
+            console.warn('⚠️ Не удалось получить размер контекста модели:', error.message);
+            return null;
+        }
+    }
+
+    async _requestJson(path, body = null, timeout = this.requestTimeout) {
+        const controller = new AbortController();
+        const timer = timeout ? setTimeout(() => controller.abort(), timeout) : null;
+
+        try {
+            const response = await fetch(this.baseUrl + path, {
+                method: body ? 'POST' : 'GET',
+                headers: body ? { 'Content-Type': 'application/json' } : undefined,
+                body: body ? JSON.stringify(body) : undefined,
+                signal: controller.signal
+            });
+
+            if (!response.ok) {
+                throw new Error(`Ollama ответил ${response.status} на ${path}`);
+            }
+
+            return await response.json();
+
+        } finally {
+            if (timer) clearTimeout(timer);
+        }
+    }
+
+    // Читает потоковый ответ Ollama: по одному JSON объекту на строку
+    async *_streamNdjson(path, body, signal) {
+        const response = await fetch(this.baseUrl + path, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+            signal
+        });
+
+        if (!response.ok) {
+            throw new Error(`Ollama ответил ${response.status} на ${path}`);
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        try {
+            while (true) {
+                const { value, done } = await reader.read();
+                if (done) break;
+
+                buffer += decoder.decode(value, { stream: true });
+
+                let newlineIndex;
+                while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+                    const line = buffer.slice(0, newlineIndex).trim();
+                    buffer = buffer.slice(newlineIndex + 1);
+                    if (line) yield this._parseChunk(line);
+                }
+            }
+
+            buffer += decoder.decode();
+            if (buffer.trim()) yield this._parseChunk(buffer.trim());
+
+        } finally {
+            reader.releaseLock();
+        }
+    }
+
+    _parseChunk(line) {
+        const chunk = JSON.parse(line);
+        if (chunk.error) {
+            throw new Error(`Ошибка Ollama: ${chunk.error}`);
+        }
+        return chunk;
+    }
+}
+
+// Экспортируем глобально для использования
+window.OllamaHttpEngine = OllamaHttpEngine;
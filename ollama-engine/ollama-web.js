@@ -1,10 +1,13 @@
 // WebAssembly обертка для Ollama
+// Работает как в основном потоке, так и внутри engine-worker.js
 class OllamaWebEngine {
-    constructor() {
+    constructor(wasmUrl = 'resources/ollama/ollama.wasm') {
+        this.wasmUrl = wasmUrl;
         this.isInitialized = false;
         this.isRunning = false;
         this.currentModel = null;
         this.models = {};
+        this.contextLength = null; // Окно контекста загруженной модели в токенах
         this.memoryLimit = 512 * 1024 * 1024; // 512MB для мобильных устройств
     }
 
@@ -19,7 +22,7 @@ class OllamaWebEngine {
             }
 
             // Инициализируем WASM модуль Ollama
-            const wasmResponse = await fetch('resources/ollama/ollama.wasm');
+            const wasmResponse = await fetch(this.wasmUrl);
             const wasmBytes = await wasmResponse.arrayBuffer();
             const wasmModule = await WebAssembly.instantiate(wasmBytes, {
                 env: {
@@ -40,7 +43,10 @@ class OllamaWebEngine {
         }
     }
 
-    async loadModel(modelName, modelData) {
+    // modelInfo — сводка заголовка GGUF (GGUFParser.summarize), если известна.
+    // Уже загруженные модели остаются в памяти; если новая не помещается в бюджет,
+    // выгружаются давно не использованные (LRU)
+    async loadModel(modelName, modelData, modelInfo = null) {
         if (!this.isInitialized) {
             throw new Error('Движок не инициализирован');
         }
@@ -48,33 +54,30 @@ class OllamaWebEngine {
         console.log(`📦 Загружаем модель: ${modelName}`);
         
         try {
-            // Загружаем модель в память WASM
             const modelBuffer = new Uint8Array(modelData);
-            const modelPtr = this._allocateMemory(modelBuffer.length);
+            if (modelBuffer.length > this.memoryLimit) {
+                throw new Error(`Модель ${modelName} больше бюджета памяти (${Math.round(this.memoryLimit / 1024 / 1024)}MB)`);
+            }
             
-            // Копируем данные модели в WASM память
-            const wasmMemory = new Uint8Array(this.instance.exports.memory.buffer);
-            wasmMemory.set(modelBuffer, modelPtr);
+            // Повторная загрузка заменяет старую копию
+            if (this.models[modelName] && this.models[modelName].loaded) {
+                this.unloadModel(modelName);
+            }
+            this._freeMemoryFor(modelBuffer.length);
             
-            // Инициализируем модель в Ollama
-            const result = this.instance.exports.load_model(
-                modelPtr, 
-                modelBuffer.length,
-                this.memoryLimit
-            );
+            const resident = this._instantiateModel(modelBuffer);
             
-            if (result === 0) {
-                this.currentModel = modelName;
-                this.models[modelName] = {
-                    loaded: true,
-                    size: modelBuffer.length
-                };
-                
-                console.log(`✅ Модель ${modelName} загружена`);
-                return true;
-            } else {
-                throw new Error(`Ошибка загрузки модели: код ${result}`);
-            }
+            this.models[modelName] = {
+                loaded: true,
+                size: modelBuffer.length,
+                info: modelInfo,
+                lastUsed: Date.now(),
+                ...resident
+            };
+            this._activate(modelName);
+            
+            console.log(`✅ Модель ${modelName} загружена`);
+            return true;
             
         } catch (error) {
             console.error(`❌ Ошибка загрузки модели ${modelName}:`, error);
@@ -82,7 +85,65 @@ class OllamaWebEngine {
         }
     }
 
+    // Делает активной уже загруженную модель
+    async switchModel(modelName) {
+        const model = this.models[modelName];
+        if (!model || !model.loaded) {
+            throw new Error(`Модель ${modelName} не загружена`);
+        }
+
+        this._activate(modelName);
+        console.log(`🔀 Активная модель: ${modelName}`);
+        return true;
+    }
+
+    // Освобождает память модели; сведения о ней остаются в models с loaded: false
+    unloadModel(modelName) {
+        const model = this.models[modelName];
+        if (!model || !model.loaded) return false;
+
+        const exports = this.instance.exports;
+        if (model.handle && exports.destroy_model) exports.destroy_model(model.handle);
+        if (model.ptr) {
+            if (exports.unload_model) exports.unload_model();
+            exports.free_memory(model.ptr);
+        }
+
+        this.models[modelName] = { loaded: false, size: model.size, info: model.info, lastUsed: model.lastUsed };
+
+        // Активной становится последняя использованная из оставшихся
+        if (this.currentModel === modelName) {
+            const next = this._loadedModels().sort((a, b) => b[1].lastUsed - a[1].lastUsed)[0];
+            this.currentModel = null;
+            this.contextLength = null;
+            if (next) this._activate(next[0]);
+        }
+
+        console.log(`⏏️ Модель ${modelName} выгружена`);
+        return true;
+    }
+
+    setMemoryLimit(bytes) {
+        this.memoryLimit = bytes;
+        this._freeMemoryFor(0);
+        return this.memoryLimit;
+    }
+
     async generateResponse(prompt, options = {}) {
+        const { onToken } = options;
+        let response = '';
+
+        for await (const token of this.generateStream(prompt, options)) {
+            response += token;
+            if (onToken) onToken(token, response);
+        }
+
+        return response;
+    }
+
+    // Потоковая генерация: отдаёт токены по мере готовности.
+    // options.signal (AbortSignal) позволяет остановить генерацию на середине.
+    async *generateStream(prompt, options = {}) {
         if (!this.currentModel) {
             throw new Error('Модель не загружена');
         }
@@ -90,9 +151,85 @@ class OllamaWebEngine {
         const {
             maxTokens = 500,
             temperature = 0.7,
-            topP = 0.9
+            topP = 0.9,
+            stop = [],
+            signal = null
         } = options;
 
+        this._throwIfAborted(signal);
+
+        const exports = this.instance.exports;
+
+        // Старые сборки WASM умеют только генерировать ответ целиком
+        if (!exports.generate_start) {
+            const text = this._generateWhole(prompt, maxTokens, temperature, topP);
+            const stopIndex = this._findStop(text, stop);
+            yield stopIndex === -1 ? text : text.slice(0, stopIndex);
+            return;
+        }
+
+        console.log('🤖 Генерируем ответ (поток)...');
+
+        const promptBuffer = new TextEncoder().encode(prompt);
+        const promptPtr = this._allocateMemory(promptBuffer.length);
+
+        const wasmMemory = new Uint8Array(exports.memory.buffer);
+        wasmMemory.set(promptBuffer, promptPtr);
+
+        const sessionId = exports.generate_start(
+            promptPtr,
+            promptBuffer.length,
+            maxTokens,
+            temperature,
+            topP
+        );
+
+        if (sessionId === 0) {
+            exports.free_memory(promptPtr);
+            throw new Error('Ошибка генерации ответа');
+        }
+
+        let generated = '';
+
+        try {
+            for (let i = 0; i < maxTokens; i++) {
+                this._throwIfAborted(signal);
+
+                const tokenPtr = exports.generate_next_token(sessionId);
+                if (tokenPtr === 0) break; // Конец генерации
+
+                const token = this._readStringFromMemory(tokenPtr);
+                exports.free_memory(tokenPtr);
+
+                // Стоп-последовательность шаблона (например, <|im_end|>) завершает ответ
+                const previousLength = generated.length;
+                generated += token;
+                const stopIndex = this._findStop(generated, stop);
+                if (stopIndex !== -1) {
+                    if (stopIndex > previousLength) yield token.slice(0, stopIndex - previousLength);
+                    break;
+                }
+
+                yield token;
+
+                // Отдаём управление event loop, чтобы UI успевал перерисоваться
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        } finally {
+            exports.generate_end(sessionId);
+            exports.free_memory(promptPtr);
+        }
+    }
+
+    // Позиция первой стоп-последовательности в тексте или -1
+    _findStop(text, stop) {
+        return stop.reduce((first, sequence) => {
+            const index = text.indexOf(sequence);
+            return index !== -1 && (first === -1 || index < first) ? index : first;
+        }, -1);
+    }
+
+    _generateWhole(prompt, maxTokens, temperature, topP) {
         console.log('🤖 Генерируем ответ...');
 
         try {
@@ -131,12 +268,18 @@ class OllamaWebEngine {
         }
     }
 
-    async trainOnData(trainingData, epochs = 1) {
+    async trainOnData(trainingData, epochs = 1, options = {}) {
         if (!this.currentModel) {
             throw new Error('Модель не загружена');
         }
 
+        const { onProgress = null } = options;
+        const reportProgress = (stage, percent) => {
+            if (onProgress) onProgress({ stage, percent });
+        };
+
         console.log(`🎯 Начинаем обучение на ${trainingData.length} примерах`);
+        reportProgress('prepare', 0);
 
         try {
             const trainingJson = JSON.stringify(trainingData);
@@ -145,6 +288,7 @@ class OllamaWebEngine {
 
             const wasmMemory = new Uint8Array(this.instance.exports.memory.buffer);
             wasmMemory.set(trainingBuffer, trainingPtr);
+            reportProgress('training', 10);
 
             const result = this.instance.exports.train_model(
                 trainingPtr,
@@ -155,6 +299,7 @@ class OllamaWebEngine {
             this.instance.exports.free_memory(trainingPtr);
 
             if (result === 0) {
+                reportProgress('done', 100);
                 console.log('✅ Обучение завершено успешно');
                 return true;
             } else {
@@ -167,7 +312,139 @@ class OllamaWebEngine {
         }
     }
 
+    // Один шаг обучения на батче для TrainingJobManager. Возвращает { loss, accuracy };
+    // сборки без train_batch учатся через train_model и метрик не сообщают (null)
+    async trainBatch(examples, options = {}) {
+        if (!this.currentModel) {
+            throw new Error('Модель не загружена');
+        }
+
+        const { learningRate = 0.0001 } = options;
+        const exports = this.instance.exports;
+        const buffer = new TextEncoder().encode(JSON.stringify(examples));
+        const ptr = this._allocateMemory(buffer.length);
+        new Uint8Array(exports.memory.buffer).set(buffer, ptr);
+
+        try {
+            if (exports.train_batch) {
+                const loss = exports.train_batch(ptr, buffer.length, learningRate);
+                if (!(loss >= 0)) {
+                    throw new Error(`Ошибка обучения: код ${loss}`);
+                }
+                // Доля верно предсказанных токенов на последнем батче
+                const accuracy = exports.get_batch_accuracy ? exports.get_batch_accuracy() : null;
+                return { loss, accuracy };
+            }
+
+            const result = exports.train_model(ptr, buffer.length, 1);
+            if (result !== 0) {
+                throw new Error(`Ошибка обучения: код ${result}`);
+            }
+            return { loss: null, accuracy: null };
+
+        } finally {
+            exports.free_memory(ptr);
+        }
+    }
+
+    // Веса текущей модели для контрольной точки (ArrayBuffer)
+    async exportCheckpoint() {
+        if (!this.currentModel) {
+            throw new Error('Модель не загружена');
+        }
+
+        const exports = this.instance.exports;
+        if (!exports.export_model) {
+            throw new Error('Сборка WASM не умеет экспортировать веса');
+        }
+
+        const modelSize = exports.get_model_size();
+        const modelPtr = exports.export_model();
+        const data = new Uint8Array(exports.memory.buffer).slice(modelPtr, modelPtr + modelSize);
+        exports.free_memory(modelPtr);
+
+        return data.buffer;
+    }
+
     // Вспомогательные методы
+    // Число токенов по токенизатору загруженной модели; null, если сборка WASM этого не умеет
+    async countTokens(text) {
+        const exports = this.instance && this.instance.exports;
+        if (!this.currentModel || !exports.count_tokens) return null;
+
+        const buffer = new TextEncoder().encode(text);
+        const ptr = this._allocateMemory(buffer.length);
+        new Uint8Array(exports.memory.buffer).set(buffer, ptr);
+
+        try {
+            return exports.count_tokens(ptr, buffer.length);
+        } finally {
+            exports.free_memory(ptr);
+        }
+    }
+
+    // Сборки с поддержкой нескольких моделей экспортируют create_model/select_model/destroy_model.
+    // Старые умеют только load_model — в памяти может быть одна модель, буфер держим до выгрузки
+    _instantiateModel(modelBuffer) {
+        const exports = this.instance.exports;
+        if (!exports.create_model) {
+            this._loadedModels().forEach(([name]) => this.unloadModel(name));
+        }
+
+        const modelPtr = this._allocateMemory(modelBuffer.length);
+        new Uint8Array(exports.memory.buffer).set(modelBuffer, modelPtr);
+
+        if (exports.create_model) {
+            const handle = exports.create_model(modelPtr, modelBuffer.length, this.memoryLimit);
+            // Веса скопированы внутрь модели, исходный буфер больше не нужен
+            exports.free_memory(modelPtr);
+            if (handle === 0) throw new Error('Ошибка загрузки модели');
+            return { handle, ptr: null };
+        }
+
+        const result = exports.load_model(modelPtr, modelBuffer.length, this.memoryLimit);
+        if (result !== 0) {
+            exports.free_memory(modelPtr);
+            throw new Error(`Ошибка загрузки модели: код ${result}`);
+        }
+        return { handle: null, ptr: modelPtr };
+    }
+
+    _activate(modelName) {
+        const model = this.models[modelName];
+        const exports = this.instance.exports;
+        if (model.handle && exports.select_model) exports.select_model(model.handle);
+
+        model.lastUsed = Date.now();
+        this.currentModel = modelName;
+
+        // Размер окна контекста сообщает сборка WASM, а если не умеет — берём из метаданных модели
+        this.contextLength = exports.get_context_length
+            ? exports.get_context_length()
+            : (model.info && model.info.contextLength) || null;
+    }
+
+    // Выгружает давно не использованные модели, пока не освободится needed байт
+    _freeMemoryFor(needed) {
+        const victims = pickModelsToUnload(this.models, needed, this.memoryLimit);
+        victims.forEach(name => {
+            console.log(`♻️ Не хватает памяти, выгружаем ${name}`);
+            this.unloadModel(name);
+        });
+    }
+
+    _loadedModels() {
+        return Object.entries(this.models).filter(([, model]) => model.loaded);
+    }
+
+    _throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            const error = new Error('Генерация остановлена');
+            error.name = 'AbortError';
+            throw error;
+        }
+    }
+
     _allocateMemory(size) {
         return this.instance.exports.allocate_memory(size);
     }
@@ -186,6 +463,7 @@ class OllamaWebEngine {
         return new TextDecoder().decode(stringBytes);
     }
 
+    // Память WASM целиком и по моделям (MB) на фоне бюджета memoryLimit
     getMemoryUsage() {
         if (!this.isInitialized) return 0;
         
@@ -195,60 +473,11 @@ class OllamaWebEngine {
         return {
             used: Math.round(used / 1024 / 1024),
             total: Math.round(total / 1024 / 1024),
-            percentage: Math.round((used / total) * 100)
+            percentage: Math.round((used / total) * 100),
+            ...getModelMemory(this.models, this.memoryLimit)
         };
     }
-
-    async saveModel(modelName) {
-        if (!this.currentModel) {
-            throw new Error('Модель не загружена');
-        }
-
-        console.log(`💾 Сохраняем модель: ${modelName}`);
-
-        try {
-            const modelSize = this.instance.exports.get_model_size();
-            const modelPtr = this.instance.exports.export_model();
-            
-            const wasmMemory = new Uint8Array(this.instance.exports.memory.buffer);
-            const modelData = wasmMemory.slice(modelPtr, modelPtr + modelSize);
-            
-            // Сохраняем в IndexedDB
-            await this._saveToIndexedDB(modelName, modelData);
-            
-            this.instance.exports.free_memory(modelPtr);
-            
-            console.log(`✅ Модель ${modelName} сохранена`);
-            return true;
-
-        } catch (error) {
-            console.error('❌ Ошибка сохранения модели:', error);
-            return false;
-        }
-    }
-
-    async _saveToIndexedDB(key, data) {
-        return new Promise((resolve, reject) => {
-            const request = indexedDB.open('NeuroSputnikModels', 1);
-            
-            request.onerror = () => reject(request.error);
-            request.onsuccess = () => {
-                const db = request.result;
-                const transaction = db.transaction(['models'], 'readwrite');
-                const store = transaction.objectStore('models');
-                
-                const putRequest = store.put(data, key);
-                putRequest.onsuccess = () => resolve();
-                putRequest.onerror = () => reject(putRequest.error);
-            };
-            
-            request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-                db.createObjectStore('models');
-            };
-        });
-    }
 }
 
-// Экспортируем глобально для использования
-window.OllamaWebEngine = OllamaWebEngine;
+// Экспортируем глобально для использования (self — это window на странице и global scope в воркере)
+self.OllamaWebEngine = OllamaWebEngine;
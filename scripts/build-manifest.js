@@ -0,0 +1,93 @@
+#!/usr/bin/env node
+// Генерирует build-manifest.js для Service Worker: список файлов приложения с хэшами содержимого.
+// Версия сборки — хэш всего списка, поэтому кэш меняется только когда меняются файлы.
+//
+//   node scripts/build-manifest.js [каталог]   (по умолчанию — корень репозитория)
+//
+// Обязательные файлы (оболочка приложения и скрипты из index.html) должны закэшироваться,
+// иначе установка новой версии прерывается; остальные (игры, иконки) — по возможности.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const ROOT = path.resolve(process.argv[2] || path.join(__dirname, '..'));
+const OUTPUT = path.join(ROOT, 'build-manifest.js');
+
+// Что входит в сборку: файлы и каталоги от корня
+const INCLUDE = [
+    'index.html', 'app.js', 'manifest.json',
+    'chat', 'storage', 'learning', 'models', 'sync', 'knowledge', 'ollama-engine', 'games', 'resources'
+];
+const EXTENSIONS = ['.html', '.js', '.json', '.css', '.png', '.svg', '.ico', '.webp'];
+
+// Скрипты, которые загружаются не из index.html, но без них приложение не работает
+const EXTRA_REQUIRED = ['/manifest.json', '/ollama-engine/engine-worker.js'];
+
+function walk(relativePath) {
+    const fullPath = path.join(ROOT, relativePath);
+    if (!fs.existsSync(fullPath)) {
+        console.warn(`⚠️ Пропускаем отсутствующий путь: ${relativePath}`);
+        return [];
+    }
+
+    if (fs.statSync(fullPath).isDirectory()) {
+        return fs.readdirSync(fullPath)
+            .sort()
+            .flatMap(name => walk(path.join(relativePath, name)));
+    }
+
+    return EXTENSIONS.includes(path.extname(relativePath)) ? [relativePath] : [];
+}
+
+function hashFile(relativePath) {
+    return crypto.createHash('sha256').update(fs.readFileSync(path.join(ROOT, relativePath))).digest('hex');
+}
+
+// Скрипты, подключённые в index.html
+function getPageScripts() {
+    const html = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    return [...html.matchAll(/<script[^>]+src="([^"]+)"/g)]
+        .map(match => match[1])
+        .filter(src => !/^[a-z]+:\/\//i.test(src))
+        .map(src => '/' + src.replace(/^\.?\//, ''));
+}
+
+function buildManifest() {
+    const required = new Set(['/', '/index.html', ...EXTRA_REQUIRED, ...getPageScripts()]);
+    const files = INCLUDE.flatMap(walk);
+
+    const assets = files.map(file => ({
+        url: '/' + file.split(path.sep).join('/'),
+        hash: hashFile(file)
+    }));
+
+    // Корень отдаёт index.html
+    const index = assets.find(asset => asset.url === '/index.html');
+    assets.unshift({ url: '/', hash: index.hash });
+
+    assets.forEach(asset => {
+        asset.optional = !required.has(asset.url);
+    });
+
+    const missing = [...required].filter(url => !assets.some(asset => asset.url === url));
+    if (missing.length > 0) {
+        throw new Error(`Обязательные файлы не найдены: ${missing.join(', ')}`);
+    }
+
+    const version = crypto.createHash('sha256')
+        .update(assets.map(asset => `${asset.url} ${asset.hash}`).join('\n'))
+        .digest('hex')
+        .slice(0, 12);
+
+    return { version, generatedAt: new Date().toISOString(), assets };
+}
+
+const manifest = buildManifest();
+fs.writeFileSync(OUTPUT, [
+    '// Сгенерировано scripts/build-manifest.js — не редактируйте вручную',
+    `self.BUILD_MANIFEST = ${JSON.stringify(manifest, null, 2)};`,
+    ''
+].join('\n'));
+
+const optional = manifest.assets.filter(asset => asset.optional).length;
+console.log(`📦 build-manifest.js: версия ${manifest.version}, ${manifest.assets.length} файлов (${optional} необязательных)`);
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+// Заполняет sha256 и size в models/catalog.json: без контрольной суммы ModelManager модель не скачает.
+// Для файлов с Hugging Face хэш берётся из API репозитория (у LFS-файлов oid — это SHA-256),
+// поэтому гигабайты качать не нужно. Для остальных адресов файл скачивается и хэшируется потоком.
+//
+//   node scripts/catalog-hashes.js [--all] [--download] [путь к catalog.json]
+//
+//   --all       — пересчитать и уже заполненные суммы (по умолчанию только пустые)
+//   --download  — всегда скачивать файл целиком, не доверяя API
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const args = process.argv.slice(2);
+const ALL = args.includes('--all');
+const DOWNLOAD = args.includes('--download');
+const CATALOG = path.resolve(args.find(arg => !arg.startsWith('--')) || path.join(__dirname, '..', 'models', 'catalog.json'));
+
+// https://huggingface.co/<владелец>/<репозиторий>/resolve/<ветка>/<путь>
+const HF_PATTERN = /^https:\/\/huggingface\.co\/([^/]+\/[^/]+)\/resolve\/([^/]+)\/(.+)$/;
+
+async function fromHuggingFace(url) {
+    const match = url.match(HF_PATTERN);
+    if (!match) return null;
+
+    const [, repo, revision, filePath] = match;
+    const directory = path.posix.dirname(filePath);
+    const apiUrl = `https://huggingface.co/api/models/${repo}/tree/${revision}` +
+        (directory === '.' ? '' : `/${directory}`);
+
+    const response = await fetch(apiUrl);
+    if (!response.ok) {
+        throw new Error(`API Hugging Face ответил ${response.status} для ${repo}`);
+    }
+
+    const file = (await response.json()).find(item => item.path === decodeURIComponent(filePath));
+    if (!file || !file.lfs) {
+        throw new Error(`Файл ${filePath} не найден в ${repo} или хранится не в LFS`);
+    }
+    return { sha256: file.lfs.oid, size: file.lfs.size };
+}
+
+async function fromDownload(url) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Сервер ответил ${response.status} для ${url}`);
+    }
+
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    let lastReport = 0;
+    for await (const chunk of response.body) {
+        hash.update(chunk);
+        size += chunk.length;
+        if (size - lastReport >= 100 * 1024 * 1024) {
+            lastReport = size;
+            console.log(`   … ${Math.round(size / 1024 / 1024)} МБ`);
+        }
+    }
+    return { sha256: hash.digest('hex'), size };
+}
+
+async function main() {
+    const catalog = JSON.parse(fs.readFileSync(CATALOG, 'utf8'));
+    let changed = 0;
+    let failed = 0;
+
+    for (const entry of catalog.models || []) {
+        if (!ALL && /^[0-9a-f]{64}$/i.test(entry.sha256 || '')) continue;
+
+        console.log(`🔎 ${entry.name}`);
+        try {
+            const result = (!DOWNLOAD && await fromHuggingFace(entry.url)) || await fromDownload(entry.url);
+
+            if (entry.size && entry.size !== result.size) {
+                console.warn(`⚠️ Размер в каталоге ${entry.size}, на сервере ${result.size} — обновляем`);
+            }
+            entry.sha256 = result.sha256.toLowerCase();
+            entry.size = result.size;
+            changed++;
+            console.log(`✅ ${entry.sha256}`);
+        } catch (error) {
+            failed++;
+            console.error(`❌ ${entry.name}: ${error.message}`);
+        }
+    }
+
+    if (changed > 0) {
+        fs.writeFileSync(CATALOG, JSON.stringify(catalog, null, 2) + '\n');
+        console.log(`💾 Обновлено записей: ${changed}`);
+    } else {
+        console.log('Нечего обновлять');
+    }
+    if (failed > 0) process.exitCode = 1;
+}
+
+main().catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+});
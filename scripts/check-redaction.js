@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+// Проверка правил удаления личных данных (learning/pii-redactor.js) на наборе примеров.
+// Редактор работает до записи в датасет, поэтому ложное срабатывание портит текст навсегда —
+// сюда добавляются и настоящие данные, и обычные фразы, которые трогать нельзя.
+//
+//   node scripts/check-redaction.js
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = vm.createContext({ window: {} });
+vm.runInContext(fs.readFileSync(path.join(__dirname, '..', 'learning', 'pii-redactor.js'), 'utf8'), context);
+const redactor = new context.window.PiiRedactor();
+
+// [исходный текст, ожидаемый результат]
+const CASES = [
+    // Обычный текст не меняется
+    ['Найди площадь треугольника со сторонами 3 и 4', 'Найди площадь треугольника со сторонами 3 и 4'],
+    ['Эта улица была пустой', 'Эта улица была пустой'],
+    ['Кошки, собаки и пр. животные', 'Кошки, собаки и пр. животные'],
+    ['Квартира пл. 25 кв. м', 'Квартира пл. 25 кв. м'],
+    ['Площадь круга равна пи эр квадрат', 'Площадь круга равна пи эр квадрат'],
+    ['Переулок был узким, а проспект широким', 'Переулок был узким, а проспект широким'],
+    ['Счёт +55 37 12 34 в пользу хозяев', 'Счёт +55 37 12 34 в пользу хозяев'],
+    ['Ответ: 8 900 123', 'Ответ: 8 900 123'],
+
+    // Личные данные заменяются метками
+    ['Живу на ул. Ленина, д. 5, кв. 12', 'Живу на [ADDRESS]'],
+    ['Офис: улица 8 Марта 14', 'Офис: [ADDRESS]'],
+    ['Встречаемся на пл. Революции', 'Встречаемся на [ADDRESS]'],
+    ['Адрес: Невский пр. 28', 'Адрес: Невский пр. 28'],
+    ['Адрес: пр. Мира 28', 'Адрес: [ADDRESS]'],
+    ['Звони +7 (900) 123-45-67', 'Звони [PHONE]'],
+    ['Звони 8 900 123 45 67', 'Звони [PHONE]'],
+    ['Номер в Бразилии +55 11 9876 5432', 'Номер в Бразилии [PHONE]'],
+    ['Пиши на ivan.petrov@mail.ru', 'Пиши на [EMAIL]'],
+    ['Карта 4111 1111 1111 1111', 'Карта [CARD]']
+];
+
+let failed = 0;
+CASES.forEach(([input, expected]) => {
+    const actual = redactor.redactText(input);
+    if (actual === expected) return;
+
+    failed++;
+    console.error(`❌ «${input}»\n   ожидалось: «${expected}»\n   получено:  «${actual}»`);
+});
+
+if (failed > 0) {
+    console.error(`❌ Не совпало: ${failed} из ${CASES.length}`);
+    process.exitCode = 1;
+} else {
+    console.log(`✅ Все примеры совпали: ${CASES.length}`);
+}
@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+// Простой сервер для приёма датасета с телефонов (отправка на сервер во вкладке «Обучение»).
+// Записи дописываются в JSONL файл; повторно присланные записи (тот же key) пропускаются.
+//
+//   node scripts/sync-server.js [порт] [файл]   (по умолчанию 8787 и dataset-upload.jsonl)
+//
+// Адрес для приложения: http://<ip компьютера>:<порт>/upload
+// SYNC_TOKEN=... — требовать заголовок Authorization: Bearer ...
+// SYNC_FAIL_RATE=0.5 — отвечать ошибкой на часть запросов, чтобы проверить повторы
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const PORT = Number(process.argv[2]) || 8787;
+const OUTPUT = path.resolve(process.argv[3] || 'dataset-upload.jsonl');
+const TOKEN = process.env.SYNC_TOKEN || '';
+const FAIL_RATE = Number(process.env.SYNC_FAIL_RATE) || 0;
+const MAX_BODY = 10 * 1024 * 1024;
+
+// Ключи уже принятых записей — из прошлых запусков тоже
+const seen = new Set();
+if (fs.existsSync(OUTPUT)) {
+    fs.readFileSync(OUTPUT, 'utf8').split('\n').filter(Boolean).forEach(line => {
+        try {
+            seen.add(JSON.parse(line).key);
+        } catch (error) {
+            console.warn('⚠️ Пропускаем повреждённую строку в', OUTPUT);
+        }
+    });
+}
+
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        // Приложение открыто с другого адреса, поэтому нужен CORS
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Headers': 'Content-Type, Authorization, Idempotency-Key',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS'
+    });
+    res.end(body ? JSON.stringify(body) : '');
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY) {
+                reject(new Error('Слишком большой запрос'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') return send(res, 204);
+    if (req.method !== 'POST' || req.url !== '/upload') return send(res, 404, { error: 'Not found' });
+
+    if (TOKEN && req.headers.authorization !== `Bearer ${TOKEN}`) {
+        return send(res, 401, { error: 'Unauthorized' });
+    }
+    if (Math.random() < FAIL_RATE) {
+        return send(res, 503, { error: 'Simulated failure' });
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(await readBody(req));
+    } catch (error) {
+        return send(res, 400, { error: error.message });
+    }
+    if (!payload || typeof payload !== 'object' || !Array.isArray(payload.items)) {
+        return send(res, 400, { error: 'items must be an array' });
+    }
+
+    const fresh = payload.items.filter(item => item && item.key && !seen.has(item.key));
+    if (fresh.length > 0) {
+        const receivedAt = new Date().toISOString();
+        fs.appendFileSync(OUTPUT, fresh
+            .map(item => JSON.stringify({ ...item, deviceId: payload.deviceId, receivedAt }) + '\n')
+            .join(''));
+        fresh.forEach(item => seen.add(item.key));
+    }
+
+    console.log(`📥 ${payload.deviceId}: ${fresh.length} новых из ${payload.items.length} (пачка ${req.headers['idempotency-key'] || '—'})`);
+    send(res, 200, { accepted: fresh.length, duplicates: payload.items.length - fresh.length });
+});
+
+server.listen(PORT, () => {
+    console.log(`☁️ Приём датасета: http://localhost:${PORT}/upload → ${OUTPUT}`);
+});
@@ -0,0 +1,132 @@
+// Небольшая промис-обёртка над IndexedDB, общая для всех хранилищ приложения.
+// Работает на странице, в воркерах и в Service Worker.
+class IndexedDBStore {
+    // upgrade(db, oldVersion, transaction) вызывается при создании и обновлении схемы
+    constructor(dbName, version, upgrade) {
+        this.dbName = dbName;
+        this.version = version;
+        this.upgrade = upgrade;
+        this.dbPromise = null;
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.version);
+
+                request.onerror = () => reject(request.error);
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Другая вкладка обновляет схему — отпускаем базу
+                    db.onversionchange = () => {
+                        db.close();
+                        this.dbPromise = null;
+                    };
+                    resolve(db);
+                };
+
+                request.onupgradeneeded = (event) => {
+                    this.upgrade(request.result, event.oldVersion, request.transaction);
+                };
+            });
+
+            this.dbPromise.catch(() => { this.dbPromise = null; });
+        }
+
+        return this.dbPromise;
+    }
+
+    async get(storeName, key) {
+        return this._request(storeName, 'readonly', store => store.get(key));
+    }
+
+    async getAll(storeName, indexName = null, query = null) {
+        return this._request(storeName, 'readonly', store => {
+            const source = indexName ? store.index(indexName) : store;
+            return source.getAll(query);
+        });
+    }
+
+    async put(storeName, value, key) {
+        return this._request(storeName, 'readwrite', store => store.put(value, key));
+    }
+
+    async add(storeName, value, key) {
+        return this._request(storeName, 'readwrite', store => store.add(value, key));
+    }
+
+    async delete(storeName, key) {
+        return this._request(storeName, 'readwrite', store => store.delete(key));
+    }
+
+    async clear(storeName) {
+        return this._request(storeName, 'readwrite', store => store.clear());
+    }
+
+    async count(storeName, indexName = null, query = null) {
+        return this._request(storeName, 'readonly', store => {
+            const source = indexName ? store.index(indexName) : store;
+            return source.count(query);
+        });
+    }
+
+    // Несколько операций в одной транзакции: callback получает объект с хранилищами
+    // и может вернуть значение, которым разрешится промис после commit
+    async transaction(storeNames, mode, callback) {
+        const db = await this.open();
+        const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(names, mode);
+            const stores = {};
+            names.forEach(name => { stores[name] = transaction.objectStore(name); });
+
+            let result;
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Транзакция прервана'));
+
+            try {
+                result = callback(stores, transaction);
+            } catch (error) {
+                transaction.abort();
+                reject(error);
+            }
+        });
+    }
+
+    // Обход записей курсором; onRecord(value, cursor) может вернуть false, чтобы остановиться
+    async iterate(storeName, indexName, query, direction, onRecord, mode = 'readonly') {
+        return this.transaction(storeName, mode, stores => {
+            const store = stores[storeName];
+            const source = indexName ? store.index(indexName) : store;
+            const request = source.openCursor(query, direction);
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                if (onRecord(cursor.value, cursor) === false) return;
+                cursor.continue();
+            };
+        });
+    }
+
+    close() {
+        if (this.dbPromise) {
+            this.dbPromise.then(db => db.close()).catch(() => {});
+            this.dbPromise = null;
+        }
+    }
+
+    async _request(storeName, mode, createRequest) {
+        let result;
+        await this.transaction(storeName, mode, stores => {
+            const request = createRequest(stores[storeName]);
+            request.onsuccess = () => { result = request.result; };
+        });
+        return result;
+    }
+}
+
+// Экспортируем глобально (self — это window на странице и global scope в воркерах)
+self.IndexedDBStore = IndexedDBStore;
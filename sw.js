@@ -1,44 +1,134 @@
-const CACHE_NAME = 'neuro-sputnik-v1.0.0';
-const RUNTIME_CACHE = 'runtime-cache';
-
-// Файлы для кэширования при установке
-const PRECACHE_URLS = [
-    '/',
-    '/index.html',
-    '/manifest.json',
-    '/ollama-engine/ollama-web.js',
-    '/ollama-engine/engine.js',
-    '/games/memory-game.html',
-    '/games/quiz-game.html',
-    '/games/coding-game.html',
-    '/learning/dataset-builder.js',
-    '/learning/model-trainer.js',
-    '/resources/models/tiny-llama.json',
-    '/resources/icons/icon-192.png',
-    '/resources/icons/icon-512.png'
-];
-
-// Установка Service Worker
+// Список файлов приложения с хэшами генерирует scripts/build-manifest.js при сборке.
+// Без него (запуск из исходников) кэшируется только оболочка, а запросы идут сначала в сеть.
+try {
+    importScripts('/build-manifest.js');
+} catch (error) {
+    console.warn('⚠️ build-manifest.js не найден, работаем без сборки');
+}
+
+// Очередь отправки датасета на свой сервер (общая со страницей)
+importScripts('/storage/indexed-db.js', '/sync/outbox.js');
+
+const FALLBACK_MANIFEST = {
+    version: 'dev',
+    assets: ['/', '/index.html', '/app.js', '/manifest.json'].map(url => ({ url, hash: null, optional: false }))
+};
+
+const BUILD_MANIFEST = self.BUILD_MANIFEST || FALLBACK_MANIFEST;
+const IS_DEV_BUILD = !self.BUILD_MANIFEST;
+const CACHE_PREFIX = 'neuro-sputnik-';
+const CACHE_NAME = `${CACHE_PREFIX}${BUILD_MANIFEST.version}`;
+const RUNTIME_CACHE = `${CACHE_PREFIX}runtime-${BUILD_MANIFEST.version}`;
+// Служебная запись в кэше версии: манифест, по которому он собран
+const MANIFEST_KEY = '/__build-manifest__';
+
+// Модели и wasm (сотни мегабайт) живут в отдельном кэше, общем для всех версий приложения
+const LARGE_FILE_CACHE = `${CACHE_PREFIX}large-files`;
+const MAX_RUNTIME_ENTRIES = 100;
+const MAX_RUNTIME_ENTRY_SIZE = 5 * 1024 * 1024; // Больше — не кэшируем в runtime
+const STORAGE_USAGE_LIMIT = 0.8; // Доля квоты, которую готовы занять кэшами
+
+// Установка: обязательные файлы должны закэшироваться, иначе новая версия не установится.
+// Активируется она только по сообщению SKIP_WAITING со страницы — когда пользователь согласится обновиться
 self.addEventListener('install', event => {
-    console.log('🛠️ Service Worker устанавливается...');
-    event.waitUntil(
-        caches.open(CACHE_NAME)
-            .then(cache => {
-                console.log('📦 Кэшируем файлы приложения');
-                return cache.addAll(PRECACHE_URLS);
-            })
-            .then(() => self.skipWaiting())
-    );
+    console.log(`🛠️ Service Worker ${BUILD_MANIFEST.version} устанавливается...`);
+    event.waitUntil(precache());
+});
+
+self.addEventListener('message', event => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        console.log('⏭️ Активируем новую версию по запросу страницы');
+        self.skipWaiting();
+    }
 });
 
-// Активация Service Worker
+async function precache() {
+    const cache = await caches.open(CACHE_NAME);
+    const previous = await findPreviousCache();
+
+    const results = await Promise.allSettled(
+        BUILD_MANIFEST.assets.map(asset => cacheAsset(cache, asset, previous))
+    );
+
+    const failed = [];
+    results.forEach((result, index) => {
+        if (result.status === 'fulfilled') return;
+
+        const asset = BUILD_MANIFEST.assets[index];
+        failed.push(asset);
+        console.warn(`⚠️ Не закэширован ${asset.optional ? 'необязательный' : 'обязательный'} файл ${asset.url}:`, result.reason.message);
+    });
+
+    const requiredFailed = failed.filter(asset => !asset.optional);
+    if (requiredFailed.length > 0) {
+        // Недособранный кэш не нужен: следующая попытка установки начнёт заново
+        await caches.delete(CACHE_NAME);
+        throw new Error(`Не удалось закэшировать: ${requiredFailed.map(asset => asset.url).join(', ')}`);
+    }
+
+    await cache.put(MANIFEST_KEY, new Response(JSON.stringify(BUILD_MANIFEST), {
+        headers: { 'Content-Type': 'application/json' }
+    }));
+    console.log(`📦 Закэшировано ${BUILD_MANIFEST.assets.length - failed.length} из ${BUILD_MANIFEST.assets.length} файлов`);
+}
+
+// Кэш предыдущей версии и его манифест: неизменившиеся файлы копируются без сети
+async function findPreviousCache() {
+    const names = (await caches.keys()).filter(name =>
+        name.startsWith(CACHE_PREFIX) && !name.startsWith(`${CACHE_PREFIX}runtime-`) && name !== CACHE_NAME
+    );
+
+    for (const name of names.reverse()) {
+        const cache = await caches.open(name);
+        const response = await cache.match(MANIFEST_KEY);
+        if (!response) continue;
+
+        const manifest = await response.json();
+        return { cache, hashes: new Map(manifest.assets.map(asset => [asset.url, asset.hash])) };
+    }
+
+    return null;
+}
+
+async function cacheAsset(cache, asset, previous) {
+    if (asset.hash && previous && previous.hashes.get(asset.url) === asset.hash) {
+        const cached = await previous.cache.match(asset.url);
+        if (cached) {
+            await cache.put(asset.url, cached);
+            return;
+        }
+    }
+
+    // cache: 'reload' — мимо HTTP кэша браузера, иначе можно получить старую версию файла
+    const response = await fetch(new Request(asset.url, { cache: 'reload' }));
+    if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+    }
+
+    // Сервер может отдать другой файл (недовыложенная сборка) — такой кэш хуже, чем никакого
+    if (asset.hash) {
+        const hash = await sha256Hex(await response.clone().arrayBuffer());
+        if (hash !== asset.hash) {
+            throw new Error('содержимое не совпадает с манифестом сборки');
+        }
+    }
+
+    await cache.put(asset.url, response);
+}
+
+async function sha256Hex(buffer) {
+    const digest = await crypto.subtle.digest('SHA-256', buffer);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+// Активация: удаляем кэши прошлых версий
 self.addEventListener('activate', event => {
-    console.log('🚀 Service Worker активирован');
+    console.log(`🚀 Service Worker ${BUILD_MANIFEST.version} активирован`);
     event.waitUntil(
         caches.keys().then(cacheNames => {
             return Promise.all(
                 cacheNames.map(cacheName => {
-                    if (cacheName !== CACHE_NAME && cacheName !== RUNTIME_CACHE) {
+                    if (isObsoleteCache(cacheName)) {
                         console.log('🗑️ Удаляем старый кэш:', cacheName);
                         return caches.delete(cacheName);
                     }
@@ -48,6 +138,13 @@ self.addEventListener('activate', event => {
     );
 });
 
+function isObsoleteCache(cacheName) {
+    // runtime-cache — общий кэш версий до появления манифеста сборки
+    if (cacheName === 'runtime-cache') return true;
+    return cacheName.startsWith(CACHE_PREFIX) &&
+        ![CACHE_NAME, RUNTIME_CACHE, LARGE_FILE_CACHE].includes(cacheName);
+}
+
 // Перехват запросов
 self.addEventListener('fetch', event => {
     // Пропускаем неподдерживаемые схемы
@@ -55,47 +152,269 @@ self.addEventListener('fetch', event => {
         return;
     }
 
-    event.respondWith(
-        caches.match(event.request)
-            .then(cachedResponse => {
-                // Возвращаем кэшированный response если есть
-                if (cachedResponse) {
-                    return cachedResponse;
-                }
-
-                // Иначе делаем сетевой запрос
-                return caches.open(RUNTIME_CACHE).then(cache => {
-                    return fetch(event.request).then(response => {
-                        // Кэшируем только успешные запросы
-                        if (response.status === 200) {
-                            cache.put(event.request, response.clone());
-                        }
-                        return response;
-                    }).catch(error => {
-                        // Fallback для ошибок сети
-                        console.log('🌐 Ошибка сети, используем кэш:', error);
-                        return new Response(JSON.stringify({
-                            error: 'Оффлайн режим',
-                            message: 'Приложение работает без интернета'
-                        }), {
-                            headers: { 'Content-Type': 'application/json' }
-                        });
-                    });
-                });
+    // POST запросы и внешние серверы (например, Ollama в локальной сети) не кэшируются
+    if (event.request.method !== 'GET' || new URL(event.request.url).origin !== self.location.origin) {
+        return;
+    }
+
+    if (isLargeFile(new URL(event.request.url))) {
+        event.respondWith(handleLargeFile(event));
+        return;
+    }
+
+    event.respondWith(IS_DEV_BUILD ? networkFirst(event) : cacheFirst(event));
+});
+
+// Файлы сборки — из кэша версии (воркер движка запрашивается с параметром ?wasm=)
+async function cacheFirst(event) {
+    const request = event.request;
+    const cache = await caches.open(CACHE_NAME);
+    const cachedResponse = await cache.match(request, { ignoreSearch: true }) ||
+        await caches.open(RUNTIME_CACHE).then(runtime => runtime.match(request));
+    if (cachedResponse) {
+        return cachedResponse;
+    }
+
+    try {
+        const response = await fetch(request);
+        // Кэшируем только успешные запросы
+        if (response.status === 200) {
+            event.waitUntil(putRuntime(request, response.clone()));
+        }
+        return response;
+    } catch (error) {
+        return networkErrorResponse(request, error);
+    }
+}
+
+// Без сборки версии файлов не отслеживаются, поэтому кэш — только на случай отсутствия сети
+async function networkFirst(event) {
+    const request = event.request;
+    try {
+        const response = await fetch(request);
+        if (response.status === 200) {
+            event.waitUntil(putRuntime(request, response.clone()));
+        }
+        return response;
+    } catch (error) {
+        const cachedResponse = await caches.match(request, { ignoreSearch: true });
+        return cachedResponse || networkErrorResponse(request, error);
+    }
+}
+
+// Runtime кэш ограничен числом записей и свободным местом; крупные ответы в него не попадают
+async function putRuntime(request, response) {
+    const size = Number(response.headers.get('Content-Length')) || 0;
+    if (size > MAX_RUNTIME_ENTRY_SIZE) return;
+
+    const runtime = await caches.open(RUNTIME_CACHE);
+    try {
+        await trimRuntimeCache(size);
+        await runtime.put(request, response);
+    } catch (error) {
+        console.warn('⚠️ Не удалось закэшировать', request.url, error.message);
+    }
+}
+
+// Удаляет самые старые записи (keys() отдаёт их в порядке добавления),
+// пока записей больше лимита или для neededBytes не хватает места
+async function trimRuntimeCache(neededBytes = 0) {
+    const runtime = await caches.open(RUNTIME_CACHE);
+    const keys = await runtime.keys();
+    let excess = keys.length + 1 - MAX_RUNTIME_ENTRIES;
+    let index = 0;
+
+    while (index < keys.length && (excess > 0 || !(await hasSpaceFor(neededBytes)))) {
+        await runtime.delete(keys[index++]);
+        excess--;
+    }
+
+    if (index > 0) {
+        console.log(`🧹 Из runtime кэша удалено записей: ${index}`);
+    }
+}
+
+async function hasSpaceFor(bytes) {
+    if (!self.navigator.storage || !navigator.storage.estimate) return true;
+
+    const { usage, quota } = await navigator.storage.estimate();
+    return usage + bytes <= quota * STORAGE_USAGE_LIMIT;
+}
+
+// Большие файлы: модели в /resources/models/ и wasm движка
+function isLargeFile(url) {
+    return url.pathname.startsWith('/resources/models/') || /\.(wasm|gguf)$/.test(url.pathname);
+}
+
+// Целиком скачанный файл кэшируется потоком; запросы с Range отдаются из кэша как 206
+async function handleLargeFile(event) {
+    const request = event.request;
+    const range = request.headers.get('Range');
+    const cache = await caches.open(LARGE_FILE_CACHE);
+    const cachedResponse = await cache.match(request.url);
+
+    if (cachedResponse && matchesIfRange(request, cachedResponse)) {
+        event.waitUntil(revalidateLargeFile(cache, request.url, cachedResponse));
+        return range ? rangeResponse(cachedResponse, range) : cachedResponse;
+    }
+
+    let response;
+    try {
+        response = await fetch(request);
+    } catch (error) {
+        console.log('🌐 Ошибка сети, большого файла нет в кэше:', request.url);
+        return errorResponse(503, 'Файл недоступен: нет сети, и он ещё не сохранён на устройстве');
+    }
+
+    // Частичные и неуспешные ответы отдаём как есть — в кэш попадает только файл целиком
+    if (!range && response.status === 200 && response.body) {
+        return cacheStreaming(event, cache, request.url, response);
+    }
+    return response;
+}
+
+// If-Range: кэш подходит, только если валидатор совпадает с сохранённым
+function matchesIfRange(request, cachedResponse) {
+    const ifRange = request.headers.get('If-Range');
+    if (!ifRange) return true;
+    return ifRange === cachedResponse.headers.get('ETag') || ifRange === cachedResponse.headers.get('Last-Modified');
+}
+
+// Ответ делится на два потока: один сразу уходит странице, другой пишется в кэш.
+// Тело целиком в памяти не собирается
+async function cacheStreaming(event, cache, url, response) {
+    const size = Number(response.headers.get('Content-Length')) || 0;
+    if (!(await hasSpaceFor(size))) {
+        await trimRuntimeCache(size);
+        if (!(await hasSpaceFor(size))) {
+            console.warn(`⚠️ Недостаточно места, ${url} не будет сохранён (${Math.round(size / 1024 / 1024)}MB)`);
+            return response;
+        }
+    }
+
+    const [pageBody, cacheBody] = response.body.tee();
+    const init = { status: response.status, statusText: response.statusText, headers: response.headers };
+
+    event.waitUntil(
+        cache.put(url, new Response(cacheBody, init))
+            .then(() => console.log('💾 Большой файл сохранён:', url))
+            .catch(error => {
+                // Оборванная загрузка или переполнение квоты — неполная запись не нужна
+                console.warn('⚠️ Большой файл не сохранён:', url, error.message);
+                return cache.delete(url);
             })
     );
-});
 
-// Фоновая синхронизация данных обучения
+    return new Response(pageBody, init);
+}
+
+// Файл под тем же адресом мог обновиться: при смене ETag удаляем копию, следующий запрос скачает новую
+async function revalidateLargeFile(cache, url, cachedResponse) {
+    const etag = cachedResponse.headers.get('ETag');
+    if (!etag) return;
+
+    try {
+        const response = await fetch(url, { method: 'HEAD', cache: 'no-store' });
+        const currentEtag = response.ok ? response.headers.get('ETag') : null;
+        if (currentEtag && currentEtag !== etag) {
+            console.log('🔄 Большой файл обновился на сервере:', url);
+            await cache.delete(url);
+        }
+    } catch (error) {
+        // Оффлайн — работаем с сохранённой копией
+    }
+}
+
+// 206 из сохранённого ответа. Blob из Cache Storage читается с диска по мере надобности
+async function rangeResponse(cachedResponse, header) {
+    const blob = await cachedResponse.clone().blob();
+    const range = parseRange(header, blob.size);
+
+    // Несколько диапазонов не поддерживаем — по стандарту можно отдать файл целиком
+    if (range === null) {
+        return cachedResponse;
+    }
+    if (range === false) {
+        return new Response(null, {
+            status: 416,
+            statusText: 'Range Not Satisfiable',
+            headers: { 'Content-Range': `bytes */${blob.size}` }
+        });
+    }
+
+    const headers = {
+        'Content-Type': cachedResponse.headers.get('Content-Type') || 'application/octet-stream',
+        'Content-Range': `bytes ${range.start}-${range.end}/${blob.size}`,
+        'Content-Length': String(range.end - range.start + 1),
+        'Accept-Ranges': 'bytes'
+    };
+    const etag = cachedResponse.headers.get('ETag');
+    if (etag) headers.ETag = etag;
+
+    return new Response(blob.slice(range.start, range.end + 1), {
+        status: 206,
+        statusText: 'Partial Content',
+        headers
+    });
+}
+
+// "bytes=start-end", "bytes=start-" или "bytes=-suffix" → { start, end };
+// null — заголовок не поддерживается, false — диапазон за пределами файла
+function parseRange(header, size) {
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === '' && match[2] === '')) return null;
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        const suffix = Number(match[2]);
+        if (suffix === 0) return false;
+        start = Math.max(size - suffix, 0);
+        end = size - 1;
+    } else {
+        start = Number(match[1]);
+        end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+    }
+
+    if (start >= size || start > end) return false;
+    return { start, end };
+}
+
+// Сеть недоступна, а в кэше ничего нет: страницы получают оболочку приложения,
+// остальные запросы — честную ошибку вместо подменённого ответа
+async function networkErrorResponse(request, error) {
+    console.log('🌐 Ошибка сети, файла нет в кэше:', request.url, error.message);
+
+    if (request.mode === 'navigate') {
+        const shell = await caches.match('/index.html');
+        if (shell) return shell;
+    }
+
+    return errorResponse(503, 'Нет сети, и файл не сохранён для работы оффлайн');
+}
+
+function errorResponse(status, message) {
+    return new Response(message, {
+        status,
+        statusText: status === 503 ? 'Service Unavailable' : 'Error',
+        headers: { 'Content-Type': 'text/plain; charset=utf-8' }
+    });
+}
+
+// Фоновая отправка датасета, когда появилась сеть
 self.addEventListener('sync', event => {
-    if (event.tag === 'background-sync') {
+    if (event.tag === SYNC_TAG) {
         console.log('🔄 Фоновая синхронизация данных обучения');
         event.waitUntil(syncLearningData());
     }
 });
 
 async function syncLearningData() {
-    // Здесь будет синхронизация данных обучения
-    // когда появится интернет
-    console.log('Синхронизируем данные обучения...');
+    // Паузу между попытками здесь задаёт браузер, поэтому свою не ждём
+    const result = await new SyncOutbox().drain({ ignoreBackoff: true });
+
+    // Ошибка отклоняет событие, и браузер повторит синхронизацию позже
+    if (result.error) {
+        throw new Error(result.error);
+    }
 }
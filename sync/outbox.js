@@ -0,0 +1,299 @@
+// Очередь отправки датасета на свой сервер (например, общий сервер обучения для тестовых телефонов).
+// Новые записи датасета складываются в IndexedDB и отправляются пачками: из Service Worker
+// по событию background-sync или со страницы, если Background Sync не поддерживается.
+// Настройки тоже лежат в IndexedDB — localStorage в Service Worker недоступен.
+// Пока пользователь не включил отправку, записи в очередь не попадают.
+const SYNC_TAG = 'background-sync';
+
+const SYNC_DEFAULT_CONFIG = {
+    enabled: false,
+    endpoint: '',
+    authToken: '',
+    batchSize: 50
+};
+
+class SyncOutbox {
+    // onEnqueue — вызывается после добавления записей; по умолчанию регистрируется background-sync
+    constructor({ onEnqueue = null } = {}) {
+        this.onEnqueue = onEnqueue;
+        this.baseDelay = 30 * 1000;     // Первая повторная попытка — через 30 секунд
+        this.maxDelay = 60 * 60 * 1000; // Дальше интервал удваивается, но не больше часа
+
+        this.db = new IndexedDBStore('NeuroSputnikSync', 2, (db, oldVersion) => {
+            if (oldVersion < 1) {
+                // Записи к отправке: { key, kind, record, createdAt }; key — ключ идемпотентности
+                const outbox = db.createObjectStore('outbox', { keyPath: 'key' });
+                outbox.createIndex('createdAt', 'createdAt');
+                // Настройки (config) и состояние отправки (status)
+                db.createObjectStore('meta', { keyPath: 'key' });
+            }
+            if (oldVersion < 2) {
+                // Записи, которые сервер отказался принять: { key, kind, record, createdAt, error, rejectedAt }.
+                // Откладываются в сторону, чтобы не держать очередь, но не удаляются
+                db.createObjectStore('rejected', { keyPath: 'key' });
+            }
+        });
+    }
+
+    async getConfig() {
+        const stored = await this.db.get('meta', 'config');
+        const config = { ...SYNC_DEFAULT_CONFIG, ...(stored ? stored.value : {}) };
+
+        // Идентификатор устройства нужен серверу, чтобы различать телефоны
+        if (!config.deviceId) {
+            config.deviceId = self.crypto && crypto.randomUUID
+                ? crypto.randomUUID()
+                : `device_${Date.now()}_${Math.random().toString(36).slice(2, 10)}`;
+            await this.db.put('meta', { key: 'config', value: config });
+        }
+
+        return config;
+    }
+
+    async saveConfig(changes) {
+        const config = { ...(await this.getConfig()), ...changes };
+
+        if (config.enabled) {
+            let url;
+            try {
+                url = new URL(config.endpoint);
+            } catch (error) {
+                throw new Error('Укажите адрес сервера, например http://192.168.1.10:8787/upload');
+            }
+            if (!['http:', 'https:'].includes(url.protocol)) {
+                throw new Error('Адрес сервера должен начинаться с http:// или https://');
+            }
+        }
+
+        await this.db.put('meta', { key: 'config', value: config });
+        return config;
+    }
+
+    // Состояние: { lastAttemptAt, lastSuccessAt, lastError, failures, nextAttemptAt, uploaded, lastRejection }
+    async getStatus() {
+        const stored = await this.db.get('meta', 'status');
+        return {
+            lastAttemptAt: null,
+            lastSuccessAt: null,
+            lastError: null,
+            failures: 0,
+            nextAttemptAt: null,
+            uploaded: 0,
+            lastRejection: null,
+            ...(stored ? stored.value : {})
+        };
+    }
+
+    getPendingCount() {
+        return this.db.count('outbox');
+    }
+
+    getRejectedCount() {
+        return this.db.count('rejected');
+    }
+
+    // Кладёт новые записи датасета в очередь; kind — хранилище датасета (conversations, gameData…)
+    async enqueue(kind, records) {
+        const config = await this.getConfig();
+        if (!config.enabled || records.length === 0) return 0;
+
+        const now = Date.now();
+        await this.db.transaction('outbox', 'readwrite', stores => {
+            records.forEach(({ byte_size, ...record }) => {
+                // Ключ записи постоянный, поэтому повторная отправка не создаст дубль на сервере
+                const id = record.id !== undefined ? record.id : `${record.timestamp}_${Math.random().toString(36).slice(2, 8)}`;
+                stores.outbox.put({ key: this._key(config.deviceId, kind, id), kind, record, createdAt: now });
+            });
+        });
+
+        if (this.onEnqueue) {
+            this.onEnqueue();
+        } else {
+            this.requestSync().catch(error => console.warn('⚠️ Background Sync не зарегистрирован:', error));
+        }
+        return records.length;
+    }
+
+    // Заменяет ещё не отправленные записи новой версией (исправление, оценка), чтобы на сервер
+    // ушло то, что пользователь видит в датасете. Уже отправленные записи не трогаем
+    async update(kind, records) {
+        const { deviceId } = await this.getConfig();
+        await this.db.transaction('outbox', 'readwrite', stores => {
+            records.forEach(({ byte_size, ...record }) => {
+                const key = this._key(deviceId, kind, record.id);
+                stores.outbox.get(key).onsuccess = (event) => {
+                    const item = event.target.result;
+                    if (item) stores.outbox.put({ ...item, record });
+                };
+            });
+        });
+    }
+
+    // Убирает из очереди записи, которые пользователь удалил из датасета
+    async remove(kind, ids) {
+        const { deviceId } = await this.getConfig();
+        await this.db.transaction('outbox', 'readwrite', stores => {
+            ids.forEach(id => stores.outbox.delete(this._key(deviceId, kind, id)));
+        });
+    }
+
+    // Просит Service Worker отправить очередь, когда появится сеть.
+    // false — Background Sync недоступен, отправлять нужно со страницы
+    async requestSync() {
+        if (!self.navigator || !navigator.serviceWorker) return false;
+
+        const registration = await navigator.serviceWorker.getRegistration();
+        if (!registration || !registration.sync) return false;
+
+        await registration.sync.register(SYNC_TAG);
+        return true;
+    }
+
+    // Отправляет очередь пачками. ignoreBackoff — не ждать окончания паузы после ошибки
+    // (Background Sync сам решает, когда повторять). Возвращает { sent, rejected, pending, error }
+    async drain({ ignoreBackoff = false } = {}) {
+        // Страница и Service Worker не должны отправлять одну и ту же пачку одновременно
+        if (self.navigator && navigator.locks) {
+            return navigator.locks.request('neurosputnik-sync-outbox', { ifAvailable: true }, lock =>
+                lock ? this._drain(ignoreBackoff) : { sent: 0, pending: null, error: null, skipped: 'busy' }
+            );
+        }
+        return this._drain(ignoreBackoff);
+    }
+
+    // Вспомогательные методы
+    _key(deviceId, kind, id) {
+        return `${deviceId}:${kind}:${id}`;
+    }
+
+    async _drain(ignoreBackoff) {
+        const config = await this.getConfig();
+        if (!config.enabled || !config.endpoint) {
+            return { sent: 0, pending: await this.getPendingCount(), error: null, skipped: 'disabled' };
+        }
+
+        const status = await this.getStatus();
+        if (!ignoreBackoff && status.nextAttemptAt && status.nextAttemptAt > Date.now()) {
+            return { sent: 0, pending: await this.getPendingCount(), error: null, skipped: 'backoff' };
+        }
+
+        let sent = 0;
+        let rejected = 0;
+        while (true) {
+            const batch = await this._nextBatch(config.batchSize);
+            if (batch.length === 0) break;
+
+            status.lastAttemptAt = Date.now();
+            try {
+                await this._upload(config, batch);
+            } catch (error) {
+                if (error.permanent) {
+                    // Повтор не поможет: пачку откладываем, чтобы она не держала остальную очередь
+                    await this._reject(batch, error.message);
+                    status.lastRejection = { error: error.message, count: batch.length, at: Date.now() };
+                    await this._saveStatus(status);
+                    console.warn(`⚠️ Сервер отклонил ${batch.length} записей датасета:`, error.message);
+                    rejected += batch.length;
+                    continue;
+                }
+
+                status.failures += 1;
+                status.lastError = error.message;
+                status.nextAttemptAt = Date.now() + this._getDelay(status.failures);
+                await this._saveStatus(status);
+
+                console.warn(`⚠️ Отправка датасета не удалась (${status.failures}):`, error.message);
+                return { sent, rejected, pending: await this.getPendingCount(), error: error.message };
+            }
+
+            await this.db.transaction('outbox', 'readwrite', stores => {
+                batch.forEach(item => stores.outbox.delete(item.key));
+            });
+
+            sent += batch.length;
+            Object.assign(status, {
+                lastSuccessAt: Date.now(),
+                lastError: null,
+                failures: 0,
+                nextAttemptAt: null,
+                uploaded: status.uploaded + batch.length
+            });
+            await this._saveStatus(status);
+        }
+
+        if (sent > 0) console.log(`☁️ Отправлено записей датасета: ${sent}`);
+        return { sent, rejected, pending: 0, error: null };
+    }
+
+    async _nextBatch(size) {
+        const batch = [];
+        await this.db.iterate('outbox', 'createdAt', null, 'next', item => {
+            batch.push(item);
+            return batch.length < size;
+        });
+        return batch;
+    }
+
+    async _upload(config, batch) {
+        const headers = {
+            'Content-Type': 'application/json',
+            // Одна и та же пачка при повторе получает тот же ключ
+            'Idempotency-Key': await this._batchKey(batch)
+        };
+        if (config.authToken) headers.Authorization = `Bearer ${config.authToken}`;
+
+        let response;
+        try {
+            response = await fetch(config.endpoint, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({
+                    deviceId: config.deviceId,
+                    sentAt: new Date().toISOString(),
+                    items: batch.map(({ key, kind, record, createdAt }) => ({ key, kind, createdAt, record }))
+                })
+            });
+        } catch (error) {
+            throw new Error('Сервер недоступен');
+        }
+
+        if (!response.ok) {
+            const error = new Error(`Сервер ответил ${response.status}`);
+            // Остальные 4xx (400, 413…) относятся к самой пачке и при повторе не исчезнут.
+            // 401 и 403 — ошибка настроек, а не пачки: ждём исправления токена, ничего не откладывая
+            error.permanent = response.status >= 400 && response.status < 500 &&
+                ![401, 403, 408, 429].includes(response.status);
+            throw error;
+        }
+    }
+
+    async _reject(batch, reason) {
+        const rejectedAt = Date.now();
+        await this.db.transaction(['outbox', 'rejected'], 'readwrite', stores => {
+            batch.forEach(item => {
+                stores.outbox.delete(item.key);
+                stores.rejected.put({ ...item, error: reason, rejectedAt });
+            });
+        });
+    }
+
+    async _batchKey(batch) {
+        const keys = batch.map(item => item.key).join('\n');
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(keys));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Экспоненциальная пауза с разбросом ±20%, чтобы телефоны не стучались одновременно
+    _getDelay(failures) {
+        const delay = Math.min(this.baseDelay * 2 ** (failures - 1), this.maxDelay);
+        return Math.round(delay * (0.8 + Math.random() * 0.4));
+    }
+
+    _saveStatus(status) {
+        return this.db.put('meta', { key: 'status', value: status });
+    }
+}
+
+// Экспортируем глобально (self — это window на странице и global scope в Service Worker)
+self.SYNC_TAG = SYNC_TAG;
+self.SyncOutbox = SyncOutbox;